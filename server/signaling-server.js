@@ -0,0 +1,706 @@
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+import {
+  SIGNAL_PATHS,
+  MAX_ROOM_MEMBERS,
+  candidatePathForRole,
+  sanitizeMemberPatch,
+  pickOldestMember
+} from '../src/signaling-shared.js';
+import { sanitizeProfile } from '../src/profile.js';
+import { createRoomAccess, verifyRoomPassword } from '../src/room-password.js';
+import { createTurnAccessToken, createTurnCredentialsHandler, loadTurnConfig } from './turn-credentials.js';
+import { createLogger } from '../src/logger.js';
+
+const DEFAULT_PORT = 8787;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+const MAX_ID_LENGTH = 128;
+
+class SignalingError extends Error {}
+
+// Los helpers compartidos lanzan Error con el código en message; aquí lo exponemos al cliente
+async function toSignalingError(promise) {
+  try {
+    return await promise;
+  } catch (error) {
+    throw new SignalingError(error.message);
+  }
+}
+
+function assertId(value) {
+  if (typeof value !== 'string' || !value || value.length > MAX_ID_LENGTH) {
+    throw new SignalingError('invalid-request');
+  }
+  return value;
+}
+
+function createRoom(access = null) {
+  return {
+    createdAt: Date.now(),
+    access,
+    // Socket dueño de cada peerId: la expulsión tiene que retirarle la membresía
+    owners: new Map(),
+    [SIGNAL_PATHS.MODERATION]: { host: null, locked: false, lobby: false, muteAll: null, kicked: {} },
+    [SIGNAL_PATHS.MEMBERS]: new Map(),
+    // Llamadas a la puerta indexadas por clientId, igual que kicked
+    [SIGNAL_PATHS.KNOCKS]: new Map(),
+    [SIGNAL_PATHS.OFFERS]: new Map(),
+    [SIGNAL_PATHS.ANSWERS]: new Map(),
+    [SIGNAL_PATHS.CALLER_CANDIDATES]: new Map(),
+    [SIGNAL_PATHS.CALLEE_CANDIDATES]: new Map()
+  };
+}
+
+export function createSignalingServer({ port = DEFAULT_PORT, turn = null, logger = createLogger('Signaling') } = {}) {
+  const rooms = new Map();
+  const subscriptions = new Set();
+  const turnHandler = turn ? createTurnCredentialsHandler(turn, { isSessionActive: hasActiveSession }) : null;
+  const httpServer = createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (turnHandler && pathname === '/turn-credentials') {
+      turnHandler(request, response);
+      return;
+    }
+    response.writeHead(404);
+    response.end();
+  });
+  const wss = new WebSocketServer({ server: httpServer, maxPayload: MAX_PAYLOAD_BYTES });
+  let pushSequence = 0;
+
+  // Las credenciales TURN solo se emiten a sockets que siguen dentro de alguna sala
+  function hasActiveSession(clientId) {
+    return Array.from(wss.clients).some(
+      (socket) => socket.clientId === clientId && Array.from(socket.memberships.values()).some((peerIds) => peerIds.size)
+    );
+  }
+
+  function send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  function emit(subscription, data) {
+    send(subscription.socket, { type: 'event', subscriptionId: subscription.subscriptionId, data });
+  }
+
+  function subscribersOf(channel, roomId) {
+    return Array.from(subscriptions).filter((sub) => sub.channel === channel && sub.roomId === roomId);
+  }
+
+  function membersSnapshot(room) {
+    const raw = Object.fromEntries(room?.[SIGNAL_PATHS.MEMBERS] ?? []);
+    return { members: Object.keys(raw), raw };
+  }
+
+  function notifyMembers(roomId) {
+    const snapshot = membersSnapshot(rooms.get(roomId));
+    subscribersOf('members', roomId).forEach((sub) => emit(sub, snapshot));
+  }
+
+  function moderationSnapshot(room) {
+    return room?.[SIGNAL_PATHS.MODERATION] ?? null;
+  }
+
+  function notifyModeration(roomId) {
+    const snapshot = moderationSnapshot(rooms.get(roomId));
+    subscribersOf('moderation', roomId).forEach((sub) => emit(sub, snapshot));
+  }
+
+  // Quien espera en la sala de espera solo ve su propia llamada; los miembros ven todas
+  function knocksSnapshot(room, subscription) {
+    if (!room) {
+      return null;
+    }
+    if (subscription.socket.memberships.get(subscription.roomId)?.size) {
+      return Object.fromEntries(room[SIGNAL_PATHS.KNOCKS]);
+    }
+    const own = room[SIGNAL_PATHS.KNOCKS].get(subscription.socket.clientId);
+    return own ? { [subscription.socket.clientId]: own } : {};
+  }
+
+  function notifyKnocks(roomId) {
+    const room = rooms.get(roomId);
+    subscribersOf('knocks', roomId).forEach((sub) => emit(sub, knocksSnapshot(room, sub)));
+  }
+
+  function notifyOffer(roomId, offerId, value) {
+    subscribersOf('offers', roomId)
+      .filter((sub) => sub.peerId === value.to)
+      .forEach((sub) => emit(sub, { id: offerId, ...value }));
+  }
+
+  function notifyAnswer(roomId, offerId, value) {
+    subscribersOf('answers', roomId)
+      .filter((sub) => sub.offerId === offerId)
+      .forEach((sub) => emit(sub, { id: offerId, ...value }));
+  }
+
+  function notifyCandidate(roomId, role, offerId, pushId, value) {
+    subscribersOf('candidates', roomId)
+      .filter((sub) => sub.offerId === offerId && sub.role === role)
+      .forEach((sub) => emit(sub, { id: pushId, ...value }));
+  }
+
+  // Mismo criterio que las reglas de Firebase: sin ser miembro solo se puede seguir la propia llamada a la puerta
+  function assertCanSubscribe(subscription) {
+    const { socket, roomId, channel } = subscription;
+    if (channel === 'knocks' && !socket.memberships.get(roomId)?.size) {
+      if (!rooms.get(roomId)?.[SIGNAL_PATHS.KNOCKS].has(socket.clientId)) {
+        throw new SignalingError('permission-denied');
+      }
+      return;
+    }
+    if (channel === 'offers') {
+      assertOwnsPeer(socket, roomId, subscription.peerId);
+      return;
+    }
+    assertInRoom(socket, roomId);
+  }
+
+  function replay(subscription) {
+    const room = rooms.get(subscription.roomId);
+    switch (subscription.channel) {
+      case 'members':
+        emit(subscription, membersSnapshot(room));
+        break;
+      case 'moderation':
+        emit(subscription, moderationSnapshot(room));
+        break;
+      case 'knocks':
+        emit(subscription, knocksSnapshot(room, subscription));
+        break;
+      case 'offers':
+        room?.[SIGNAL_PATHS.OFFERS].forEach((value, offerId) => {
+          if (value.to === subscription.peerId) {
+            emit(subscription, { id: offerId, ...value });
+          }
+        });
+        break;
+      case 'answers': {
+        const answer = room?.[SIGNAL_PATHS.ANSWERS].get(subscription.offerId);
+        if (answer) {
+          emit(subscription, { id: subscription.offerId, ...answer });
+        }
+        break;
+      }
+      case 'candidates': {
+        const node = room?.[candidatePathForRole(subscription.role)].get(subscription.offerId);
+        node?.forEach((value, pushId) => emit(subscription, { id: pushId, ...value }));
+        break;
+      }
+      default:
+        throw new SignalingError('invalid-request');
+    }
+  }
+
+  function requireRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) {
+      throw new SignalingError('room-not-found');
+    }
+    return room;
+  }
+
+  function assertOwnsPeer(socket, roomId, peerId) {
+    if (!socket.memberships.get(roomId)?.has(peerId)) {
+      throw new SignalingError('permission-denied');
+    }
+  }
+
+  function assertInRoom(socket, roomId) {
+    if (!socket.memberships.get(roomId)?.size) {
+      throw new SignalingError('permission-denied');
+    }
+  }
+
+  // assertCanSubscribe solo mira al suscribirse: quien sale o es expulsado deja de recibir la sala aquí
+  function releaseRoomMembership(socket, roomId, peerId) {
+    const peerIds = socket.memberships.get(roomId);
+    peerIds?.delete(peerId);
+    if (peerIds?.size) {
+      return;
+    }
+    socket.memberships.delete(roomId);
+    socket.subscriptions.forEach((subscription, subscriptionId) => {
+      if (subscription.roomId === roomId) {
+        subscriptions.delete(subscription);
+        socket.subscriptions.delete(subscriptionId);
+      }
+    });
+  }
+
+  function assertHost(socket, roomId, peerId) {
+    const room = requireRoom(roomId);
+    assertOwnsPeer(socket, roomId, peerId);
+    if (room[SIGNAL_PATHS.MODERATION].host !== peerId) {
+      throw new SignalingError('not-host');
+    }
+    return room;
+  }
+
+  function deleteRoom(roomId) {
+    if (rooms.delete(roomId)) {
+      logger.info('Sala eliminada', roomId);
+      notifyMembers(roomId);
+      // Quien espera en la puerta recibe null: la sala ya no existe
+      notifyKnocks(roomId);
+    }
+  }
+
+  function clearCandidates(room, offerId) {
+    room[SIGNAL_PATHS.CALLER_CANDIDATES].delete(offerId);
+    room[SIGNAL_PATHS.CALLEE_CANDIDATES].delete(offerId);
+  }
+
+  function clearSignalsForPeer(room, peerId) {
+    [SIGNAL_PATHS.OFFERS, SIGNAL_PATHS.ANSWERS].forEach((path) => {
+      room[path].forEach((value, offerId) => {
+        if (value.from === peerId || value.to === peerId) {
+          room[path].delete(offerId);
+          clearCandidates(room, offerId);
+        }
+      });
+    });
+  }
+
+  // Limpiar una sala ya eliminada es un no-op, igual que remove() sobre un nodo inexistente
+  function withJoinedRoom(socket, payload, callback) {
+    const roomId = assertId(payload.roomId);
+    const room = rooms.get(roomId);
+    if (!room) {
+      return;
+    }
+    assertInRoom(socket, roomId);
+    callback(room);
+  }
+
+  function assertCanEnter(socket, room) {
+    const moderation = room[SIGNAL_PATHS.MODERATION];
+    if (moderation.kicked[socket.clientId]) {
+      throw new SignalingError('kicked');
+    }
+    if (moderation.locked) {
+      throw new SignalingError('room-locked');
+    }
+  }
+
+  function needsKnock(room) {
+    return room[SIGNAL_PATHS.MODERATION].lobby && room[SIGNAL_PATHS.MEMBERS].size > 0;
+  }
+
+  function withdrawKnock(socket, roomId) {
+    socket.knockRooms.delete(roomId);
+    if (rooms.get(roomId)?.[SIGNAL_PATHS.KNOCKS].delete(socket.clientId)) {
+      notifyKnocks(roomId);
+    }
+  }
+
+  function removeMember(roomId, peerId) {
+    const room = rooms.get(roomId);
+    if (!room || !room[SIGNAL_PATHS.MEMBERS].delete(peerId)) {
+      return;
+    }
+    room.owners.delete(peerId);
+    clearSignalsForPeer(room, peerId);
+    if (room[SIGNAL_PATHS.MEMBERS].size === 0) {
+      deleteRoom(roomId);
+      return;
+    }
+    notifyMembers(roomId);
+    const moderation = room[SIGNAL_PATHS.MODERATION];
+    // Si el anfitrión se desconecta sin traspasar, el servidor nombra al miembro más antiguo
+    if (moderation.host === peerId) {
+      moderation.host = pickOldestMember(Object.fromEntries(room[SIGNAL_PATHS.MEMBERS]));
+      notifyModeration(roomId);
+    }
+  }
+
+  const actions = {
+    subscribe(socket, payload) {
+      const subscription = {
+        socket,
+        subscriptionId: assertId(payload.subscriptionId),
+        channel: payload.channel,
+        roomId: assertId(payload.roomId),
+        peerId: payload.peerId,
+        offerId: payload.offerId,
+        role: payload.role
+      };
+      assertCanSubscribe(subscription);
+      replay(subscription);
+      subscriptions.add(subscription);
+      socket.subscriptions.set(subscription.subscriptionId, subscription);
+    },
+
+    unsubscribe(socket, payload) {
+      const subscription = socket.subscriptions.get(payload.subscriptionId);
+      if (subscription) {
+        subscriptions.delete(subscription);
+        socket.subscriptions.delete(payload.subscriptionId);
+      }
+    },
+
+    async ensureRoom(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      if (rooms.has(roomId)) {
+        return;
+      }
+      if (!payload.createIfMissing) {
+        throw new SignalingError('room-not-found');
+      }
+      const access = payload.password ? await toSignalingError(createRoomAccess(payload.password)) : null;
+      // Otro socket pudo crear la sala mientras se calculaba el hash: como la transacción abortada de Firebase
+      if (rooms.has(roomId)) {
+        throw new SignalingError('room-already-exists');
+      }
+      rooms.set(roomId, createRoom(access && { salt: access.salt, iterations: access.iterations, verifier: access.verifier }));
+      socket.createdRooms.add(roomId);
+      logger.info('Sala creada', roomId);
+    },
+
+    // Devuelve knockId solo si la sala tiene sala de espera; el cliente espera la decisión antes de joinRoom
+    async knock(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const peerId = assertId(payload.peerId);
+      const { access } = requireRoom(roomId);
+      if (access) {
+        await toSignalingError(verifyRoomPassword(payload.password ?? '', access));
+      }
+      const room = requireRoom(roomId);
+      assertCanEnter(socket, room);
+      if (!needsKnock(room)) {
+        return { knockId: null };
+      }
+      room[SIGNAL_PATHS.KNOCKS].set(socket.clientId, {
+        ...sanitizeProfile(payload.profile),
+        peerId,
+        status: 'pending',
+        createdAt: Date.now()
+      });
+      socket.knockRooms.add(roomId);
+      notifyKnocks(roomId);
+      return { knockId: socket.clientId };
+    },
+
+    withdrawKnock(socket, payload) {
+      withdrawKnock(socket, assertId(payload.roomId));
+    },
+
+    answerKnock(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const peerId = assertId(payload.peerId);
+      assertOwnsPeer(socket, roomId, peerId);
+      const knock = requireRoom(roomId)[SIGNAL_PATHS.KNOCKS].get(payload.knockId);
+      if (knock?.status !== 'pending') {
+        throw new SignalingError('knock-not-found');
+      }
+      Object.assign(knock, { status: payload.approved ? 'approved' : 'denied', decidedBy: peerId });
+      notifyKnocks(roomId);
+    },
+
+    async joinRoom(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const peerId = assertId(payload.peerId);
+      const { access } = requireRoom(roomId);
+      if (access) {
+        await toSignalingError(verifyRoomPassword(payload.password ?? '', access));
+      }
+      const room = requireRoom(roomId);
+      const members = room[SIGNAL_PATHS.MEMBERS];
+      // Un peerId ajeno no se reutiliza: en Firebase las reglas rechazan escribir el miembro de otro uid
+      if (members.has(peerId) && room.owners.get(peerId) !== socket) {
+        throw new SignalingError('permission-denied');
+      }
+      if (!members.has(peerId)) {
+        assertCanEnter(socket, room);
+        // La sala de espera se pudo activar después de llamar: sin aprobación no se entra
+        if (needsKnock(room) && room[SIGNAL_PATHS.KNOCKS].get(socket.clientId)?.status !== 'approved') {
+          throw new SignalingError('knock-required');
+        }
+        if (members.size >= MAX_ROOM_MEMBERS) {
+          throw new SignalingError('room-full');
+        }
+        const now = Date.now();
+        members.set(peerId, { ...sanitizeProfile(payload.profile), peerId, joinedAt: now, lastSeen: now });
+        room.owners.set(peerId, socket);
+        if (!socket.memberships.has(roomId)) {
+          socket.memberships.set(roomId, new Set());
+        }
+        socket.memberships.get(roomId).add(peerId);
+        notifyMembers(roomId);
+        withdrawKnock(socket, roomId);
+      }
+      return { members: Array.from(members.keys()) };
+    },
+
+    updateMember(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const peerId = assertId(payload.peerId);
+      assertOwnsPeer(socket, roomId, peerId);
+      if (typeof payload.patch !== 'object' || payload.patch === null || Array.isArray(payload.patch)) {
+        throw new SignalingError('invalid-request');
+      }
+      const member = requireRoom(roomId)[SIGNAL_PATHS.MEMBERS].get(peerId);
+      Object.assign(member, sanitizeMemberPatch(payload.patch), { lastSeen: Date.now() });
+      notifyMembers(roomId);
+    },
+
+    leaveRoom(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const peerId = assertId(payload.peerId);
+      assertOwnsPeer(socket, roomId, peerId);
+      releaseRoomMembership(socket, roomId, peerId);
+      removeMember(roomId, peerId);
+    },
+
+    claimHost(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const peerId = assertId(payload.peerId);
+      assertOwnsPeer(socket, roomId, peerId);
+      const room = requireRoom(roomId);
+      const moderation = room[SIGNAL_PATHS.MODERATION];
+      if (moderation.host && room[SIGNAL_PATHS.MEMBERS].has(moderation.host)) {
+        return false;
+      }
+      moderation.host = peerId;
+      notifyModeration(roomId);
+      return true;
+    },
+
+    transferHost(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const room = assertHost(socket, roomId, assertId(payload.peerId));
+      const targetPeerId = assertId(payload.targetPeerId);
+      if (!room[SIGNAL_PATHS.MEMBERS].has(targetPeerId)) {
+        throw new SignalingError('member-not-found');
+      }
+      room[SIGNAL_PATHS.MODERATION].host = targetPeerId;
+      notifyModeration(roomId);
+    },
+
+    setRoomLocked(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const room = assertHost(socket, roomId, assertId(payload.peerId));
+      room[SIGNAL_PATHS.MODERATION].locked = Boolean(payload.locked);
+      notifyModeration(roomId);
+    },
+
+    setLobbyEnabled(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const room = assertHost(socket, roomId, assertId(payload.peerId));
+      room[SIGNAL_PATHS.MODERATION].lobby = Boolean(payload.enabled);
+      notifyModeration(roomId);
+    },
+
+    requestMuteAll(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const peerId = assertId(payload.peerId);
+      const room = assertHost(socket, roomId, peerId);
+      room[SIGNAL_PATHS.MODERATION].muteAll = { id: randomUUID(), by: peerId, at: Date.now() };
+      notifyModeration(roomId);
+    },
+
+    // El veto es por conexión: al recargar la página el expulsado obtiene otra y podría volver
+    kickMember(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const peerId = assertId(payload.peerId);
+      const targetPeerId = assertId(payload.targetPeerId);
+      const room = assertHost(socket, roomId, peerId);
+      const owner = room.owners.get(targetPeerId);
+      if (!owner) {
+        throw new SignalingError('member-not-found');
+      }
+      if (owner === socket) {
+        throw new SignalingError('invalid-target');
+      }
+      const moderation = room[SIGNAL_PATHS.MODERATION];
+      moderation.kicked = { ...moderation.kicked, [owner.clientId]: targetPeerId };
+      owner.memberships.get(roomId)?.delete(targetPeerId);
+      // El expulsado aún recibe esta moderación para enterarse; después se le cortan las suscripciones
+      notifyModeration(roomId);
+      releaseRoomMembership(owner, roomId, targetPeerId);
+      removeMember(roomId, targetPeerId);
+    },
+
+    turnToken(socket) {
+      if (!turn) {
+        throw new SignalingError('turn-not-configured');
+      }
+      if (!hasActiveSession(socket.clientId)) {
+        throw new SignalingError('permission-denied');
+      }
+      return createTurnAccessToken({ secret: turn.secret, clientId: socket.clientId });
+    },
+
+    removeRoomIfEmpty(_socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const room = rooms.get(roomId);
+      if (room && room[SIGNAL_PATHS.MEMBERS].size === 0) {
+        deleteRoom(roomId);
+      }
+    },
+
+    postOffer(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const offerId = assertId(payload.offerId);
+      const room = requireRoom(roomId);
+      assertOwnsPeer(socket, roomId, payload.from);
+      const value = {
+        from: payload.from,
+        to: payload.to,
+        description: payload.description,
+        sessionId: payload.sessionId ?? null,
+        createdAt: Date.now()
+      };
+      room[SIGNAL_PATHS.OFFERS].set(offerId, value);
+      notifyOffer(roomId, offerId, value);
+    },
+
+    postAnswer(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const offerId = assertId(payload.offerId);
+      const room = requireRoom(roomId);
+      assertOwnsPeer(socket, roomId, payload.from);
+      const value = {
+        from: payload.from,
+        to: payload.to,
+        description: payload.description,
+        sessionId: payload.sessionId ?? null,
+        createdAt: Date.now()
+      };
+      room[SIGNAL_PATHS.ANSWERS].set(offerId, value);
+      notifyAnswer(roomId, offerId, value);
+    },
+
+    addIceCandidate(socket, payload) {
+      const roomId = assertId(payload.roomId);
+      const offerId = assertId(payload.offerId);
+      const room = requireRoom(roomId);
+      assertOwnsPeer(socket, roomId, payload.owner);
+      const node = room[candidatePathForRole(payload.role)];
+      if (!node.has(offerId)) {
+        node.set(offerId, new Map());
+      }
+      pushSequence += 1;
+      const pushId = `c${pushSequence}`;
+      const value = { owner: payload.owner, candidate: payload.candidate, createdAt: Date.now() };
+      node.get(offerId).set(pushId, value);
+      notifyCandidate(roomId, payload.role, offerId, pushId, value);
+    },
+
+    clearOffer(socket, payload) {
+      withJoinedRoom(socket, payload, (room) => room[SIGNAL_PATHS.OFFERS].delete(payload.offerId));
+    },
+
+    clearAnswer(socket, payload) {
+      withJoinedRoom(socket, payload, (room) => room[SIGNAL_PATHS.ANSWERS].delete(payload.offerId));
+    },
+
+    clearCandidates(socket, payload) {
+      withJoinedRoom(socket, payload, (room) => clearCandidates(room, payload.offerId));
+    },
+
+    clearSignalsForPeer(socket, payload) {
+      withJoinedRoom(socket, payload, (room) => clearSignalsForPeer(room, payload.peerId));
+    }
+  };
+
+  async function handleRequest(socket, message) {
+    const { requestId, action, payload = {} } = message;
+    try {
+      const handler = Object.hasOwn(actions, action) ? actions[action] : null;
+      if (!handler) {
+        throw new SignalingError('invalid-request');
+      }
+      const result = await handler(socket, payload);
+      send(socket, { type: 'response', requestId, ok: true, result });
+    } catch (error) {
+      if (!(error instanceof SignalingError)) {
+        logger.error('Error procesando', action, error);
+      }
+      send(socket, {
+        type: 'response',
+        requestId,
+        ok: false,
+        error: error instanceof SignalingError ? error.message : 'internal-error'
+      });
+    }
+  }
+
+  function handleDisconnect(socket) {
+    socket.subscriptions.forEach((subscription) => subscriptions.delete(subscription));
+    socket.subscriptions.clear();
+    socket.memberships.forEach((peerIds, roomId) => {
+      peerIds.forEach((peerId) => removeMember(roomId, peerId));
+    });
+    socket.memberships.clear();
+    Array.from(socket.knockRooms).forEach((roomId) => withdrawKnock(socket, roomId));
+    socket.createdRooms.forEach((roomId) => {
+      const room = rooms.get(roomId);
+      if (room && room[SIGNAL_PATHS.MEMBERS].size === 0) {
+        deleteRoom(roomId);
+      }
+    });
+  }
+
+  wss.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.clientId = randomUUID();
+    socket.subscriptions = new Map();
+    socket.memberships = new Map();
+    socket.createdRooms = new Set();
+    socket.knockRooms = new Set();
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        logger.warn('Mensaje inválido descartado', error.message);
+        return;
+      }
+      if (message?.type === 'request') {
+        handleRequest(socket, message);
+      }
+    });
+
+    socket.on('close', () => handleDisconnect(socket));
+    socket.on('error', (error) => logger.warn('Error de socket', error.message));
+  });
+
+  // Los sockets sin pong se terminan para que su presencia se retire como onDisconnect
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+  httpServer.on('close', () => wss.close());
+  httpServer.listen(port);
+
+  return { wss, httpServer, rooms };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.SIGNALING_PORT ?? DEFAULT_PORT);
+  const turn = loadTurnConfig();
+  createSignalingServer({ port, turn });
+  console.log(`[Signaling] Servidor WebSocket escuchando en ws://0.0.0.0:${port}`);
+  if (turn) {
+    console.log(`[Signaling] Credenciales TURN temporales en http://0.0.0.0:${port}/turn-credentials (ttl ${turn.ttl}s)`);
+  }
+}
@@ -0,0 +1,98 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+
+const DEFAULT_TTL_SECONDS = 3600;
+// El token solo sirve para pedir credenciales justo después de obtenerlo por la señalización
+export const TURN_TOKEN_TTL_SECONDS = 60;
+
+// Esquema "TURN REST API" de coturn (use-auth-secret): usuario = "<expiry>:<id>", clave = base64(HMAC-SHA1(secret, usuario))
+export function createTurnCredentials({ secret, uris, ttl = DEFAULT_TTL_SECONDS, userId = randomUUID().slice(0, 8) }) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+  const username = `${expiresAt}:${userId}`;
+  const password = createHmac('sha1', secret).update(username).digest('base64');
+  return { username, password, ttl, uris };
+}
+
+function signTurnToken(secret, payload) {
+  return createHmac('sha256', secret).update(`turn-token:${payload}`).digest('base64url');
+}
+
+// Token "<expiry>.<clientId>.<firma>": lo emite el servidor de señalización a un socket que está en una sala
+export function createTurnAccessToken({ secret, clientId, ttl = TURN_TOKEN_TTL_SECONDS }) {
+  const payload = `${Math.floor(Date.now() / 1000) + ttl}.${clientId}`;
+  return { token: `${payload}.${signTurnToken(secret, payload)}`, ttl };
+}
+
+// Devuelve el clientId del token o null si está mal formado, caducado o firmado con otro secreto
+export function verifyTurnAccessToken(secret, token) {
+  const [expiresAt, clientId, signature, ...rest] = String(token ?? '').split('.');
+  if (!expiresAt || !clientId || !signature || rest.length) {
+    return null;
+  }
+  const expected = Buffer.from(signTurnToken(secret, `${expiresAt}.${clientId}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return null;
+  }
+  return Number(expiresAt) >= Date.now() / 1000 ? clientId : null;
+}
+
+export function loadTurnConfig(env = process.env) {
+  const secret = env.TURN_SECRET ?? '';
+  const uris = (env.TURN_URIS ?? '')
+    .split(',')
+    .map((uri) => uri.trim())
+    .filter(Boolean);
+  if (!secret || !uris.length) {
+    return null;
+  }
+  // Con "*" cualquier web podría usar el TURN como relay abierto: el origen debe ser explícito
+  const allowedOrigin = (env.TURN_ALLOWED_ORIGIN ?? '').trim();
+  if (!allowedOrigin || allowedOrigin === '*') {
+    throw new Error('TURN_ALLOWED_ORIGIN es obligatorio (origen exacto de la app, sin "*") si defines TURN_SECRET');
+  }
+  return {
+    secret,
+    uris,
+    ttl: Number(env.TURN_TTL_SECONDS) || DEFAULT_TTL_SECONDS,
+    allowedOrigin
+  };
+}
+
+function readBearerToken(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization ?? '');
+  return match?.[1] ?? null;
+}
+
+// isSessionActive(clientId) confirma que el socket que pidió el token sigue en una sala
+export function createTurnCredentialsHandler(turnConfig, { isSessionActive = () => false } = {}) {
+  return (request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', turnConfig.allowedOrigin);
+    response.setHeader('Vary', 'Origin');
+    response.setHeader('Cache-Control', 'no-store');
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, { 'Access-Control-Allow-Methods': 'GET', 'Access-Control-Allow-Headers': 'Authorization' });
+      response.end();
+      return;
+    }
+    if (request.method !== 'GET') {
+      response.writeHead(405);
+      response.end();
+      return;
+    }
+    const { origin } = request.headers;
+    if (origin && origin !== turnConfig.allowedOrigin) {
+      response.writeHead(403);
+      response.end();
+      return;
+    }
+    const clientId = verifyTurnAccessToken(turnConfig.secret, readBearerToken(request));
+    if (!clientId || !isSessionActive(clientId)) {
+      response.writeHead(401);
+      response.end();
+      return;
+    }
+    const credentials = createTurnCredentials({ ...turnConfig, userId: clientId.slice(0, 8) });
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(credentials));
+  };
+}
@@ -1,6 +1,27 @@
 import { createUIController } from './ui.js';
-import { FirebaseSignalingClient, createRandomRoomId } from './signaling.js';
-import { PeerMeshManager, DEFAULT_AUDIO_CONSTRAINTS } from './webrtc.js';
+import { createRandomRoomId } from './signaling-shared.js';
+import { PeerMeshManager, LOCAL_LEVEL_ID } from './webrtc.js';
+import { IceConfigProvider, DEFAULT_ICE_SERVERS } from './ice-config.js';
+import { displayNameFor, loadStoredProfile, storeProfile } from './profile.js';
+import { AUDIO_PRESETS } from './audio-quality.js';
+import { convertRecordingToWav } from './call-recorder.js';
+import { buildInviteUrl, readInviteRoomId } from './invite-link.js';
+import { createLogger } from './logger.js';
+
+const SIGNALING_BACKENDS = ['firebase', 'websocket', 'local'];
+
+function loadSignalingConfig() {
+  const fromWindow = window.__SIGNALING_CONFIG__ ?? {};
+  const env = import.meta.env ?? {};
+  const backend = (fromWindow.backend || env.VITE_SIGNALING_BACKEND || 'firebase').trim().toLowerCase();
+  if (!SIGNALING_BACKENDS.includes(backend)) {
+    throw new Error(`Backend de señalización desconocido: ${backend}. Usa ${SIGNALING_BACKENDS.join(', ')}.`);
+  }
+  return {
+    backend,
+    url: fromWindow.url || env.VITE_SIGNALING_WS_URL || ''
+  };
+}
 
 function loadFirebaseConfig() {
   const fromWindow = window.__FIREBASE_CONFIG__;
@@ -31,7 +52,7 @@ function loadFirebaseConfig() {
     );
   }
 
-  return config;
+  return { ...config, emulatorHost: env.VITE_FIREBASE_EMULATOR_HOST || '' };
 }
 
 function loadWorkletUrl() {
@@ -43,48 +64,241 @@ function loadWorkletUrl() {
   return envValue;
 }
 
-function createLogger() {
-  const namespace = '[CleanCall]';
+function loadRnNoiseWasmUrl() {
+  const globalValue = (window.__RNNOISE_WASM_URL__ ?? '').trim();
+  if (globalValue) {
+    return globalValue;
+  }
+  return import.meta.env?.VITE_RNNOISE_WASM_URL ?? '';
+}
+
+function loadIceConfig() {
+  const fromWindow = window.__ICE_CONFIG__ ?? {};
+  const env = import.meta.env ?? {};
+  let iceServers = fromWindow.iceServers ?? DEFAULT_ICE_SERVERS;
+  if (!fromWindow.iceServers && env.VITE_ICE_SERVERS) {
+    try {
+      iceServers = JSON.parse(env.VITE_ICE_SERVERS);
+    } catch (error) {
+      throw new Error('VITE_ICE_SERVERS debe ser un JSON con la lista de RTCIceServer.');
+    }
+  }
   return {
-    info: (...args) => console.log(namespace, ...args),
-    warn: (...args) => console.warn(namespace, ...args),
-    error: (...args) => console.error(namespace, ...args)
+    iceServers,
+    credentialsUrl: fromWindow.credentialsUrl || env.VITE_TURN_CREDENTIALS_URL || '',
+    iceTransportPolicy: fromWindow.iceTransportPolicy || env.VITE_ICE_TRANSPORT_POLICY || 'all'
   };
 }
 
-const firebaseConfig = loadFirebaseConfig();
+// Import dinámico: el SDK de Firebase solo se descarga si ese backend está activo
+async function createSignalingClient(config) {
+  if (config.backend === 'websocket') {
+    const { WebSocketSignalingClient } = await import('./signaling-ws.js');
+    return new WebSocketSignalingClient({ url: config.url });
+  }
+  if (config.backend === 'local') {
+    const { LocalSignalingClient } = await import('./signaling-local.js');
+    return new LocalSignalingClient();
+  }
+  const { FirebaseSignalingClient } = await import('./signaling.js');
+  return new FirebaseSignalingClient(loadFirebaseConfig());
+}
+
 const workletUrl = loadWorkletUrl();
-const logger = createLogger();
+const rnnoiseWasmUrl = loadRnNoiseWasmUrl();
+const logger = createLogger('CleanCall');
 
 const ui = createUIController({
   onGenerateRoomId: handleGenerateRoomId,
-  onCopyRoomId: () => logger.info('ID copiado'),
+  onCopyRoomId: (inviteUrl) => logger.info('Invitación copiada', inviteUrl),
+  onAcceptInvite: (roomId) => handleJoin(roomId, { createIfMissing: false }),
   onCreateRoom: (roomId) => handleJoin(roomId, { createIfMissing: true }),
   onJoinRoom: (roomId) => handleJoin(roomId, { createIfMissing: false }),
+  onStartDeviceCheck: (options) => handleDeviceCheck(options),
+  onSkipDeviceCheck: () => handleSkipDeviceCheck(),
   onHangUp: () => handleHangUp(),
-  onMonitorToggle: (enabled) => logger.info('Monitor local', enabled ? 'activado' : 'apagado')
+  onMonitorToggle: (enabled) => logger.info('Monitor local', enabled ? 'activado' : 'apagado'),
+  onToggleMute: () => meshManager?.toggleMuted(),
+  onPushToTalkToggle: (enabled) => meshManager?.setPushToTalk(enabled),
+  onTalkingChange: (active) => meshManager?.setTalking(active),
+  onInputDeviceChange: (deviceId) => handleInputDeviceChange(deviceId),
+  onAudioPresetChange: (preset) => handleAudioPresetChange(preset),
+  onNoiseGateChange: (settings) => handleNoiseGateChange(settings),
+  onRnNoiseToggle: (enabled) => handleRnNoiseToggle(enabled),
+  onProfileChange: (profile) => handleProfileChange(profile),
+  onSendChat: (text) => meshManager?.sendChatMessage(text),
+  onSendFile: (file, peerId) => handleSendFile(file, peerId),
+  onFileAction: (action, transferId) => handleFileAction(action, transferId),
+  onModerationAction: (action, value) => handleModerationAction(action, value),
+  onKnockAction: (action, knockId) => handleKnockAction(action, knockId),
+  onToggleRecording: () => handleToggleRecording(),
+  onDownloadRecording: (format) => handleDownloadRecording(format)
 });
 
-const signalingClient = new FirebaseSignalingClient(firebaseConfig);
-const meshManager = new PeerMeshManager({
-  signalingClient,
-  workletUrl,
-  onLocalStream: (stream) => ui.attachLocalStream(stream),
-  onRemoteStream: (peerId, stream) => {
+let meshManager = null;
+let sessionActive = false;
+let activeRoomId = null;
+let roomMembers = {};
+let pendingKnocks = [];
+let lastRecording = null;
+const e2eeStates = new Map();
+
+ui.setProfile(loadStoredProfile());
+
+function nameOf(peerId) {
+  return displayNameFor(peerId, roomMembers[peerId]);
+}
+
+const QUALITY_RANK = { good: 0, fair: 1, poor: 2 };
+
+// El indicador de estado muestra el peer con peor enlace y cuántos van por TURN
+function summarizeNetworkQuality(peers) {
+  const rated = Object.entries(peers).filter(([, quality]) => quality.level);
+  if (!rated.length) {
+    return null;
+  }
+  const [worstPeerId, worst] = rated.reduce((current, candidate) =>
+    QUALITY_RANK[candidate[1].level] > QUALITY_RANK[current[1].level] ? candidate : current
+  );
+  return {
+    ...worst,
+    name: nameOf(worstPeerId),
+    relayCount: rated.filter(([, quality]) => quality.path === 'relay').length
+  };
+}
+
+// Si solo uno de los dos extremos usa E2EE no habrá audio: lo marcamos aunque la sesión no reporte nada
+function renderEncryptionState(peerId) {
+  const localEnabled = meshManager?.isE2eeEnabled() ?? false;
+  const remoteEnabled = roomMembers[peerId]?.e2ee;
+  if (remoteEnabled !== undefined && Boolean(remoteEnabled) !== localEnabled) {
+    ui.setRemoteEncryption(peerId, 'mismatch');
+    return;
+  }
+  ui.setRemoteEncryption(peerId, localEnabled ? e2eeStates.get(peerId) ?? 'waiting-key' : null);
+}
+
+function createMeshManager(signalingClient) {
+  const iceConfig = loadIceConfig();
+  // Solo la señalización WebSocket emite el token que exige server/turn-credentials.js; con Firebase o el modo
+  // local la petición sale sin Authorization y ese endpoint responde 401
+  if (iceConfig.credentialsUrl && !signalingClient.requestTurnToken) {
+    logger.warn('Este backend de señalización no emite tokens TURN: el endpoint de credenciales debe aceptar peticiones sin Authorization');
+  }
+  const mesh = new PeerMeshManager({
+    signalingClient,
+    workletUrl,
+    rnnoiseWasmUrl,
+    iceConfig: new IceConfigProvider({
+      ...iceConfig,
+      getCredentialsToken: signalingClient.requestTurnToken ? () => signalingClient.requestTurnToken() : null,
+      logger
+    }),
+    logger
+  });
+  mesh.on('local-stream', (stream) => ui.attachLocalStream(stream));
+  mesh.on('track', ({ peerId, stream }) => {
     logger.info('Adjuntando stream remoto', peerId);
     ui.upsertRemoteStream(peerId, stream);
-    updateStatus(`🟢 Conectado con ${peerId}`);
-  },
-  onRemoteStreamRemoved: (peerId) => {
+    updateStatus(`🟢 Conectado con ${nameOf(peerId)}`);
+  });
+  mesh.on('track-removed', ({ peerId }) => {
     ui.removeRemoteStream(peerId);
-    updateStatus(`🔌 ${peerId} desconectado`, 'info');
-  },
-  onStatus: handleMeshStatus,
-  logger
-});
+    updateStatus(`🔌 ${nameOf(peerId)} desconectado`, 'info');
+  });
+  mesh.on('status', handleMeshStatus);
+  mesh.on('chat-message', (message) => {
+    // El nombre de la lista de miembros manda sobre el que viene en el mensaje, que cualquiera puede poner
+    const rosterName = roomMembers[message.from]?.displayName;
+    ui.appendChatMessage({
+      ...message,
+      authorName: message.local ? message.name || 'Yo' : rosterName || message.name || nameOf(message.from),
+      relayedByName: message.relayedBy ? nameOf(message.relayedBy) : null
+    });
+  });
+  mesh.on('file-transfer', (transfer) => handleFileTransfer(transfer));
+  mesh.on('audio-levels', (levels) => {
+    Object.entries(levels).forEach(([id, level]) => {
+      if (id === LOCAL_LEVEL_ID) {
+        ui.setLocalLevel(level);
+      } else {
+        ui.setRemoteLevel(id, level);
+      }
+    });
+  });
+  return mesh;
+}
 
-let sessionActive = false;
-let activeRoomId = null;
+async function init() {
+  ui.setButtonsDisabled(true);
+  try {
+    const signalingConfig = loadSignalingConfig();
+    const signalingClient = await createSignalingClient(signalingConfig);
+    meshManager = createMeshManager(signalingClient);
+    ui.setRnNoise({ enabled: false, available: meshManager.isRnNoiseAvailable() });
+    refreshDevices();
+    logger.info('Señalización lista con backend', signalingConfig.backend);
+    updateStatus('Comprueba el micrófono u omite la comprobación para empezar');
+    await offerInvite();
+  } catch (error) {
+    logger.error('No se pudo inicializar la señalización', error);
+    updateStatus(error.message || 'Error al inicializar. Revisa consola.', 'error');
+  }
+}
+
+async function isMicrophoneGranted() {
+  try {
+    const status = await navigator.permissions?.query({ name: 'microphone' });
+    return status?.state === 'granted';
+  } catch {
+    // Firefox no reconoce 'microphone' en la Permissions API
+    return false;
+  }
+}
+
+// El enlace solo rellena la sala: entrar exige un clic, que es también el gesto que pide el micrófono
+async function offerInvite() {
+  const roomId = readInviteRoomId();
+  if (!roomId) {
+    return;
+  }
+  ui.setRoomId(roomId);
+  ui.setInvite({ roomId, micGranted: await isMicrophoneGranted() });
+  updateStatus(`Invitación a la sala ${roomId}. Comprueba el micrófono (u omítelo) y pulsa “Unirse ahora”.`);
+}
+
+// Crear y unirse quedan deshabilitados hasta que la comprobación termina, pase o no, o se omite
+async function handleDeviceCheck({ loopback }) {
+  if (!meshManager || sessionActive) {
+    return;
+  }
+  ui.setButtonsDisabled(true);
+  let result;
+  try {
+    ui.setDeviceCheckStep('microphone');
+    await ensureLocalStream();
+    result = await meshManager.runDeviceCheck({
+      loopback,
+      playSample: (blob) => ui.playDeviceCheckSample(blob),
+      onStep: (step) => ui.setDeviceCheckStep(step),
+      onLoopbackStream: (stream) => ui.setDeviceCheckLoopback(stream)
+    });
+  } catch (error) {
+    logger.error('Comprobación de dispositivos fallida', error);
+    result = { ok: false, results: [{ step: 'microphone', ok: false, error: error.message }] };
+  }
+  ui.setDeviceCheckResult(result);
+  updateStatus(result.ok ? '✅ Comprobación de audio superada' : '⚠️ La comprobación de audio encontró problemas', result.ok ? 'info' : 'error');
+  ui.setButtonsDisabled(false);
+}
+
+function handleSkipDeviceCheck() {
+  if (!meshManager) {
+    return;
+  }
+  ui.setButtonsDisabled(false);
+  updateStatus('Comprobación omitida');
+}
 
 async function handleGenerateRoomId() {
   const roomId = createRandomRoomId();
@@ -95,11 +309,179 @@ async function handleGenerateRoomId() {
 
 async function ensureLocalStream() {
   try {
-    await meshManager.ensureLocalStream(DEFAULT_AUDIO_CONSTRAINTS);
+    await meshManager.ensureLocalStream();
   } catch (error) {
     logger.error('No se pudo obtener audio local', error);
     throw new Error('permission-denied');
   }
+  // Con permiso concedido enumerateDevices ya devuelve etiquetas legibles
+  await refreshDevices();
+}
+
+async function refreshDevices() {
+  try {
+    const devices = await meshManager.listAudioDevices();
+    ui.setDeviceOptions({ ...devices, selectedInputId: meshManager.inputDeviceId });
+  } catch (error) {
+    logger.warn('No se pudieron enumerar dispositivos', error);
+  }
+}
+
+async function handleInputDeviceChange(deviceId) {
+  try {
+    await meshManager.switchInputDevice(deviceId);
+  } catch (error) {
+    logger.error('No se pudo cambiar de micrófono', error);
+    ui.setSelectedInputDevice(meshManager.inputDeviceId);
+    updateStatus('No se pudo cambiar de micrófono', 'error');
+  }
+}
+
+function handleAudioPresetChange(preset) {
+  try {
+    meshManager.setAudioPreset(preset);
+  } catch (error) {
+    logger.error('Preset de audio no válido', preset, error);
+    ui.setAudioPreset(meshManager.getAudioPreset());
+  }
+}
+
+// Si el procesado falla, el mesh ya ha vuelto a enviar la pista anterior y lo notifica con el evento de estado
+async function handleNoiseGateChange(settings) {
+  try {
+    await meshManager?.setNoiseGate(settings);
+  } catch (error) {
+    logger.error('No se pudo aplicar la puerta de ruido', error);
+  }
+}
+
+async function handleRnNoiseToggle(enabled) {
+  try {
+    await meshManager?.setRnNoise(enabled);
+  } catch (error) {
+    logger.error('No se pudo cambiar RNNoise', error);
+    if (error.message === 'rnnoise-unavailable') {
+      ui.setRnNoise({ enabled: false, available: false });
+      updateStatus('RNNoise no está configurado (VITE_RNNOISE_WASM_URL)', 'error');
+    }
+  }
+}
+
+function handleProfileChange(profile) {
+  storeProfile(profile);
+  meshManager?.setProfile(profile);
+}
+
+const FILE_ERROR_MESSAGES = {
+  'empty-file': 'El archivo está vacío',
+  'file-too-large': 'El archivo supera el máximo de 256 MB',
+  'no-peers': 'No hay participantes conectados para recibir el archivo'
+};
+
+async function handleSendFile(file, peerId) {
+  try {
+    await meshManager.sendFile(file, { peerIds: peerId ? [peerId] : undefined });
+  } catch (error) {
+    logger.error('No se pudo ofrecer el archivo', error);
+    updateStatus(FILE_ERROR_MESSAGES[error.message] ?? 'No se pudo enviar el archivo', 'error');
+  }
+}
+
+function handleFileAction(action, transferId) {
+  if (action === 'accept') {
+    meshManager.acceptFile(transferId);
+  } else if (action === 'decline') {
+    meshManager.declineFile(transferId);
+  } else if (action === 'cancel') {
+    meshManager.cancelFile(transferId);
+  }
+}
+
+function handleFileTransfer(transfer) {
+  ui.renderFileTransfer(transfer, nameOf(transfer.peerId));
+  if (transfer.state === 'pending') {
+    updateStatus(`📎 ${nameOf(transfer.peerId)} quiere enviarte ${transfer.name}`);
+  } else if (transfer.state === 'failed' && transfer.error === 'integrity-mismatch') {
+    updateStatus(`El archivo ${transfer.name} no superó la verificación SHA-256`, 'error');
+  }
+}
+
+const MODERATION_ERROR_MESSAGES = {
+  'not-host': 'Solo el anfitrión puede hacer eso',
+  'member-not-found': 'Ese participante ya no está en la sala',
+  'invalid-target': 'No puedes expulsarte a ti mismo',
+  'knock-not-found': 'Esa petición ya fue respondida o caducó'
+};
+
+async function handleModerationAction(action, value) {
+  try {
+    if (action === 'kick') {
+      if (!window.confirm(`¿Expulsar a ${nameOf(value)} de la sala?`)) {
+        return;
+      }
+      await meshManager.kickParticipant(value);
+      updateStatus(`${nameOf(value)} ha sido expulsado`);
+    } else if (action === 'make-host') {
+      await meshManager.transferHost(value);
+      updateStatus(`👑 ${nameOf(value)} es ahora el anfitrión`);
+    } else if (action === 'mute-all') {
+      await meshManager.muteAll();
+      updateStatus('🔇 Se ha pedido a todos que silencien el micrófono');
+    } else if (action === 'lock') {
+      await meshManager.setRoomLocked(value);
+    } else if (action === 'lobby') {
+      await meshManager.setLobbyEnabled(value);
+    }
+  } catch (error) {
+    logger.error('Acción de moderación fallida', action, error);
+    updateStatus(MODERATION_ERROR_MESSAGES[error.message] ?? 'No se pudo completar la acción de moderación', 'error');
+  }
+}
+
+async function handleKnockAction(action, knockId) {
+  const knock = pendingKnocks.find(({ id }) => id === knockId);
+  const name = knock ? knock.displayName || knock.peerId : 'El invitado';
+  try {
+    await meshManager.answerKnock(knockId, action === 'approve');
+    updateStatus(action === 'approve' ? `🚪 ${name} puede entrar` : `🚪 Has rechazado a ${name}`);
+  } catch (error) {
+    logger.error('No se pudo responder a la llamada', error);
+    updateStatus(MODERATION_ERROR_MESSAGES[error.message] ?? 'No se pudo responder a la petición de entrada', 'error');
+  }
+}
+
+async function handleToggleRecording() {
+  try {
+    if (meshManager.isRecording()) {
+      await meshManager.stopRecording();
+    } else {
+      meshManager.startRecording();
+    }
+  } catch (error) {
+    logger.error('Error de grabación', error);
+    updateStatus(
+      error.message === 'recording-unsupported' ? 'Este navegador no puede grabar audio (MediaRecorder)' : 'No se pudo grabar la llamada',
+      'error'
+    );
+  }
+}
+
+async function handleDownloadRecording(format) {
+  if (!lastRecording) {
+    return;
+  }
+  const baseName = `clean-call-${lastRecording.roomId}-${new Date(lastRecording.startedAt).toISOString().replace(/[:.]/g, '-')}`;
+  if (format === 'wav') {
+    try {
+      downloadBlob(await convertRecordingToWav(lastRecording.blob), `${baseName}.wav`);
+    } catch (error) {
+      logger.error('No se pudo convertir a WAV', error);
+      updateStatus('No se pudo convertir la grabación a WAV', 'error');
+    }
+    return;
+  }
+  const extension = lastRecording.mimeType.includes('ogg') ? 'ogg' : 'webm';
+  downloadBlob(lastRecording.blob, `${baseName}.${extension}`);
 }
 
 async function handleJoin(roomId, { createIfMissing }) {
@@ -113,12 +495,23 @@ async function handleJoin(roomId, { createIfMissing }) {
 
   try {
     await ensureLocalStream();
-    const result = await meshManager.join(sanitizedRoomId, { createIfMissing });
+    const profile = ui.getProfile();
+    storeProfile(profile);
+    const result = await meshManager.join(sanitizedRoomId, {
+      createIfMissing,
+      profile,
+      password: ui.getRoomPassword(),
+      e2eePassphrase: ui.getE2eePassphrase()
+    });
+    ui.setLocalEncryption(meshManager.isE2eeEnabled());
     sessionActive = true;
     activeRoomId = sanitizedRoomId;
     ui.setAvailability({ inCall: true, roomId: sanitizedRoomId });
     ui.setHangUpAvailable(true);
-    updateStatus(`En sala ${result.roomId}. ID propio: ${result.peerId}`);
+    ui.setInvite(null);
+    // La barra de direcciones queda como enlace de invitación: recargar vuelve a ofrecer la misma sala
+    window.history.replaceState(null, '', buildInviteUrl(sanitizedRoomId));
+    updateStatus(`En sala ${result.roomId} como ${profile.displayName || result.peerId}`);
   } catch (error) {
     logger.error('No se pudo unir/crear sala', error);
     if (error.message === 'room-not-found') {
@@ -127,6 +520,24 @@ async function handleJoin(roomId, { createIfMissing }) {
       updateStatus('Sala llena (máximo 4). No se pudo unir.', 'error');
     } else if (error.message === 'permission-denied') {
       updateStatus('Permiso de micrófono denegado.', 'error');
+    } else if (error.message === 'password-required') {
+      updateStatus('La sala está protegida. Escribe la contraseña.', 'error');
+    } else if (error.message === 'wrong-password') {
+      updateStatus('Contraseña de sala incorrecta.', 'error');
+    } else if (error.message === 'room-locked') {
+      updateStatus('El anfitrión ha bloqueado la sala a nuevas entradas.', 'error');
+    } else if (error.message === 'kicked') {
+      updateStatus('El anfitrión te expulsó de esta sala.', 'error');
+    } else if (error.message === 'knock-denied') {
+      updateStatus('Un participante ha rechazado tu entrada.', 'error');
+    } else if (error.message === 'knock-timeout') {
+      updateStatus('Nadie respondió a tu petición de entrada. Inténtalo de nuevo.', 'error');
+    } else if (error.message === 'knock-required') {
+      updateStatus('La sala activó la sala de espera. Vuelve a pedir entrada.', 'error');
+    } else if (error.message === 'invalid-password') {
+      updateStatus('La contraseña admite como máximo 128 caracteres.', 'error');
+    } else if (error.message === 'e2ee-unsupported') {
+      updateStatus('Este navegador no soporta E2EE (encoded transforms). Deja la frase vacía.', 'error');
     } else if (error.message === 'already-in-room') {
       updateStatus('Ya estás conectado.', 'info');
     } else {
@@ -144,6 +555,14 @@ async function handleHangUp() {
   sessionActive = false;
   ui.setAvailability({ inCall: false, roomId: activeRoomId });
   ui.resetRemoteStreams();
+  ui.clearChat();
+  ui.clearFileTransfers();
+  ui.setLocalEncryption(false);
+  ui.setModeration();
+  ui.setKnocks([]);
+  pendingKnocks = [];
+  e2eeStates.clear();
+  roomMembers = {};
   updateStatus('Sesión finalizada');
   activeRoomId = null;
 }
@@ -154,11 +573,124 @@ function handleMeshStatus(event) {
       updateStatus(`🟢 Conectado. Otros participantes: ${event.peers.length}`);
       break;
     case 'members':
+      Object.keys(roomMembers)
+        .filter((peerId) => !event.raw?.[peerId])
+        .forEach((peerId) => {
+          ui.setRemoteRecording(peerId, false);
+          ui.setRemoteSpeaking(peerId, false);
+        });
+      roomMembers = event.raw ?? {};
+      Object.entries(roomMembers).forEach(([peerId, member]) => {
+        ui.setRemoteMuted(peerId, member?.muted);
+        ui.setRemoteProfile(peerId, member);
+        if (peerId !== meshManager.peerId) {
+          renderEncryptionState(peerId);
+          ui.setRemoteRecording(peerId, member?.recording);
+          ui.setRemoteSpeaking(peerId, member?.speaking);
+        }
+      });
+      ui.setFileTargets(
+        event.members
+          .filter((peerId) => peerId !== meshManager.peerId)
+          .map((peerId) => ({ peerId, name: nameOf(peerId) }))
+      );
       updateStatus(`Participantes totales: ${event.members.length}`);
       break;
+    case 'e2ee':
+      e2eeStates.set(event.peerId, event.state);
+      renderEncryptionState(event.peerId);
+      if (event.state === 'key-mismatch') {
+        updateStatus(`⚠️ ${nameOf(event.peerId)} usa otra frase E2EE`, 'error');
+      }
+      break;
+    case 'moderation':
+      ui.setModeration(event);
+      break;
+    case 'knocking':
+      updateStatus(`🚪 Esperando a que alguien de la sala ${event.roomId} te deje entrar…`);
+      break;
+    case 'knocks':
+      if (event.knocks.some(({ id }) => !pendingKnocks.some((known) => known.id === id))) {
+        updateStatus('🚪 Alguien quiere entrar en la sala');
+      }
+      pendingKnocks = event.knocks;
+      ui.setKnocks(event.knocks);
+      break;
+    case 'muted-by-host':
+      updateStatus(`🔇 ${nameOf(event.by)} ha silenciado a todos. Puedes volver a activar tu micrófono.`);
+      break;
+    case 'signaling-lost':
+      handleHangUp()
+        .then(() => updateStatus('Se perdió la conexión con el servidor de señalización. Vuelve a unirte.', 'error'))
+        .catch((error) => logger.error('Error al salir tras perder la señalización', error));
+      break;
+    case 'kicked':
+      handleHangUp()
+        .then(() => updateStatus('El anfitrión te ha expulsado de la sala', 'error'))
+        .catch((error) => logger.error('Error al salir tras la expulsión', error));
+      break;
+    case 'recording':
+      ui.setLocalRecording(event.active);
+      if (event.active) {
+        updateStatus('⏺ Grabando la llamada. Los demás ven el aviso de grabación.');
+      } else if (event.result) {
+        lastRecording = { ...event.result, roomId: activeRoomId ?? meshManager.roomId ?? 'sala' };
+        ui.setRecordingAvailable(true);
+        updateStatus(`Grabación lista (${Math.round(event.result.durationMs / 1000)} s). Descárgala en WebM o WAV.`);
+      }
+      break;
+    case 'local-mute':
+      ui.setLocalMuteState(event);
+      break;
+    case 'active-speaker':
+      ui.setActiveSpeaker(event);
+      break;
+    case 'devices':
+      ui.setDeviceOptions({ inputs: event.inputs, outputs: event.outputs, selectedInputId: meshManager.inputDeviceId });
+      break;
+    case 'noise-gate':
+      ui.setNoiseGate(event.settings);
+      if (event.error) {
+        updateStatus('La puerta de ruido falló; se envía el audio sin ella', 'error');
+      }
+      break;
+    case 'rnnoise':
+      ui.setRnNoise({ enabled: event.enabled, available: meshManager.isRnNoiseAvailable() });
+      if (event.error) {
+        updateStatus('RNNoise falló; se envía el audio sin RNNoise', 'error');
+      } else {
+        updateStatus(event.enabled ? 'Supresión de ruido RNNoise activada' : 'Supresión de ruido RNNoise desactivada');
+      }
+      break;
+    case 'auto-mute':
+      ui.setAutoMuted(event.active);
+      break;
+    case 'audio-preset':
+      ui.setAudioPreset(event.preset);
+      updateStatus(`Calidad de audio: ${AUDIO_PRESETS[event.preset].label}`);
+      break;
+    case 'input-device':
+      ui.setSelectedInputDevice(event.deviceId);
+      updateStatus(event.deviceId ? 'Micrófono cambiado' : 'Usando micrófono predeterminado');
+      break;
     case 'left':
       updateStatus('Llamada cerrada');
       break;
+    case 'reconnecting':
+      ui.setRemoteConnectionState(event.peerId, 'reconnecting');
+      updateStatus(`🟡 Reconectando con ${nameOf(event.peerId)}…`);
+      break;
+    case 'recovered':
+      ui.setRemoteConnectionState(event.peerId, 'connected');
+      updateStatus(`🟢 Conexión recuperada con ${nameOf(event.peerId)}`);
+      break;
+    case 'network-quality':
+      Object.entries(event.peers).forEach(([peerId, quality]) => ui.setRemoteQuality(peerId, quality));
+      ui.setNetworkSummary(summarizeNetworkQuality(event.peers));
+      break;
+    case 'lost':
+      updateStatus(`🔴 Conexión perdida con ${nameOf(event.peerId)}`, 'error');
+      break;
     default:
       break;
   }
@@ -174,10 +706,36 @@ window.addEventListener('beforeunload', () => {
   }
 });
 
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function downloadJson(data, filename) {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+}
+
+function downloadStatsReport() {
+  const report = meshManager.stats.buildReport();
+  const roomId = report.call?.roomId ?? 'sin-sala';
+  downloadJson(report, `clean-call-${roomId}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  return report;
+}
+
 // Exponemos hooks opcionales para pruebas avanzadas
 window.cleanCall = {
-  enableRnNoise: () => meshManager.enableRnNoiseWorklet(),
+  enableRnNoise: (enabled = true) => meshManager.setRnNoise(enabled),
+  forceRelay: (enabled = true) => meshManager.setIceTransportPolicy(enabled ? 'relay' : 'all'),
+  iceConfiguration: () => meshManager.iceConfig.getConfiguration(),
+  statsReport: () => meshManager.stats.buildReport(),
+  downloadStatsReport,
+  mute: (muted = true) => meshManager.setMuted(muted),
   state: () => ({ sessionActive, activeRoomId })
 };
 
+init();
 ui.focusRoomInput();
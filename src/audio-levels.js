@@ -0,0 +1,140 @@
+const SAMPLE_INTERVAL_MS = 100;
+const FFT_SIZE = 1024;
+// Rango útil de voz: -60 dBFS se considera silencio y 0 dBFS nivel máximo
+const MIN_DB = -60;
+const DECAY = 0.85;
+const SPEAKING_THRESHOLD = 0.3;
+const SWITCH_HOLD_MS = 400;
+const SILENCE_HOLD_MS = 1200;
+
+function rmsToLevel(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i += 1) {
+    sum += samples[i] * samples[i];
+  }
+  const rms = Math.sqrt(sum / samples.length);
+  if (!rms) {
+    return 0;
+  }
+  const db = 20 * Math.log10(rms);
+  return Math.min(1, Math.max(0, (db - MIN_DB) / -MIN_DB));
+}
+
+export class AudioLevelMonitor {
+  constructor({ onLevels, onActiveSpeaker } = {}) {
+    this.onLevels = onLevels;
+    this.onActiveSpeaker = onActiveSpeaker;
+    this.audioContext = null;
+    this.sources = new Map();
+    this.timer = null;
+    this.activeSpeaker = null;
+    this.pendingSpeaker = null;
+    this.pendingSince = 0;
+  }
+
+  ensureContext() {
+    if (!this.audioContext) {
+      this.audioContext = new AudioContext();
+    }
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume().catch(() => {});
+    }
+    return this.audioContext;
+  }
+
+  track(id, stream) {
+    if (!stream?.getAudioTracks().length) {
+      return;
+    }
+    const existing = this.sources.get(id);
+    if (existing?.stream === stream) {
+      return;
+    }
+    this.untrack(id);
+    const context = this.ensureContext();
+    const source = context.createMediaStreamSource(stream);
+    const analyser = context.createAnalyser();
+    analyser.fftSize = FFT_SIZE;
+    source.connect(analyser);
+    this.sources.set(id, { stream, source, analyser, buffer: new Float32Array(analyser.fftSize), level: 0 });
+    this.start();
+  }
+
+  untrack(id) {
+    const entry = this.sources.get(id);
+    if (!entry) {
+      return;
+    }
+    entry.source.disconnect();
+    this.sources.delete(id);
+    if (this.activeSpeaker === id) {
+      this.setActiveSpeaker(null);
+    }
+    if (!this.sources.size) {
+      this.stop();
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL_MS);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  dispose() {
+    Array.from(this.sources.keys()).forEach((id) => this.untrack(id));
+    this.stop();
+    this.audioContext?.close().catch(() => {});
+    this.audioContext = null;
+  }
+
+  sample() {
+    const levels = {};
+    this.sources.forEach((entry, id) => {
+      entry.analyser.getFloatTimeDomainData(entry.buffer);
+      // Ataque inmediato y caída suave para que el medidor no parpadee
+      entry.level = Math.max(rmsToLevel(entry.buffer), entry.level * DECAY);
+      levels[id] = entry.level;
+    });
+    this.onLevels?.(levels);
+    this.detectActiveSpeaker(levels);
+  }
+
+  detectActiveSpeaker(levels) {
+    const [loudestId, loudestLevel] = Object.entries(levels).reduce(
+      (best, entry) => (entry[1] > best[1] ? entry : best),
+      [null, 0]
+    );
+    const candidate = loudestLevel >= SPEAKING_THRESHOLD ? loudestId : null;
+    if (candidate === this.activeSpeaker) {
+      this.pendingSpeaker = null;
+      return;
+    }
+    const now = Date.now();
+    if (candidate !== this.pendingSpeaker) {
+      this.pendingSpeaker = candidate;
+      this.pendingSince = now;
+      return;
+    }
+    // Histéresis: el cambio de orador exige que el candidato se mantenga un tiempo mínimo
+    const hold = candidate === null ? SILENCE_HOLD_MS : SWITCH_HOLD_MS;
+    if (now - this.pendingSince >= hold) {
+      this.setActiveSpeaker(candidate);
+    }
+  }
+
+  setActiveSpeaker(id) {
+    this.pendingSpeaker = null;
+    if (this.activeSpeaker === id) {
+      return;
+    }
+    this.activeSpeaker = id;
+    this.onActiveSpeaker?.(id);
+  }
+}
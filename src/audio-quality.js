@@ -0,0 +1,135 @@
+import { createLogger } from './logger.js';
+
+// maxBitrate es el techo por conexión con un solo remoto; minBitrate, el suelo al que puede bajar la adaptación
+export const AUDIO_PRESETS = {
+  voice: { label: 'Voz', maxBitrate: 32000, minBitrate: 12000, dtx: true, fec: true },
+  music: { label: 'Música', maxBitrate: 128000, minBitrate: 32000, dtx: false, fec: true },
+  'low-bandwidth': { label: 'Bajo ancho de banda', maxBitrate: 16000, minBitrate: 8000, dtx: true, fec: true }
+};
+export const DEFAULT_AUDIO_PRESET = 'voice';
+
+// En el mesh la misma pista sale una vez por remoto: con más gente baja el presupuesto de cada conexión
+const MESH_SCALE = [1, 1, 0.75, 0.6];
+const LOSS_HIGH_PCT = 5;
+const LOSS_LOW_PCT = 1;
+const RTT_HIGH_MS = 400;
+const RTT_LOW_MS = 250;
+const DECREASE_FACTOR = 0.75;
+const INCREASE_FACTOR = 1.1;
+
+export function isAudioPreset(name) {
+  return Object.hasOwn(AUDIO_PRESETS, name);
+}
+
+// setCodecPreferences solo ordena: Opus primero y el resto detrás por si el remoto no lo ofrece
+export function preferOpus(transceiver) {
+  if (typeof transceiver?.setCodecPreferences !== 'function' || typeof RTCRtpReceiver?.getCapabilities !== 'function') {
+    return;
+  }
+  const codecs = RTCRtpReceiver.getCapabilities('audio')?.codecs ?? [];
+  const isOpus = (codec) => codec.mimeType.toLowerCase() === 'audio/opus';
+  if (!codecs.some(isOpus)) {
+    return;
+  }
+  transceiver.setCodecPreferences([...codecs.filter(isOpus), ...codecs.filter((codec) => !isOpus(codec))]);
+}
+
+function parseFmtp(value) {
+  return Object.fromEntries(
+    value
+      .split(';')
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((part) => {
+        const [key, ...rest] = part.split('=');
+        return [key, rest.join('=')];
+      })
+  );
+}
+
+function serializeFmtp(params) {
+  return Object.entries(params)
+    .map(([key, value]) => (value === '' ? key : `${key}=${value}`))
+    .join(';');
+}
+
+// Los fmtp de Opus describen cómo queremos recibir: se aplican a la SDP que publicamos, no a la local
+export function applyOpusParameters(sdp, { maxBitrate, dtx, fec }) {
+  const payloadTypes = Array.from(sdp.matchAll(/^a=rtpmap:(\d+) opus\/48000/gim), (match) => match[1]);
+  const wanted = {
+    stereo: 0,
+    'sprop-stereo': 0,
+    useinbandfec: fec ? 1 : 0,
+    usedtx: dtx ? 1 : 0,
+    maxaveragebitrate: maxBitrate
+  };
+  return payloadTypes.reduce((current, payloadType) => {
+    const fmtpPattern = new RegExp(`^a=fmtp:${payloadType} ([^\\r\\n]*)`, 'm');
+    const existing = current.match(fmtpPattern);
+    if (existing) {
+      return current.replace(fmtpPattern, `a=fmtp:${payloadType} ${serializeFmtp({ ...parseFmtp(existing[1]), ...wanted })}`);
+    }
+    return current.replace(
+      new RegExp(`^(a=rtpmap:${payloadType} [^\\r\\n]*)`, 'm'),
+      `$1\r\na=fmtp:${payloadType} ${serializeFmtp(wanted)}`
+    );
+  }, sdp);
+}
+
+export class AudioQualityController {
+  constructor({ preset = DEFAULT_AUDIO_PRESET, logger = createLogger('AudioQuality') } = {}) {
+    this.logger = logger;
+    this.presetName = isAudioPreset(preset) ? preset : DEFAULT_AUDIO_PRESET;
+    this.bitrates = new Map();
+  }
+
+  get preset() {
+    return AUDIO_PRESETS[this.presetName];
+  }
+
+  setPreset(name) {
+    if (!isAudioPreset(name)) {
+      throw new Error('invalid-audio-preset');
+    }
+    this.presetName = name;
+    // La adaptación acumulada era relativa al preset anterior
+    this.bitrates.clear();
+  }
+
+  targetBitrate(remoteCount) {
+    const scale = MESH_SCALE[Math.min(Math.max(remoteCount, 0), MESH_SCALE.length - 1)];
+    return Math.max(this.preset.minBitrate, Math.round(this.preset.maxBitrate * scale));
+  }
+
+  bitrateFor(peerId, remoteCount) {
+    const target = this.targetBitrate(remoteCount);
+    return Math.min(target, this.bitrates.get(peerId) ?? target);
+  }
+
+  // La pérdida que nos reporta el remoto (remote-inbound-rtp) es la que provoca nuestro envío
+  adapt(peerId, sample, remoteCount) {
+    const current = this.bitrateFor(peerId, remoteCount);
+    const loss = sample.remoteLossPct ?? sample.packetLossPct;
+    const rtt = sample.rttMs;
+    let next = current;
+    if ((loss ?? 0) > LOSS_HIGH_PCT || (rtt ?? 0) > RTT_HIGH_MS) {
+      next = current * DECREASE_FACTOR;
+    } else if ((loss ?? 0) < LOSS_LOW_PCT && (rtt ?? 0) < RTT_LOW_MS) {
+      next = current * INCREASE_FACTOR;
+    }
+    next = Math.round(Math.min(this.targetBitrate(remoteCount), Math.max(this.preset.minBitrate, next)));
+    if (next !== current) {
+      this.logger.info('Bitrate de audio hacia', peerId, `${current} → ${next} bps`, { loss, rtt });
+    }
+    this.bitrates.set(peerId, next);
+    return next;
+  }
+
+  removePeer(peerId) {
+    this.bitrates.delete(peerId);
+  }
+
+  reset() {
+    this.bitrates.clear();
+  }
+}
@@ -0,0 +1,147 @@
+import { createLogger } from './logger.js';
+
+const PREFERRED_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus'];
+// Fragmentos de 1 s: el audio se entrega de forma incremental y no en un único dataavailable al detener.
+// Solo viven en memoria: si la pestaña se cierra a mitad, la grabación se pierde
+const TIMESLICE_MS = 1000;
+
+export function detectRecordingSupport() {
+  if (typeof MediaRecorder === 'undefined' || typeof AudioContext === 'undefined') {
+    return null;
+  }
+  return PREFERRED_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ?? '';
+}
+
+function writeString(view, offset, value) {
+  for (let i = 0; i < value.length; i += 1) {
+    view.setUint8(offset + i, value.charCodeAt(i));
+  }
+}
+
+// PCM 16 bits entrelazado con cabecera RIFF de 44 bytes
+export function encodeWav(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const bytesPerSample = 2;
+  const dataSize = length * numberOfChannels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numberOfChannels * bytesPerSample, true);
+  view.setUint16(32, numberOfChannels * bytesPerSample, true);
+  view.setUint16(34, 16, true);
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channels = Array.from({ length: numberOfChannels }, (_, index) => audioBuffer.getChannelData(index));
+  let offset = 44;
+  for (let i = 0; i < length; i += 1) {
+    for (let channel = 0; channel < numberOfChannels; channel += 1) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+// La grabación se guarda comprimida; el WAV se genera solo si se pide, decodificando el WebM
+export async function convertRecordingToWav(blob) {
+  const context = new AudioContext();
+  try {
+    const audioBuffer = await context.decodeAudioData(await blob.arrayBuffer());
+    return encodeWav(audioBuffer);
+  } finally {
+    context.close().catch(() => {});
+  }
+}
+
+// Mezcla en un único AudioContext: entrar o salir a mitad solo conecta o desconecta una fuente del destino
+export class CallRecorder {
+  constructor({ logger = createLogger('Recorder') } = {}) {
+    this.logger = logger;
+    this.audioContext = null;
+    this.destination = null;
+    this.mediaRecorder = null;
+    this.sources = new Map();
+    this.chunks = [];
+    this.startedAt = null;
+  }
+
+  get isRecording() {
+    return Boolean(this.mediaRecorder);
+  }
+
+  start(streams) {
+    if (this.mediaRecorder) {
+      throw new Error('already-recording');
+    }
+    const mimeType = detectRecordingSupport();
+    if (mimeType === null) {
+      throw new Error('recording-unsupported');
+    }
+    this.audioContext = new AudioContext();
+    this.destination = this.audioContext.createMediaStreamDestination();
+    streams.forEach((stream, id) => this.addStream(id, stream));
+    this.chunks = [];
+    this.mediaRecorder = new MediaRecorder(this.destination.stream, mimeType ? { mimeType } : undefined);
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size) {
+        this.chunks.push(event.data);
+      }
+    };
+    this.mediaRecorder.start(TIMESLICE_MS);
+    this.startedAt = Date.now();
+    this.logger.info('Grabación iniciada', this.mediaRecorder.mimeType);
+  }
+
+  addStream(id, stream) {
+    if (!this.audioContext || !stream?.getAudioTracks().length) {
+      return;
+    }
+    this.removeStream(id);
+    const source = this.audioContext.createMediaStreamSource(stream);
+    source.connect(this.destination);
+    this.sources.set(id, source);
+  }
+
+  removeStream(id) {
+    const source = this.sources.get(id);
+    if (source) {
+      source.disconnect();
+      this.sources.delete(id);
+    }
+  }
+
+  async stop() {
+    const recorder = this.mediaRecorder;
+    if (!recorder) {
+      return null;
+    }
+    this.mediaRecorder = null;
+    const stopped = new Promise((resolve) => recorder.addEventListener('stop', resolve, { once: true }));
+    recorder.stop();
+    await stopped;
+    const mimeType = recorder.mimeType || 'audio/webm';
+    const result = {
+      blob: new Blob(this.chunks, { type: mimeType }),
+      mimeType,
+      startedAt: this.startedAt,
+      durationMs: Date.now() - this.startedAt
+    };
+    this.sources.forEach((source) => source.disconnect());
+    this.sources.clear();
+    this.chunks = [];
+    this.startedAt = null;
+    await this.audioContext.close().catch(() => {});
+    this.audioContext = null;
+    this.destination = null;
+    this.logger.info('Grabación finalizada', `${Math.round(result.durationMs / 1000)} s`);
+    return result;
+  }
+}
@@ -0,0 +1,314 @@
+import { createLogger } from './logger.js';
+
+const DEFAULT_INTERVAL_MS = 2000;
+// 900 muestras a 2 s ≈ 30 minutos por peer; las más antiguas se descartan
+const DEFAULT_MAX_SAMPLES = 900;
+const MAX_EVENTS = 200;
+// La calidad se valora sobre las últimas muestras (≈ 6 s): un pico aislado no hace parpadear el indicador
+const QUALITY_WINDOW = 3;
+// Umbrales de voz interactiva; "poor" coincide con los que hacen bajar el bitrate en audio-quality.js
+const QUALITY_THRESHOLDS = {
+  good: { rttMs: 250, lossPct: 2, jitterMs: 30 },
+  fair: { rttMs: 400, lossPct: 5, jitterMs: 50 }
+};
+
+function average(values) {
+  const valid = values.filter((value) => Number.isFinite(value));
+  if (!valid.length) {
+    return null;
+  }
+  return Number((valid.reduce((sum, value) => sum + value, 0) / valid.length).toFixed(2));
+}
+
+function maximum(values) {
+  const valid = values.filter((value) => Number.isFinite(value));
+  return valid.length ? Math.max(...valid) : null;
+}
+
+function kbps(bytesNow, bytesBefore, elapsedMs) {
+  if (!Number.isFinite(bytesNow) || !Number.isFinite(bytesBefore) || elapsedMs <= 0) {
+    return null;
+  }
+  return Number((((bytesNow - bytesBefore) * 8) / elapsedMs).toFixed(1));
+}
+
+function findSelectedPair(report) {
+  let selected = null;
+  report.forEach((stat) => {
+    if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+      selected = report.get(stat.selectedCandidatePairId) ?? selected;
+    }
+  });
+  if (selected) {
+    return selected;
+  }
+  // Firefox no expone transport.selectedCandidatePairId, pero marca el par con "selected"
+  report.forEach((stat) => {
+    if (stat.type === 'candidate-pair' && (stat.selected || (stat.nominated && stat.state === 'succeeded'))) {
+      selected = selected ?? stat;
+    }
+  });
+  return selected;
+}
+
+function describeCandidate(stat) {
+  if (!stat) {
+    return null;
+  }
+  return {
+    type: stat.candidateType ?? null,
+    protocol: stat.protocol ?? null,
+    relayProtocol: stat.relayProtocol ?? null
+  };
+}
+
+// Reduce un RTCStatsReport a las métricas de audio que interesan para diagnosticar la llamada
+export function summarizeStatsReport(report, previous) {
+  const now = Date.now();
+  const sample = {
+    t: now,
+    rttMs: null,
+    jitterMs: null,
+    packetLossPct: null,
+    remoteLossPct: null,
+    inboundKbps: null,
+    outboundKbps: null,
+    candidatePair: null
+  };
+  const counters = { bytesReceived: null, bytesSent: null, packetsReceived: null, packetsLost: null };
+
+  const pair = findSelectedPair(report);
+  if (pair) {
+    if (Number.isFinite(pair.currentRoundTripTime)) {
+      sample.rttMs = Math.round(pair.currentRoundTripTime * 1000);
+    }
+    sample.candidatePair = {
+      local: describeCandidate(report.get(pair.localCandidateId)),
+      remote: describeCandidate(report.get(pair.remoteCandidateId))
+    };
+  }
+
+  report.forEach((stat) => {
+    if (stat.kind !== 'audio' && stat.mediaType !== 'audio') {
+      return;
+    }
+    if (stat.type === 'inbound-rtp') {
+      counters.bytesReceived = (counters.bytesReceived ?? 0) + (stat.bytesReceived ?? 0);
+      counters.packetsReceived = (counters.packetsReceived ?? 0) + (stat.packetsReceived ?? 0);
+      counters.packetsLost = (counters.packetsLost ?? 0) + (stat.packetsLost ?? 0);
+      if (Number.isFinite(stat.jitter)) {
+        sample.jitterMs = Math.max(sample.jitterMs ?? 0, Math.round(stat.jitter * 1000));
+      }
+    } else if (stat.type === 'outbound-rtp') {
+      counters.bytesSent = (counters.bytesSent ?? 0) + (stat.bytesSent ?? 0);
+    } else if (stat.type === 'remote-inbound-rtp') {
+      if (sample.rttMs === null && Number.isFinite(stat.roundTripTime)) {
+        sample.rttMs = Math.round(stat.roundTripTime * 1000);
+      }
+      // Pérdida de lo que enviamos, según el último RTCP del remoto
+      if (Number.isFinite(stat.fractionLost)) {
+        sample.remoteLossPct = Math.max(sample.remoteLossPct ?? 0, Number((stat.fractionLost * 100).toFixed(2)));
+      }
+    }
+  });
+
+  if (previous) {
+    const elapsedMs = now - previous.t;
+    sample.inboundKbps = kbps(counters.bytesReceived, previous.counters.bytesReceived, elapsedMs);
+    sample.outboundKbps = kbps(counters.bytesSent, previous.counters.bytesSent, elapsedMs);
+    const received = (counters.packetsReceived ?? 0) - (previous.counters.packetsReceived ?? 0);
+    const lost = (counters.packetsLost ?? 0) - (previous.counters.packetsLost ?? 0);
+    if (received + lost > 0) {
+      sample.packetLossPct = Number(((Math.max(lost, 0) / (received + lost)) * 100).toFixed(2));
+    }
+  }
+
+  return { sample, counters };
+}
+
+function describePath(pair) {
+  if (!pair) {
+    return null;
+  }
+  return pair.local?.type === 'relay' || pair.remote?.type === 'relay' ? 'relay' : 'direct';
+}
+
+function withinThresholds({ rttMs, lossPct, jitterMs }, limits) {
+  return (rttMs ?? 0) <= limits.rttMs && (lossPct ?? 0) <= limits.lossPct && (jitterMs ?? 0) <= limits.jitterMs;
+}
+
+/**
+ * Valora un enlace como good/fair/poor a partir de las muestras más recientes de summarizeStatsReport.
+ * path distingue relay (TURN) de direct (host/srflx/prflx); level es null hasta tener RTT del par conectado.
+ */
+export function rateConnectionQuality(samples) {
+  const recent = (samples ?? []).slice(-QUALITY_WINDOW);
+  const latest = recent[recent.length - 1];
+  if (!latest || (latest.connectionState && latest.connectionState !== 'connected')) {
+    return { level: null, path: describePath(latest?.candidatePair), rttMs: null, lossPct: null, jitterMs: null };
+  }
+  // La pérdida que importa es la peor de los dos sentidos
+  const metrics = {
+    rttMs: average(recent.map((sample) => sample.rttMs)),
+    lossPct: average(recent.map((sample) => maximum([sample.packetLossPct, sample.remoteLossPct]))),
+    jitterMs: average(recent.map((sample) => sample.jitterMs))
+  };
+  let level = 'poor';
+  if (metrics.rttMs === null) {
+    level = null;
+  } else if (withinThresholds(metrics, QUALITY_THRESHOLDS.good)) {
+    level = 'good';
+  } else if (withinThresholds(metrics, QUALITY_THRESHOLDS.fair)) {
+    level = 'fair';
+  }
+  return { level, path: describePath(latest.candidatePair), ...metrics };
+}
+
+export class CallStatsCollector {
+  constructor(options = {}) {
+    const {
+      intervalMs = DEFAULT_INTERVAL_MS,
+      maxSamples = DEFAULT_MAX_SAMPLES,
+      onSample,
+      logger = createLogger('CallStats')
+    } = options;
+
+    this.intervalMs = intervalMs;
+    this.maxSamples = maxSamples;
+    this.onSample = onSample;
+    this.logger = logger;
+
+    this.call = null;
+    this.connections = new Map();
+    this.peers = new Map();
+    this.timer = null;
+  }
+
+  start({ roomId, peerId }) {
+    this.stop();
+    this.call = { roomId, peerId, startedAt: Date.now(), endedAt: null };
+    this.peers.clear();
+    this.timer = setInterval(() => {
+      this.poll().catch((error) => this.logger.warn('Error al leer getStats', error));
+    }, this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.connections.clear();
+    if (this.call && !this.call.endedAt) {
+      this.call.endedAt = Date.now();
+    }
+  }
+
+  peerEntry(peerId) {
+    if (!this.peers.has(peerId)) {
+      this.peers.set(peerId, { samples: [], events: [] });
+    }
+    return this.peers.get(peerId);
+  }
+
+  addConnection(peerId, pc) {
+    this.connections.set(peerId, { pc, previous: null });
+    this.peerEntry(peerId);
+  }
+
+  removeConnection(peerId) {
+    this.connections.delete(peerId);
+  }
+
+  recordEvent(peerId, type, value) {
+    if (!this.call) {
+      return;
+    }
+    const { events } = this.peerEntry(peerId);
+    events.push({ t: Date.now(), type, value });
+    if (events.length > MAX_EVENTS) {
+      events.shift();
+    }
+  }
+
+  // Una conexión que se cierra en mitad del tick rechaza getStats: solo se pierde la muestra de ese peer
+  async poll() {
+    const entries = Array.from(this.connections.entries());
+    const settled = await Promise.allSettled(
+      entries.map(async ([peerId, tracked]) => {
+        const report = await tracked.pc.getStats();
+        const { sample, counters } = summarizeStatsReport(report, tracked.previous);
+        tracked.previous = { t: sample.t, counters };
+        sample.connectionState = tracked.pc.connectionState;
+        sample.iceConnectionState = tracked.pc.iceConnectionState;
+        const { samples } = this.peerEntry(peerId);
+        samples.push(sample);
+        if (samples.length > this.maxSamples) {
+          samples.shift();
+        }
+        return [peerId, sample];
+      })
+    );
+    const results = [];
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      } else {
+        this.logger.warn('Error al leer getStats de', entries[index][0], outcome.reason);
+      }
+    });
+    if (results.length) {
+      this.onSample?.(Object.fromEntries(results));
+    }
+  }
+
+  getRecent(peerId, count = QUALITY_WINDOW) {
+    return (this.peers.get(peerId)?.samples ?? []).slice(-count);
+  }
+
+  getLatest(peerId) {
+    const samples = this.peers.get(peerId)?.samples ?? [];
+    return samples[samples.length - 1] ?? null;
+  }
+
+  buildReport() {
+    const peers = {};
+    this.peers.forEach(({ samples, events }, peerId) => {
+      const candidateTypes = Array.from(
+        new Set(
+          samples
+            .map((sample) => sample.candidatePair)
+            .filter(Boolean)
+            .map((pair) => `${pair.local?.type ?? '?'}→${pair.remote?.type ?? '?'}`)
+        )
+      );
+      peers[peerId] = {
+        summary: {
+          samples: samples.length,
+          avgRttMs: average(samples.map((sample) => sample.rttMs)),
+          maxRttMs: maximum(samples.map((sample) => sample.rttMs)),
+          avgJitterMs: average(samples.map((sample) => sample.jitterMs)),
+          avgPacketLossPct: average(samples.map((sample) => sample.packetLossPct)),
+          avgRemoteLossPct: average(samples.map((sample) => sample.remoteLossPct)),
+          avgInboundKbps: average(samples.map((sample) => sample.inboundKbps)),
+          avgOutboundKbps: average(samples.map((sample) => sample.outboundKbps)),
+          candidatePairs: candidateTypes
+        },
+        events,
+        samples
+      };
+    });
+    return {
+      version: 1,
+      generatedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      call: this.call
+        ? {
+            ...this.call,
+            startedAt: new Date(this.call.startedAt).toISOString(),
+            endedAt: this.call.endedAt ? new Date(this.call.endedAt).toISOString() : null
+          }
+        : null,
+      intervalMs: this.intervalMs,
+      peers
+    };
+  }
+}
@@ -0,0 +1,127 @@
+import { validateDisplayName } from './profile.js';
+import { createLogger } from './logger.js';
+
+// Canal negociado fuera de banda: ambos extremos lo crean con el mismo id y no hace falta ondatachannel
+export const CHAT_CHANNEL_ID = 0;
+export const MAX_CHAT_MESSAGE_LENGTH = 2000;
+const MAX_HISTORY = 200;
+// Un recién llegado solo recibe los últimos mensajes; el resto del historial no sale del peer
+const MAX_SYNC_MESSAGES = 50;
+
+// El autor de un mensaje en directo es siempre el peer del canal. En el historial sincronizado, lo que no
+// escribió quien lo reenvía no se puede verificar: conserva el autor declarado y se marca con relayedBy
+function normalizeMessage(raw, channelPeerId, { relayed = false } = {}) {
+  if (typeof raw?.id !== 'string' || typeof raw.text !== 'string') {
+    return null;
+  }
+  const text = raw.text.trim();
+  if (!text || text.length > MAX_CHAT_MESSAGE_LENGTH) {
+    return null;
+  }
+  const name = validateDisplayName(raw.name);
+  const isRelay = relayed && typeof raw.from === 'string' && raw.from !== channelPeerId;
+  return {
+    id: raw.id.slice(0, 64),
+    from: isRelay ? raw.from : channelPeerId,
+    name: name.ok ? name.value : '',
+    text,
+    sentAt: Number.isFinite(raw.sentAt) ? raw.sentAt : Date.now(),
+    relayedBy: isRelay ? channelPeerId : null
+  };
+}
+
+// Chat efímero sobre el mesh: cada mensaje viaja directo a cada peer y solo vive en memoria
+export class MeshChat {
+  constructor({ onMessage, logger = createLogger('MeshChat') } = {}) {
+    this.onMessage = onMessage;
+    this.logger = logger;
+    this.channels = new Map();
+    this.history = [];
+    this.seenIds = new Set();
+  }
+
+  attach(peerId, channel) {
+    this.detach(peerId);
+    this.channels.set(peerId, channel);
+    channel.onopen = () => {
+      // Tras unirse o reconstruir la conexión, el remoto recibe el historial reciente; los duplicados se descartan
+      if (this.history.length) {
+        this.sendTo(channel, { type: 'sync', messages: this.history.slice(-MAX_SYNC_MESSAGES) });
+      }
+    };
+    channel.onmessage = (event) => this.handleData(peerId, event.data);
+  }
+
+  detach(peerId) {
+    const channel = this.channels.get(peerId);
+    if (!channel) {
+      return;
+    }
+    channel.onopen = null;
+    channel.onmessage = null;
+    this.channels.delete(peerId);
+  }
+
+  send({ from, name = '', text }) {
+    const message = normalizeMessage({ id: crypto.randomUUID(), from, name, text, sentAt: Date.now() }, from);
+    if (!message) {
+      throw new Error('invalid-chat-message');
+    }
+    this.store(message, { local: true });
+    let delivered = 0;
+    this.channels.forEach((channel) => {
+      if (this.sendTo(channel, { type: 'message', message })) {
+        delivered += 1;
+      }
+    });
+    return { message, delivered };
+  }
+
+  sendTo(channel, payload) {
+    if (channel.readyState !== 'open') {
+      return false;
+    }
+    try {
+      channel.send(JSON.stringify(payload));
+      return true;
+    } catch (error) {
+      this.logger.warn('No se pudo enviar por el canal de chat', error);
+      return false;
+    }
+  }
+
+  handleData(peerId, data) {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      this.logger.warn('Mensaje de chat ilegible de', peerId);
+      return;
+    }
+    const relayed = payload?.type === 'sync' && Array.isArray(payload.messages);
+    const incoming = relayed ? payload.messages.slice(-MAX_SYNC_MESSAGES) : [payload?.message];
+    incoming
+      .map((raw) => normalizeMessage(raw, peerId, { relayed }))
+      .filter(Boolean)
+      .sort((a, b) => a.sentAt - b.sentAt)
+      .forEach((message) => this.store(message, { local: false }));
+  }
+
+  store(message, { local }) {
+    if (this.seenIds.has(message.id)) {
+      return;
+    }
+    this.seenIds.add(message.id);
+    this.history.push(message);
+    if (this.history.length > MAX_HISTORY) {
+      this.seenIds.delete(this.history.shift().id);
+    }
+    this.onMessage?.({ ...message, local });
+  }
+
+  clear() {
+    Array.from(this.channels.keys()).forEach((peerId) => this.detach(peerId));
+    this.history = [];
+    this.seenIds.clear();
+  }
+}
@@ -0,0 +1,211 @@
+import { AudioLevelMonitor } from './audio-levels.js';
+import { applyOpusParameters, preferOpus } from './audio-quality.js';
+import { detectRecordingSupport } from './call-recorder.js';
+import { createLogger } from './logger.js';
+
+export const DEVICE_CHECK_SAMPLE_MS = 3000;
+const LOOPBACK_DURATION_MS = 4000;
+const LOOPBACK_CONNECT_TIMEOUT_MS = 5000;
+// Nivel normalizado de audio-levels.js: 0.2 ≈ -48 dBFS, por encima del ruido de un micrófono abierto en silencio
+const MIN_SPEECH_LEVEL = 0.2;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, ms, code) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(code)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Mismo medidor que la llamada: el nivel de la comprobación es comparable al que se ve dentro
+async function measurePeakLevel(stream, durationMs) {
+  let peak = 0;
+  const monitor = new AudioLevelMonitor({
+    onLevels: ({ sample = 0 }) => {
+      peak = Math.max(peak, sample);
+    }
+  });
+  monitor.track('sample', stream);
+  try {
+    await delay(durationMs);
+  } finally {
+    monitor.dispose();
+  }
+  return peak;
+}
+
+async function recordSample(stream, durationMs) {
+  const mimeType = detectRecordingSupport();
+  if (mimeType === null) {
+    throw new Error('recording-unsupported');
+  }
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (event) => {
+    if (event.data.size) {
+      chunks.push(event.data);
+    }
+  });
+  const stopped = new Promise((resolve, reject) => {
+    recorder.addEventListener('stop', resolve, { once: true });
+    recorder.addEventListener('error', (event) => reject(event.error ?? new Error('recording-failed')), { once: true });
+  });
+  recorder.start();
+  const peakLevel = await measurePeakLevel(stream, durationMs);
+  recorder.stop();
+  await stopped;
+  return { blob: new Blob(chunks, { type: recorder.mimeType || mimeType }), peakLevel };
+}
+
+function waitForConnected(pc) {
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (pc.connectionState === 'connected') {
+        resolve();
+      } else if (pc.connectionState === 'failed') {
+        reject(new Error('loopback-failed'));
+      }
+    };
+    pc.addEventListener('connectionstatechange', check);
+    check();
+  });
+}
+
+// Dos RTCPeerConnection en la misma página: la pista pasa por Opus, SRTP y jitter buffer igual que en la llamada
+async function runLoopback(stream, track, { preset, durationMs, onStream }) {
+  const sender = new RTCPeerConnection();
+  const receiver = new RTCPeerConnection();
+  [
+    [sender, receiver],
+    [receiver, sender]
+  ].forEach(([from, to]) => {
+    from.addEventListener('icecandidate', ({ candidate }) => {
+      if (candidate) {
+        to.addIceCandidate(candidate).catch(() => {});
+      }
+    });
+  });
+  const remoteStream = new Promise((resolve) => {
+    receiver.addEventListener(
+      'track',
+      (event) => {
+        preferOpus(event.transceiver);
+        resolve(event.streams[0] ?? new MediaStream([event.track]));
+      },
+      { once: true }
+    );
+  });
+  try {
+    sender.addTrack(track, stream);
+    sender.getTransceivers().forEach(preferOpus);
+    // Cada extremo publica sus fmtp de Opus como en describeLocalDescription del mesh
+    await sender.setLocalDescription();
+    await receiver.setRemoteDescription({ type: 'offer', sdp: applyOpusParameters(sender.localDescription.sdp, preset) });
+    await receiver.setLocalDescription();
+    await sender.setRemoteDescription({ type: 'answer', sdp: applyOpusParameters(receiver.localDescription.sdp, preset) });
+    const received = await remoteStream;
+    await withTimeout(waitForConnected(receiver), LOOPBACK_CONNECT_TIMEOUT_MS, 'loopback-timeout');
+    // Chrome solo entrega audio remoto a Web Audio si la pista también suena en un elemento <audio>
+    onStream?.(received);
+    const peakLevel = await measurePeakLevel(received, durationMs);
+    const report = await receiver.getStats();
+    let packetsReceived = 0;
+    let codec = null;
+    report.forEach((stat) => {
+      if (stat.type === 'inbound-rtp' && (stat.kind ?? stat.mediaType) === 'audio') {
+        packetsReceived += stat.packetsReceived ?? 0;
+        codec = report.get(stat.codecId)?.mimeType ?? codec;
+      }
+    });
+    return { peakLevel, packetsReceived, codec };
+  } finally {
+    onStream?.(null);
+    sender.close();
+    receiver.close();
+  }
+}
+
+function levelResult(step, peakLevel) {
+  return { step, ok: peakLevel >= MIN_SPEECH_LEVEL, value: peakLevel, ...(peakLevel < MIN_SPEECH_LEVEL && { error: 'silent' }) };
+}
+
+/**
+ * Comprobación previa a entrar: micrófono, nivel, grabación, reproducción y, opcionalmente, eco por WebRTC.
+ * playSample recibe el Blob grabado y resuelve cuando termina de sonar; sin él se omite la reproducción.
+ * Devuelve { ok, results: [{ step, ok, value?, error? }] }; un paso fallido no impide ejecutar los siguientes.
+ */
+export async function runDeviceCheck({
+  stream,
+  track,
+  preset,
+  loopback = false,
+  playSample,
+  onStep,
+  onLoopbackStream,
+  logger = createLogger('DeviceCheck')
+}) {
+  const results = [];
+  const run = async (step, task) => {
+    onStep?.(step);
+    try {
+      const result = await task();
+      results.push(...(Array.isArray(result) ? result : [result]));
+    } catch (error) {
+      logger.warn('Paso de comprobación fallido', step, error);
+      results.push({ step, ok: false, error: error.message || 'failed' });
+    }
+  };
+
+  await run('microphone', () => {
+    if (track?.readyState !== 'live') {
+      throw new Error('no-track');
+    }
+    if (!track.enabled) {
+      throw new Error('muted');
+    }
+    return { step: 'microphone', ok: true, value: track.label };
+  });
+  if (!results[0].ok) {
+    return { ok: false, results };
+  }
+
+  const trackStream = new MediaStream([track]);
+  let sample = null;
+  await run('recording', async () => {
+    const { blob, peakLevel } = await recordSample(trackStream, DEVICE_CHECK_SAMPLE_MS);
+    sample = blob.size ? blob : null;
+    return [levelResult('level', peakLevel), { step: 'recording', ok: Boolean(sample), ...(!sample && { error: 'recording-empty' }) }];
+  });
+
+  if (sample && playSample) {
+    await run('playback', async () => {
+      await playSample(sample);
+      return { step: 'playback', ok: true };
+    });
+  }
+
+  if (loopback) {
+    await run('loopback', async () => {
+      const { peakLevel, packetsReceived, codec } = await runLoopback(stream, track, {
+        preset,
+        durationMs: LOOPBACK_DURATION_MS,
+        onStream: onLoopbackStream
+      });
+      if (!packetsReceived) {
+        throw new Error('no-packets');
+      }
+      if (codec && codec.toLowerCase() !== 'audio/opus') {
+        return { step: 'loopback', ok: false, value: codec, error: 'not-opus' };
+      }
+      return levelResult('loopback', peakLevel);
+    });
+  }
+
+  const ok = results.every((result) => result.ok);
+  logger.info('Comprobación de dispositivos', ok ? 'superada' : 'con fallos', results);
+  return { ok, results };
+}
@@ -0,0 +1,116 @@
+// Trama cifrada: [ciphertext + tag AES-GCM][IV de 12 bytes][índice de clave de 1 byte]
+const IV_LENGTH = 12;
+const TRAILER_LENGTH = IV_LENGTH + 1;
+// Fallos consecutivos antes de declarar que las claves no coinciden (una trama Opus cada 20 ms)
+const FAILURE_THRESHOLD = 10;
+// Índices de clave que se conservan por participante para descifrar tramas en vuelo durante una rotación
+const KEPT_KEYS = 2;
+
+export class FrameCryptor {
+  constructor({ onDecryptState } = {}) {
+    this.onDecryptState = onDecryptState;
+    this.sendKey = null;
+    this.receiveKeys = new Map();
+    this.failures = new Map();
+  }
+
+  setSendKey(index, key) {
+    this.sendKey = { index, key };
+  }
+
+  setReceiveKey(participantId, index, key) {
+    const keys = this.receiveKeys.get(participantId) ?? new Map();
+    keys.delete(index);
+    keys.set(index, key);
+    while (keys.size > KEPT_KEYS) {
+      keys.delete(keys.keys().next().value);
+    }
+    this.receiveKeys.set(participantId, keys);
+  }
+
+  removeParticipant(participantId) {
+    this.receiveKeys.delete(participantId);
+    this.failures.delete(participantId);
+  }
+
+  createTransform({ operation, participantId }) {
+    return new TransformStream({
+      transform: (frame, controller) =>
+        operation === 'encrypt' ? this.encrypt(frame, controller) : this.decrypt(participantId, frame, controller)
+    });
+  }
+
+  async encrypt(frame, controller) {
+    // Sin clave de envío se descarta la trama: con E2EE activo nunca sale audio en claro
+    if (!this.sendKey) {
+      return;
+    }
+    const { index, key } = this.sendKey;
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, frame.data));
+    const output = new Uint8Array(ciphertext.byteLength + TRAILER_LENGTH);
+    output.set(ciphertext);
+    output.set(iv, ciphertext.byteLength);
+    output[output.byteLength - 1] = index;
+    frame.data = output.buffer;
+    controller.enqueue(frame);
+  }
+
+  async decrypt(participantId, frame, controller) {
+    const data = new Uint8Array(frame.data);
+    if (data.byteLength <= TRAILER_LENGTH) {
+      this.reportFailure(participantId);
+      return;
+    }
+    const key = this.receiveKeys.get(participantId)?.get(data[data.byteLength - 1]);
+    if (!key) {
+      this.reportFailure(participantId);
+      return;
+    }
+    const ivStart = data.byteLength - TRAILER_LENGTH;
+    try {
+      frame.data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: data.subarray(ivStart, ivStart + IV_LENGTH) },
+        key,
+        data.subarray(0, ivStart)
+      );
+    } catch (error) {
+      this.reportFailure(participantId);
+      return;
+    }
+    controller.enqueue(frame);
+    this.reportSuccess(participantId);
+  }
+
+  reportFailure(participantId) {
+    const failures = (this.failures.get(participantId) ?? 0) + 1;
+    this.failures.set(participantId, failures);
+    if (failures === FAILURE_THRESHOLD) {
+      this.onDecryptState?.(participantId, false);
+    }
+  }
+
+  reportSuccess(participantId) {
+    if ((this.failures.get(participantId) ?? 0) >= FAILURE_THRESHOLD) {
+      this.onDecryptState?.(participantId, true);
+    }
+    this.failures.set(participantId, 0);
+  }
+}
+
+// Mismo protocolo de mensajes en el worker y en el hilo principal (modo createEncodedStreams)
+export function applyCryptorMessage(cryptor, message) {
+  switch (message.type) {
+    case 'set-send-key':
+      cryptor.setSendKey(message.index, message.key);
+      break;
+    case 'set-receive-key':
+      cryptor.setReceiveKey(message.participantId, message.index, message.key);
+      break;
+    case 'remove-participant':
+      cryptor.removeParticipant(message.participantId);
+      break;
+    default:
+      break;
+  }
+}
@@ -0,0 +1,11 @@
+import { FrameCryptor, applyCryptorMessage } from './e2ee-frame.js';
+
+const cryptor = new FrameCryptor({
+  onDecryptState: (participantId, ok) => self.postMessage({ type: 'decrypt-state', participantId, ok })
+});
+
+self.onrtctransform = ({ transformer }) => {
+  transformer.readable.pipeThrough(cryptor.createTransform(transformer.options)).pipeTo(transformer.writable);
+};
+
+self.onmessage = ({ data }) => applyCryptorMessage(cryptor, data);
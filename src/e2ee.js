@@ -0,0 +1,233 @@
+/* global RTCRtpScriptTransform */
+import { FrameCryptor, applyCryptorMessage } from './e2ee-frame.js';
+import { createLogger } from './logger.js';
+
+// Canal negociado para el intercambio de claves, junto a chat (0) y archivos (1)
+export const E2EE_CHANNEL_ID = 2;
+const PBKDF2_ITERATIONS = 250000;
+// Margen para que los demás reciban la clave nueva antes de empezar a cifrar con ella
+const ROTATION_DELAY_MS = 1000;
+const textEncoder = new TextEncoder();
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+}
+
+export function detectE2eeSupport() {
+  if (typeof RTCRtpScriptTransform !== 'undefined') {
+    return 'script-transform';
+  }
+  if (typeof RTCRtpSender !== 'undefined' && 'createEncodedStreams' in RTCRtpSender.prototype) {
+    return 'encoded-streams';
+  }
+  return null;
+}
+
+// La frase nunca sale del navegador: solo sirve para envolver las claves de medios que se intercambian por DataChannel
+async function deriveWrappingKey(passphrase, roomId) {
+  const material = await crypto.subtle.importKey('raw', textEncoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: textEncoder.encode(`clean-call-e2ee:${roomId}`), iterations: PBKDF2_ITERATIONS },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+function importMediaKey(raw) {
+  return crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+// Cada participante cifra con su propia clave aleatoria; al salir alguien se genera otra que el saliente no recibe
+export class E2eeSession {
+  constructor({ onStateChange, logger = createLogger('E2EE') } = {}) {
+    this.onStateChange = onStateChange;
+    this.logger = logger;
+    this.mode = null;
+    this.worker = null;
+    this.cryptor = null;
+    this.peerId = null;
+    this.wrappingKey = null;
+    this.sendKey = null;
+    this.pendingKey = null;
+    this.rotationTimer = null;
+    this.channels = new Map();
+    this.states = new Map();
+  }
+
+  async start(passphrase, { roomId, peerId }) {
+    this.mode = detectE2eeSupport();
+    if (!this.mode) {
+      throw new Error('e2ee-unsupported');
+    }
+    this.peerId = peerId;
+    this.wrappingKey = await deriveWrappingKey(passphrase, roomId);
+    const onDecryptState = (participantId, ok) => this.setState(participantId, ok ? 'encrypted' : 'key-mismatch');
+    if (this.mode === 'script-transform') {
+      this.worker = new Worker(new URL('./e2ee-worker.js', import.meta.url), { type: 'module', name: 'clean-call-e2ee' });
+      this.worker.onmessage = ({ data }) => {
+        if (data.type === 'decrypt-state') {
+          onDecryptState(data.participantId, data.ok);
+        }
+      };
+    } else {
+      this.cryptor = new FrameCryptor({ onDecryptState });
+    }
+    this.sendKey = await this.generateKey(0);
+    this.postToCryptor({ type: 'set-send-key', index: this.sendKey.index, key: this.sendKey.key });
+    this.logger.info('E2EE activo en modo', this.mode);
+  }
+
+  stop() {
+    clearTimeout(this.rotationTimer);
+    this.rotationTimer = null;
+    Array.from(this.channels.keys()).forEach((peerId) => this.detachPeer(peerId));
+    this.worker?.terminate();
+    this.worker = null;
+    this.cryptor = null;
+    this.wrappingKey = null;
+    this.sendKey = null;
+    this.pendingKey = null;
+    this.states.clear();
+  }
+
+  // createEncodedStreams exige activarlo al crear el RTCPeerConnection
+  peerConnectionConfig() {
+    return this.mode === 'encoded-streams' ? { encodedInsertableStreams: true } : {};
+  }
+
+  postToCryptor(message) {
+    if (this.worker) {
+      this.worker.postMessage(message);
+    } else if (this.cryptor) {
+      applyCryptorMessage(this.cryptor, message);
+    }
+  }
+
+  setupSender(sender) {
+    this.applyTransform(sender, { operation: 'encrypt' });
+  }
+
+  setupReceiver(receiver, participantId) {
+    this.applyTransform(receiver, { operation: 'decrypt', participantId });
+  }
+
+  applyTransform(endpoint, options) {
+    if (this.mode === 'script-transform') {
+      endpoint.transform = new RTCRtpScriptTransform(this.worker, options);
+      return;
+    }
+    const { readable, writable } = endpoint.createEncodedStreams();
+    readable
+      .pipeThrough(this.cryptor.createTransform(options))
+      .pipeTo(writable)
+      .catch((error) => this.logger.warn('Transform E2EE detenido', error));
+  }
+
+  async generateKey(index) {
+    const raw = crypto.getRandomValues(new Uint8Array(32));
+    return { index, raw, key: await importMediaKey(raw) };
+  }
+
+  attachPeer(peerId, channel) {
+    this.channels.set(peerId, channel);
+    if (!this.states.has(peerId)) {
+      this.setState(peerId, 'waiting-key');
+    }
+    channel.onopen = () => {
+      [this.sendKey, this.pendingKey].filter(Boolean).forEach((entry) => {
+        this.sendWrappedKey(channel, entry).catch((error) => this.logger.warn('No se pudo enviar clave a', peerId, error));
+      });
+    };
+    channel.onmessage = (event) => {
+      this.handleKeyMessage(peerId, event.data).catch((error) => this.logger.warn('Clave inválida de', peerId, error));
+    };
+  }
+
+  // rotate=false al reconstruir la conexión: el mismo peer sigue en la sala
+  detachPeer(peerId, { rotate = false } = {}) {
+    const channel = this.channels.get(peerId);
+    if (channel) {
+      channel.onopen = null;
+      channel.onmessage = null;
+      this.channels.delete(peerId);
+    }
+    if (!rotate) {
+      return;
+    }
+    this.states.delete(peerId);
+    this.postToCryptor({ type: 'remove-participant', participantId: peerId });
+    this.rotateSendKey().catch((error) => this.logger.error('Error al rotar la clave', error));
+  }
+
+  async rotateSendKey() {
+    if (!this.sendKey) {
+      return;
+    }
+    const next = await this.generateKey(((this.pendingKey ?? this.sendKey).index + 1) % 256);
+    if (!this.sendKey) {
+      return;
+    }
+    this.pendingKey = next;
+    await Promise.all(Array.from(this.channels.values(), (channel) => this.sendWrappedKey(channel, next).catch(() => {})));
+    clearTimeout(this.rotationTimer);
+    this.rotationTimer = setTimeout(() => {
+      this.rotationTimer = null;
+      if (this.pendingKey !== next) {
+        return;
+      }
+      this.sendKey = next;
+      this.pendingKey = null;
+      this.postToCryptor({ type: 'set-send-key', index: next.index, key: next.key });
+      this.logger.info('Clave de envío rotada, índice', next.index);
+    }, ROTATION_DELAY_MS);
+  }
+
+  async sendWrappedKey(channel, { index, raw }) {
+    if (channel.readyState !== 'open' || !this.wrappingKey) {
+      return;
+    }
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    // El emisor y el índice van como datos asociados: una clave no puede reutilizarse para suplantar a otro peer
+    const wrapped = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: textEncoder.encode(`${this.peerId}:${index}`) },
+      this.wrappingKey,
+      raw
+    );
+    channel.send(JSON.stringify({ type: 'key', index, iv: toBase64(iv), key: toBase64(wrapped) }));
+  }
+
+  async handleKeyMessage(peerId, data) {
+    const message = JSON.parse(data);
+    if (!this.wrappingKey || message?.type !== 'key' || !Number.isInteger(message.index) || message.index < 0 || message.index > 255) {
+      return;
+    }
+    let raw;
+    try {
+      raw = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(message.iv), additionalData: textEncoder.encode(`${peerId}:${message.index}`) },
+        this.wrappingKey,
+        fromBase64(message.key)
+      );
+    } catch (error) {
+      // La clave no se puede desenvolver: el remoto usa otra frase
+      this.setState(peerId, 'key-mismatch');
+      return;
+    }
+    this.postToCryptor({ type: 'set-receive-key', participantId: peerId, index: message.index, key: await importMediaKey(raw) });
+    this.setState(peerId, 'encrypted');
+  }
+
+  setState(peerId, state) {
+    if (this.states.get(peerId) === state) {
+      return;
+    }
+    this.states.set(peerId, state);
+    this.onStateChange?.(peerId, state);
+  }
+}
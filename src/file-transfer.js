@@ -0,0 +1,364 @@
+import { createLogger } from './logger.js';
+
+// Canal de control negociado (id fijo, junto al de chat); los datos van por un canal propio por transferencia
+export const FILE_CONTROL_CHANNEL_ID = 1;
+export const FILE_CHANNEL_PREFIX = 'file:';
+// El hash SHA-256 se calcula sobre el archivo completo en memoria: limitamos el tamaño
+export const MAX_FILE_SIZE = 256 * 1024 * 1024;
+const CHUNK_SIZE = 16 * 1024;
+const BUFFERED_HIGH_WATER = 4 * 1024 * 1024;
+const BUFFERED_LOW_WATER = 1024 * 1024;
+const PROGRESS_INTERVAL_MS = 200;
+// Plazos del emisor: un receptor que no abre el canal, deja de leer o nunca responde con result no bloquea
+// la transferencia para siempre. El de result cubre también el SHA-256 del receptor sobre 256 MB
+const CHANNEL_OPEN_TIMEOUT_MS = 15000;
+const STALL_TIMEOUT_MS = 30000;
+const RESULT_TIMEOUT_MS = 60000;
+
+const FINISHED_STATES = ['completed', 'declined', 'cancelled', 'failed'];
+
+export async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function waitForBufferedAmountLow(channel) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error('transfer-stalled'));
+    }, STALL_TIMEOUT_MS);
+    const cleanup = () => {
+      clearTimeout(timer);
+      channel.removeEventListener('bufferedamountlow', onLow);
+      channel.removeEventListener('close', onClose);
+    };
+    const onLow = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('channel-closed'));
+    };
+    channel.addEventListener('bufferedamountlow', onLow);
+    channel.addEventListener('close', onClose);
+  });
+}
+
+// Transferencias punto a punto: oferta → aceptación → canal dedicado → verificación SHA-256
+export class FileTransferManager {
+  constructor({ openDataChannel, onTransferUpdate, logger = createLogger('FileTransfer') } = {}) {
+    this.openDataChannel = openDataChannel;
+    this.onTransferUpdate = onTransferUpdate;
+    this.logger = logger;
+    this.controlChannels = new Map();
+    this.transfers = new Map();
+    // Las transferencias terminadas salen de transfers; solo recordamos su id para rechazar ofertas repetidas
+    this.finishedIds = new Set();
+  }
+
+  attach(peerId, channel) {
+    this.controlChannels.set(peerId, channel);
+    channel.onmessage = (event) => this.handleControl(peerId, event.data);
+  }
+
+  // La conexión con el peer se cerró o se reconstruye: las transferencias en curso no sobreviven
+  detach(peerId) {
+    const channel = this.controlChannels.get(peerId);
+    if (channel) {
+      channel.onmessage = null;
+      this.controlChannels.delete(peerId);
+    }
+    this.transfers.forEach((transfer) => {
+      if (transfer.peerId === peerId && !FINISHED_STATES.includes(transfer.state)) {
+        this.finish(transfer, 'failed', 'connection-lost');
+      }
+    });
+  }
+
+  sendControl(peerId, message) {
+    const channel = this.controlChannels.get(peerId);
+    if (channel?.readyState !== 'open') {
+      return false;
+    }
+    channel.send(JSON.stringify(message));
+    return true;
+  }
+
+  async sendFile(file, peerIds) {
+    if (!file?.size) {
+      throw new Error('empty-file');
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      throw new Error('file-too-large');
+    }
+    const targets = peerIds.filter((peerId) => this.controlChannels.get(peerId)?.readyState === 'open');
+    if (!targets.length) {
+      throw new Error('no-peers');
+    }
+    const sha256 = await sha256Hex(file);
+    return targets.map((peerId) => {
+      const transfer = {
+        id: crypto.randomUUID(),
+        peerId,
+        direction: 'send',
+        name: file.name,
+        size: file.size,
+        mime: file.type,
+        sha256,
+        bytes: 0,
+        state: 'offered',
+        error: null,
+        file,
+        channel: null
+      };
+      this.transfers.set(transfer.id, transfer);
+      this.sendControl(peerId, {
+        type: 'offer',
+        transferId: transfer.id,
+        name: transfer.name,
+        size: transfer.size,
+        mime: transfer.mime,
+        sha256
+      });
+      this.emit(transfer);
+      return transfer.id;
+    });
+  }
+
+  accept(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (transfer?.direction !== 'receive' || transfer.state !== 'pending') {
+      return;
+    }
+    transfer.state = 'transferring';
+    transfer.chunks = [];
+    this.sendControl(transfer.peerId, { type: 'accept', transferId });
+    this.emit(transfer);
+  }
+
+  decline(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (transfer?.direction !== 'receive' || transfer.state !== 'pending') {
+      return;
+    }
+    this.sendControl(transfer.peerId, { type: 'decline', transferId });
+    this.finish(transfer, 'declined');
+  }
+
+  cancel(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || FINISHED_STATES.includes(transfer.state)) {
+      return;
+    }
+    this.sendControl(transfer.peerId, { type: 'cancel', transferId });
+    this.finish(transfer, 'cancelled');
+  }
+
+  handleControl(peerId, data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      this.logger.warn('Mensaje de control ilegible de', peerId);
+      return;
+    }
+    if (message?.type === 'offer') {
+      this.handleOffer(peerId, message);
+      return;
+    }
+    const transfer = this.transfers.get(message?.transferId);
+    // Un peer solo puede actuar sobre transferencias compartidas con él
+    if (!transfer || transfer.peerId !== peerId || FINISHED_STATES.includes(transfer.state)) {
+      return;
+    }
+    switch (message.type) {
+      case 'accept':
+        if (transfer.direction === 'send' && transfer.state === 'offered') {
+          this.startSending(transfer).catch((error) => {
+            this.logger.warn('Error al enviar archivo', transfer.name, error);
+            this.finish(transfer, 'failed', error.message);
+          });
+        }
+        break;
+      case 'decline':
+        this.finish(transfer, 'declined');
+        break;
+      case 'cancel':
+        this.finish(transfer, 'cancelled');
+        break;
+      case 'result':
+        this.finish(transfer, message.ok ? 'completed' : 'failed', message.ok ? null : 'integrity-mismatch');
+        break;
+      default:
+        break;
+    }
+  }
+
+  handleOffer(peerId, message) {
+    const size = Number(message.size);
+    if (
+      typeof message.transferId !== 'string' ||
+      this.transfers.has(message.transferId) ||
+      this.finishedIds.has(message.transferId) ||
+      !Number.isSafeInteger(size) ||
+      size <= 0 ||
+      !/^[0-9a-f]{64}$/.test(message.sha256 ?? '')
+    ) {
+      return;
+    }
+    const transfer = {
+      id: message.transferId,
+      peerId,
+      direction: 'receive',
+      name: String(message.name ?? 'archivo').slice(0, 255),
+      size,
+      mime: String(message.mime ?? '').slice(0, 128),
+      sha256: message.sha256,
+      bytes: 0,
+      state: 'pending',
+      error: null,
+      chunks: null,
+      channel: null
+    };
+    this.transfers.set(transfer.id, transfer);
+    if (size > MAX_FILE_SIZE) {
+      this.sendControl(peerId, { type: 'decline', transferId: transfer.id });
+      this.finish(transfer, 'declined', 'file-too-large');
+      return;
+    }
+    this.emit(transfer);
+  }
+
+  async startSending(transfer) {
+    transfer.state = 'transferring';
+    this.emit(transfer);
+    const channel = this.openDataChannel(transfer.peerId, `${FILE_CHANNEL_PREFIX}${transfer.id}`);
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = BUFFERED_LOW_WATER;
+    transfer.channel = channel;
+    if (channel.readyState !== 'open') {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('channel-open-timeout')), CHANNEL_OPEN_TIMEOUT_MS);
+        channel.onopen = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        channel.onclose = () => {
+          clearTimeout(timer);
+          reject(new Error('channel-closed'));
+        };
+      });
+    }
+    channel.onclose = null;
+
+    for (let offset = 0; offset < transfer.size; offset += CHUNK_SIZE) {
+      if (transfer.state !== 'transferring') {
+        return;
+      }
+      // Backpressure: no encolamos más datos hasta que el buffer del canal baja del umbral
+      if (channel.bufferedAmount > BUFFERED_HIGH_WATER) {
+        await waitForBufferedAmountLow(channel);
+      }
+      const chunk = await transfer.file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+      channel.send(chunk);
+      transfer.bytes = Math.min(offset + CHUNK_SIZE, transfer.size);
+      this.emitProgress(transfer);
+    }
+    transfer.state = 'verifying';
+    transfer.resultTimer = setTimeout(() => {
+      this.sendControl(transfer.peerId, { type: 'cancel', transferId: transfer.id });
+      this.finish(transfer, 'failed', 'result-timeout');
+    }, RESULT_TIMEOUT_MS);
+    this.emit(transfer);
+  }
+
+  handleIncomingChannel(peerId, channel) {
+    const transfer = this.transfers.get(channel.label.slice(FILE_CHANNEL_PREFIX.length));
+    if (!transfer || transfer.peerId !== peerId || transfer.direction !== 'receive' || transfer.state !== 'transferring') {
+      channel.close();
+      return;
+    }
+    transfer.channel = channel;
+    channel.binaryType = 'arraybuffer';
+    channel.onmessage = (event) => {
+      if (transfer.state !== 'transferring') {
+        return;
+      }
+      transfer.chunks.push(event.data);
+      transfer.bytes += event.data.byteLength;
+      if (transfer.bytes > transfer.size) {
+        this.sendControl(peerId, { type: 'result', transferId: transfer.id, ok: false });
+        this.finish(transfer, 'failed', 'size-mismatch');
+        return;
+      }
+      this.emitProgress(transfer);
+      if (transfer.bytes === transfer.size) {
+        this.verifyReceived(transfer).catch((error) => {
+          this.logger.warn('Error al verificar archivo', transfer.name, error);
+          this.finish(transfer, 'failed', error.message);
+        });
+      }
+    };
+  }
+
+  async verifyReceived(transfer) {
+    transfer.state = 'verifying';
+    this.emit(transfer);
+    const blob = new Blob(transfer.chunks, { type: transfer.mime || 'application/octet-stream' });
+    transfer.chunks = null;
+    const ok = (await sha256Hex(blob)) === transfer.sha256;
+    this.sendControl(transfer.peerId, { type: 'result', transferId: transfer.id, ok });
+    if (ok) {
+      transfer.blob = blob;
+    }
+    this.finish(transfer, ok ? 'completed' : 'failed', ok ? null : 'integrity-mismatch');
+  }
+
+  finish(transfer, state, error = null) {
+    if (FINISHED_STATES.includes(transfer.state)) {
+      return;
+    }
+    transfer.state = state;
+    transfer.error = error;
+    clearTimeout(transfer.resultTimer);
+    transfer.chunks = null;
+    transfer.file = null;
+    if (transfer.channel) {
+      transfer.channel.onmessage = null;
+      try {
+        transfer.channel.close();
+      } catch (closeError) {
+        this.logger.warn('Error al cerrar canal de archivo', closeError);
+      }
+      transfer.channel = null;
+    }
+    this.emit(transfer);
+    // El blob recibido ya está en manos de la UI: no lo retenemos durante el resto de la llamada
+    transfer.blob = null;
+    this.transfers.delete(transfer.id);
+    this.finishedIds.add(transfer.id);
+  }
+
+  // Un evento por fragmento de 16 KB saturaría la UI: el progreso se notifica como mucho cada 200 ms
+  emitProgress(transfer) {
+    const now = Date.now();
+    if (transfer.bytes < transfer.size && now - (transfer.lastProgressAt ?? 0) < PROGRESS_INTERVAL_MS) {
+      return;
+    }
+    transfer.lastProgressAt = now;
+    this.emit(transfer);
+  }
+
+  emit(transfer) {
+    const { id, peerId, direction, name, size, mime, bytes, state, error, blob } = transfer;
+    this.onTransferUpdate?.({ id, peerId, direction, name, size, mime, bytes, state, error, blob: blob ?? null });
+  }
+
+  clear() {
+    Array.from(this.controlChannels.keys()).forEach((peerId) => this.detach(peerId));
+    this.transfers.clear();
+    this.finishedIds.clear();
+  }
+}
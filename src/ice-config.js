@@ -0,0 +1,140 @@
+import { createLogger } from './logger.js';
+
+export const DEFAULT_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+  { urls: 'stun:stun2.l.google.com:19302' }
+];
+
+const ICE_TRANSPORT_POLICIES = ['all', 'relay'];
+// Se renuevan al consumir el 80 % del TTL para no negociar nunca con credenciales caducadas
+const REFRESH_RATIO = 0.8;
+const MIN_REFRESH_MS = 30000;
+const RETRY_DELAY_MS = 30000;
+
+// Acepta tanto { iceServers, ttl } como la respuesta estilo coturn REST API { username, password, ttl, uris }
+function parseCredentialsResponse(body) {
+  if (Array.isArray(body?.iceServers)) {
+    return { iceServers: body.iceServers, ttl: Number(body.ttl) || 0 };
+  }
+  const credential = body?.password ?? body?.credential;
+  if (body?.username && credential && Array.isArray(body.uris) && body.uris.length) {
+    return {
+      iceServers: [{ urls: body.uris, username: body.username, credential }],
+      ttl: Number(body.ttl) || 0
+    };
+  }
+  throw new Error('invalid-ice-credentials');
+}
+
+function normalizePolicy(policy) {
+  return ICE_TRANSPORT_POLICIES.includes(policy) ? policy : 'all';
+}
+
+export class IceConfigProvider {
+  constructor(options = {}) {
+    const {
+      iceServers = DEFAULT_ICE_SERVERS,
+      credentialsUrl = '',
+      iceTransportPolicy = 'all',
+      getCredentialsToken = null,
+      logger = createLogger('IceConfig')
+    } = options;
+
+    this.staticServers = iceServers;
+    this.credentialsUrl = credentialsUrl;
+    this.getCredentialsToken = getCredentialsToken;
+    this.iceTransportPolicy = normalizePolicy(iceTransportPolicy);
+    this.logger = logger;
+
+    this.turnServers = [];
+    this.expiresAt = 0;
+    this.refreshTimer = null;
+    this.listeners = new Set();
+  }
+
+  getConfiguration() {
+    return {
+      iceServers: [...this.staticServers, ...this.turnServers],
+      iceTransportPolicy: this.iceTransportPolicy
+    };
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const configuration = this.getConfiguration();
+    this.listeners.forEach((listener) => listener(configuration));
+  }
+
+  setIceTransportPolicy(policy) {
+    const next = normalizePolicy(policy);
+    if (next === this.iceTransportPolicy) {
+      return;
+    }
+    this.iceTransportPolicy = next;
+    this.logger.info('iceTransportPolicy', next);
+    this.notify();
+  }
+
+  async start() {
+    if (!this.credentialsUrl) {
+      return this.getConfiguration();
+    }
+    if (Date.now() < this.expiresAt) {
+      this.scheduleRefresh(this.expiresAt - Date.now());
+      return this.getConfiguration();
+    }
+    await this.refresh();
+    return this.getConfiguration();
+  }
+
+  stop() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  async refresh() {
+    try {
+      // Cada petición lleva un token nuevo: el endpoint no entrega credenciales sin sesión de señalización
+      const token = await this.getCredentialsToken?.();
+      const response = await fetch(this.credentialsUrl, {
+        cache: 'no-store',
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const { iceServers, ttl } = parseCredentialsResponse(await response.json());
+      this.turnServers = iceServers;
+      const lifetimeMs = ttl * 1000;
+      this.expiresAt = lifetimeMs ? Date.now() + lifetimeMs : Infinity;
+      this.logger.info('Credenciales TURN obtenidas', ttl ? `ttl ${ttl}s` : 'sin caducidad');
+      if (lifetimeMs) {
+        this.scheduleRefresh(lifetimeMs);
+      }
+      this.notify();
+    } catch (error) {
+      this.logger.warn('No se pudieron obtener credenciales TURN; se usa la configuración previa', error);
+      this.scheduleRetry();
+    }
+  }
+
+  scheduleRefresh(remainingMs) {
+    this.stop();
+    // Credenciales sin ttl: no caducan y setTimeout con Infinity dispararía al instante
+    if (!Number.isFinite(remainingMs)) {
+      return;
+    }
+    const delay = Math.max(remainingMs * REFRESH_RATIO, MIN_REFRESH_MS);
+    this.refreshTimer = setTimeout(() => this.refresh(), delay);
+  }
+
+  scheduleRetry() {
+    this.stop();
+    this.refreshTimer = setTimeout(() => this.refresh(), RETRY_DELAY_MS);
+  }
+}
@@ -0,0 +1,41 @@
+const ROOM_PARAM = 'room';
+const MAX_INVITE_ROOM_ID_LENGTH = 64;
+
+// Un enlace manipulado no debe poder colar espacios, saltos de línea ni un ID desmesurado en el formulario
+export function normalizeInviteRoomId(raw) {
+  const value = typeof raw === 'string' ? raw.trim() : '';
+  if (!value || value.length > MAX_INVITE_ROOM_ID_LENGTH || /[\s\p{Cc}]/u.test(value)) {
+    return null;
+  }
+  return value;
+}
+
+function decodeHashValue(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+// Acepta ?room=<id>, #room=<id> y #<id>; la query tiene prioridad
+export function readInviteRoomId(location = window.location) {
+  const fromQuery = new URLSearchParams(location.search).get(ROOM_PARAM);
+  if (fromQuery !== null) {
+    return normalizeInviteRoomId(fromQuery);
+  }
+  const hash = location.hash.replace(/^#/, '');
+  if (!hash) {
+    return null;
+  }
+  const fromHash = hash.includes('=') ? new URLSearchParams(hash).get(ROOM_PARAM) : decodeHashValue(hash);
+  return normalizeInviteRoomId(fromHash);
+}
+
+// Solo lleva el ID: la contraseña y la frase E2EE se comparten por otro canal
+export function buildInviteUrl(roomId, location = window.location) {
+  const url = new URL(location.href);
+  url.searchParams.set(ROOM_PARAM, roomId);
+  url.hash = '';
+  return url.toString();
+}
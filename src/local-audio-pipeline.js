@@ -0,0 +1,196 @@
+import { createLogger } from './logger.js';
+
+// Umbral en dBFS sobre el RMS de cada bloque de 128 muestras; autoMuteAfterS = 0 desactiva el silencio automático
+export const DEFAULT_NOISE_GATE_SETTINGS = {
+  enabled: false,
+  thresholdDb: -50,
+  attackMs: 5,
+  releaseMs: 200,
+  publishSpeaking: false,
+  autoMuteAfterS: 0
+};
+
+// RNNoise solo funciona a 48 kHz: el contexto se fija a esa frecuencia para todas las etapas
+const PIPELINE_SAMPLE_RATE = 48000;
+const RNNOISE_PROCESSOR_URL = new URL('./rnnoise-processor.js', import.meta.url);
+const wasmModules = new Map();
+
+const NOISE_GATE_LIMITS = {
+  thresholdDb: [-100, 0],
+  attackMs: [1, 1000],
+  releaseMs: [10, 5000],
+  autoMuteAfterS: [0, 600]
+};
+
+function clampSetting(key, value, fallback) {
+  const [min, max] = NOISE_GATE_LIMITS[key];
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+// WebAssembly.Module es clonable: se compila una vez en el hilo principal y el worklet solo lo instancia
+function loadWasmModule(url) {
+  if (!wasmModules.has(url)) {
+    const compiling = fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`rnnoise-wasm-http-${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then((bytes) => WebAssembly.compile(bytes));
+    wasmModules.set(url, compiling);
+    compiling.catch(() => wasmModules.delete(url));
+  }
+  return wasmModules.get(url);
+}
+
+export function sanitizeNoiseGateSettings(raw) {
+  const settings = { ...DEFAULT_NOISE_GATE_SETTINGS, ...raw };
+  return {
+    enabled: settings.enabled === true,
+    thresholdDb: clampSetting('thresholdDb', settings.thresholdDb, DEFAULT_NOISE_GATE_SETTINGS.thresholdDb),
+    attackMs: clampSetting('attackMs', settings.attackMs, DEFAULT_NOISE_GATE_SETTINGS.attackMs),
+    releaseMs: clampSetting('releaseMs', settings.releaseMs, DEFAULT_NOISE_GATE_SETTINGS.releaseMs),
+    publishSpeaking: settings.publishSpeaking === true,
+    autoMuteAfterS: clampSetting('autoMuteAfterS', settings.autoMuteAfterS, DEFAULT_NOISE_GATE_SETTINGS.autoMuteAfterS)
+  };
+}
+
+// micrófono → [RNNoise] → [puerta de ruido] → MediaStreamDestination; la pista de salida es la que llevan los senders
+export class LocalAudioPipeline {
+  constructor({ rnnoise = {}, onSpeakingChange, onProcessorError, logger = createLogger('AudioPipeline') } = {}) {
+    this.rnnoiseWorkletUrl = rnnoise.workletUrl || RNNOISE_PROCESSOR_URL;
+    this.rnnoiseWasmUrl = rnnoise.wasmUrl ?? '';
+    this.onSpeakingChange = onSpeakingChange;
+    this.onProcessorError = onProcessorError;
+    this.logger = logger;
+    this.audioContext = null;
+    this.source = null;
+    this.rnnoiseNode = null;
+    this.gateNode = null;
+    this.destination = null;
+    this.loadedModules = new Set();
+  }
+
+  get track() {
+    return this.destination?.stream.getAudioTracks()[0] ?? null;
+  }
+
+  async start(stream, stages) {
+    this.audioContext = new AudioContext({ sampleRate: PIPELINE_SAMPLE_RATE });
+    try {
+      this.destination = this.audioContext.createMediaStreamDestination();
+      this.source = this.audioContext.createMediaStreamSource(stream);
+      await this.configure(stages);
+    } catch (error) {
+      this.stop();
+      throw error;
+    }
+    // Sin gesto del usuario el contexto puede nacer suspendido y la pista saldría muda
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume().catch(() => {});
+    }
+  }
+
+  // Las etapas se añaden o quitan dentro del mismo contexto: la pista enviada no cambia y no hace falta replaceTrack
+  async configure({ noiseGate, rnnoise }) {
+    if (rnnoise && !this.rnnoiseNode) {
+      this.rnnoiseNode = await this.createRnnoiseNode();
+      this.logger.info('RNNoise activo');
+    } else if (!rnnoise && this.rnnoiseNode) {
+      this.releaseNode(this.rnnoiseNode);
+      this.rnnoiseNode = null;
+    }
+    if (noiseGate.enabled && !this.gateNode) {
+      this.gateNode = await this.createGateNode();
+      this.logger.info('Puerta de ruido activa', noiseGate);
+    } else if (!noiseGate.enabled && this.gateNode) {
+      this.releaseNode(this.gateNode);
+      this.gateNode = null;
+    }
+    if (this.gateNode) {
+      this.setNoiseGate(noiseGate);
+    }
+    this.connect();
+  }
+
+  async loadModule(url) {
+    const key = String(url);
+    if (!this.loadedModules.has(key)) {
+      await this.audioContext.audioWorklet.addModule(url);
+      this.loadedModules.add(key);
+    }
+  }
+
+  async createRnnoiseNode() {
+    const wasmModule = this.rnnoiseWasmUrl ? await loadWasmModule(this.rnnoiseWasmUrl) : undefined;
+    await this.loadModule(this.rnnoiseWorkletUrl);
+    const node = new AudioWorkletNode(this.audioContext, 'rnnoise-processor', {
+      channelCount: 1,
+      channelCountMode: 'explicit',
+      processorOptions: { wasmModule }
+    });
+    node.addEventListener('processorerror', (event) => this.onProcessorError?.('rnnoise', event));
+    return node;
+  }
+
+  async createGateNode() {
+    await this.loadModule(new URL('./noise-gate-processor.js', import.meta.url));
+    const node = new AudioWorkletNode(this.audioContext, 'noise-gate-processor');
+    node.port.onmessage = ({ data }) => {
+      if (data?.type === 'vad') {
+        this.onSpeakingChange?.(data.speaking);
+      }
+    };
+    node.addEventListener('processorerror', (event) => this.onProcessorError?.('noise-gate', event));
+    return node;
+  }
+
+  connect() {
+    const chain = [this.source, this.rnnoiseNode, this.gateNode, this.destination].filter(Boolean);
+    chain.slice(0, -1).forEach((node) => node.disconnect());
+    chain.reduce((previous, node) => previous.connect(node));
+  }
+
+  releaseNode(node) {
+    node.disconnect();
+    // El procesador de RNNoise libera su memoria WASM al recibir destroy
+    node.port.postMessage({ type: 'destroy' });
+    node.port.close();
+  }
+
+  // Al cambiar de micrófono solo se sustituye la fuente: la pista enviada sigue siendo la misma
+  setSource(stream) {
+    this.source?.disconnect();
+    this.source = this.audioContext.createMediaStreamSource(stream);
+    this.connect();
+  }
+
+  setNoiseGate({ thresholdDb, attackMs, releaseMs }) {
+    const now = this.audioContext.currentTime;
+    this.gateNode.parameters.get('threshold').setValueAtTime(thresholdDb, now);
+    this.gateNode.parameters.get('attack').setValueAtTime(attackMs / 1000, now);
+    this.gateNode.parameters.get('release').setValueAtTime(releaseMs / 1000, now);
+  }
+
+  setOutboundEnabled(enabled) {
+    const { track } = this;
+    if (track) {
+      track.enabled = enabled;
+    }
+  }
+
+  stop() {
+    this.source?.disconnect();
+    [this.rnnoiseNode, this.gateNode].filter(Boolean).forEach((node) => this.releaseNode(node));
+    this.track?.stop();
+    this.audioContext?.close().catch(() => {});
+    this.audioContext = null;
+    this.source = null;
+    this.rnnoiseNode = null;
+    this.gateNode = null;
+    this.destination = null;
+    this.loadedModules.clear();
+  }
+}
@@ -0,0 +1,8 @@
+// Logger con prefijo de módulo; todos los módulos aceptan uno propio en la opción logger
+export function createLogger(namespace) {
+  return {
+    info: (...args) => console.log(`[${namespace}]`, ...args),
+    warn: (...args) => console.warn(`[${namespace}]`, ...args),
+    error: (...args) => console.error(`[${namespace}]`, ...args)
+  };
+}
@@ -0,0 +1,85 @@
+// Eventos propios del mesh; además, cada evento de estado se emite como 'status' y con su propio type ('joined', 'knocks'…)
+export const MESH_EVENTS = [
+  'local-stream',
+  'track',
+  'track-removed',
+  'peer-joined',
+  'peer-left',
+  'state',
+  'status',
+  'audio-levels',
+  'stats',
+  'chat-message',
+  'file-transfer'
+];
+
+// Callbacks del constructor anteriores a on(): se siguen aceptando y se registran como listeners
+export const LEGACY_CALLBACKS = {
+  onLocalStream: ['local-stream', (callback) => (stream) => callback(stream)],
+  onRemoteStream: ['track', (callback) => ({ peerId, stream }) => callback(peerId, stream)],
+  onRemoteStreamRemoved: ['track-removed', (callback) => ({ peerId }) => callback(peerId)],
+  onStatus: ['status', (callback) => (event) => callback(event)],
+  onAudioLevels: ['audio-levels', (callback) => (levels) => callback(levels)],
+  onStats: ['stats', (callback) => (samples) => callback(samples)],
+  onChatMessage: ['chat-message', (callback) => (message) => callback(message)],
+  onFileTransfer: ['file-transfer', (callback) => (transfer) => callback(transfer)]
+};
+
+export class MeshEventEmitter {
+  constructor({ logger } = {}) {
+    this.eventLogger = logger;
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Registra un listener y devuelve la función que lo elimina, como IceConfigProvider.subscribe.
+   * @param {string} type
+   * @param {(payload: unknown) => void} listener
+   * @returns {() => void}
+   */
+  on(type, listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('invalid-listener');
+    }
+    if (!this.eventListeners.has(type)) {
+      this.eventListeners.set(type, new Set());
+    }
+    this.eventListeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  once(type, listener) {
+    const unsubscribe = this.on(type, (payload) => {
+      unsubscribe();
+      listener(payload);
+    });
+    return unsubscribe;
+  }
+
+  off(type, listener) {
+    const listeners = this.eventListeners.get(type);
+    listeners?.delete(listener);
+    if (listeners?.size === 0) {
+      this.eventListeners.delete(type);
+    }
+  }
+
+  // Un listener que lanza no debe cortar la negociación ni impedir que los demás reciban el evento
+  emit(type, payload) {
+    Array.from(this.eventListeners.get(type) ?? []).forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (error) {
+        this.eventLogger?.error('Error en listener de', type, error);
+      }
+    });
+  }
+
+  removeAllListeners(type) {
+    if (type === undefined) {
+      this.eventListeners.clear();
+    } else {
+      this.eventListeners.delete(type);
+    }
+  }
+}
@@ -0,0 +1,71 @@
+/* global sampleRate, currentTime */
+// Se carga con audioWorklet.addModule: no puede importar nada del resto de la app
+const SILENCE_FLOOR = 1e-12;
+// Margen bajo el umbral antes de empezar a cerrar: evita cortar entre sílabas
+const HOLD_SECONDS = 0.1;
+
+class NoiseGateProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'threshold', defaultValue: -50, minValue: -100, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'attack', defaultValue: 0.005, minValue: 0.001, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'release', defaultValue: 0.2, minValue: 0.01, maxValue: 5, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.gain = 0;
+    this.open = false;
+    this.lastAboveAt = -Infinity;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!input.length) {
+      return true;
+    }
+
+    let energy = 0;
+    let count = 0;
+    input.forEach((channel) => {
+      for (let i = 0; i < channel.length; i += 1) {
+        energy += channel[i] * channel[i];
+      }
+      count += channel.length;
+    });
+    const levelDb = 10 * Math.log10(energy / count + SILENCE_FLOOR);
+
+    const now = currentTime;
+    if (levelDb >= parameters.threshold[0]) {
+      this.lastAboveAt = now;
+      this.setOpen(true);
+    } else if (this.open && now - this.lastAboveAt >= HOLD_SECONDS) {
+      this.setOpen(false);
+    }
+
+    const target = this.open ? 1 : 0;
+    const time = target > this.gain ? parameters.attack[0] : parameters.release[0];
+    const coefficient = Math.exp(-1 / (time * sampleRate));
+    const frames = input[0].length;
+    for (let i = 0; i < frames; i += 1) {
+      this.gain = target + (this.gain - target) * coefficient;
+      for (let channel = 0; channel < output.length; channel += 1) {
+        output[channel][i] = (input[channel] ?? input[0])[i] * this.gain;
+      }
+    }
+    return true;
+  }
+
+  // El estado de la puerta es también la detección de voz que se envía al hilo principal
+  setOpen(open) {
+    if (this.open === open) {
+      return;
+    }
+    this.open = open;
+    this.port.postMessage({ type: 'vad', speaking: open });
+  }
+}
+
+registerProcessor('noise-gate-processor', NoiseGateProcessor);
@@ -0,0 +1,73 @@
+export const MAX_DISPLAY_NAME_LENGTH = 32;
+
+const PROFILE_STORAGE_KEY = 'cleanCall:profile';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+// Letras, números, espacios y puntuación básica; nada de controles ni caracteres invisibles
+const DISPLAY_NAME_PATTERN = /^[\p{L}\p{N}\p{M} .,'_()-]+$/u;
+
+export function normalizeDisplayName(raw) {
+  return String(raw ?? '')
+    .normalize('NFC')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function validateDisplayName(raw) {
+  const value = normalizeDisplayName(raw);
+  if (!value) {
+    return { ok: true, value: '' };
+  }
+  if (Array.from(value).length > MAX_DISPLAY_NAME_LENGTH) {
+    return { ok: false, value, error: 'display-name-too-long' };
+  }
+  if (!DISPLAY_NAME_PATTERN.test(value)) {
+    return { ok: false, value, error: 'display-name-invalid' };
+  }
+  return { ok: true, value };
+}
+
+export function getInitials(displayName) {
+  const words = normalizeDisplayName(displayName).split(' ').filter(Boolean);
+  return words
+    .slice(0, 2)
+    .map((word) => Array.from(word)[0].toUpperCase())
+    .join('');
+}
+
+// Descarta en silencio los campos inválidos: la señalización nunca guarda un perfil mal formado
+export function sanitizeProfile(profile) {
+  const sanitized = {};
+  if (typeof profile !== 'object' || profile === null) {
+    return sanitized;
+  }
+  if ('displayName' in profile) {
+    const { ok, value } = validateDisplayName(profile.displayName);
+    sanitized.displayName = ok ? value : '';
+  }
+  if ('color' in profile) {
+    sanitized.color = COLOR_PATTERN.test(profile.color ?? '') ? profile.color.toLowerCase() : '';
+  }
+  return sanitized;
+}
+
+export function displayNameFor(peerId, member) {
+  return member?.displayName || peerId;
+}
+
+export function loadStoredProfile() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY) ?? '{}');
+    return sanitizeProfile({ displayName: stored.displayName ?? '', color: stored.color ?? '' });
+  } catch (error) {
+    console.warn('Perfil guardado inválido, se ignora', error);
+    return { displayName: '', color: '' };
+  }
+}
+
+export function storeProfile(profile) {
+  try {
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(sanitizeProfile(profile)));
+  } catch (error) {
+    console.warn('No se pudo guardar el perfil', error);
+  }
+}
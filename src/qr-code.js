@@ -0,0 +1,380 @@
+// Codificador QR mínimo (modo byte, corrección M, versiones 1–10): suficiente para una URL de invitación
+// y sin depender de servicios externos. Sigue ISO/IEC 18004; las coordenadas son (x = columna, y = fila).
+const MAX_VERSION = 10;
+// Índices por versión (0 sin uso) para el nivel M
+const ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ERROR_CORRECTION_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const ECL_M_FORMAT_BITS = 0;
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+const textEncoder = new TextEncoder();
+
+function getBit(value, index) {
+  return ((value >>> index) & 1) !== 0;
+}
+
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+function getNumDataCodewords(version) {
+  return Math.floor(getNumRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+}
+
+function getAlignmentPatternPositions(version) {
+  if (version === 1) {
+    return [];
+  }
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let position = size - 7; result.length < numAlign; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+}
+
+// Multiplicación en GF(2^8) con el polinomio reductor 0x11D
+function multiplyGf(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < result.length; j += 1) {
+      result[j] = multiplyGf(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = multiplyGf(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, degree) {
+  const divisor = reedSolomonDivisor(degree);
+  const result = new Array(degree).fill(0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, index) => {
+      result[index] ^= multiplyGf(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+function encodeData(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) {
+      bits.push(getBit(value, i) ? 1 : 0);
+    }
+  };
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => append(byte, 8));
+
+  const capacityBits = getNumDataCodewords(version) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+// Reparte en bloques, añade la corrección de cada uno y entrelaza columna a columna
+function addEccAndInterleave(data, version) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i += 1) {
+    const dataLength = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+    const blockData = data.slice(offset, offset + dataLength);
+    offset += dataLength;
+    const block = [...blockData, ...reedSolomonRemainder(blockData, blockEccLength)];
+    if (i < numShortBlocks) {
+      // Hueco para que todos los bloques tengan la misma longitud al entrelazar
+      block.splice(shortBlockLength - blockEccLength, 0, null);
+    }
+    blocks.push(block);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block) => {
+      if (block[i] !== null) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i += 1) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(size - 4, 3);
+    this.drawFinderPattern(3, size - 4);
+
+    const positions = getAlignmentPatternPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // Las tres esquinas ya ocupadas por patrones de localización
+        if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+          this.drawAlignmentPattern(x, y);
+        }
+      });
+    });
+
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy += 1) {
+      for (let dx = -2; dx <= 2; dx += 1) {
+        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const data = (ECL_M_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i += 1) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const { size } = this;
+
+    for (let i = 0; i <= 5; i += 1) {
+      this.setFunctionModule(8, i, getBit(bits, i));
+    }
+    this.setFunctionModule(8, 7, getBit(bits, 6));
+    this.setFunctionModule(8, 8, getBit(bits, 7));
+    this.setFunctionModule(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i += 1) {
+      this.setFunctionModule(14 - i, 8, getBit(bits, i));
+    }
+
+    for (let i = 0; i < 8; i += 1) {
+      this.setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+    }
+    for (let i = 8; i < 15; i += 1) {
+      this.setFunctionModule(8, size - 15 + i, getBit(bits, i));
+    }
+    this.setFunctionModule(8, size - 8, true);
+  }
+
+  drawVersion() {
+    if (this.version < 7) {
+      return;
+    }
+    let remainder = this.version;
+    for (let i = 0; i < 12; i += 1) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+    for (let i = 0; i < 18; i += 1) {
+      const dark = getBit(bits, i);
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, dark);
+      this.setFunctionModule(b, a, dark);
+    }
+  }
+
+  // Recorrido en zigzag de dos columnas, de abajo arriba y de derecha a izquierda, saltando la de temporización
+  drawCodewords(codewords) {
+    const { size } = this;
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5;
+      }
+      for (let vertical = 0; vertical < size; vertical += 1) {
+        for (let j = 0; j < 2; j += 1) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && bitIndex < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+            bitIndex += 1;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y += 1) {
+      for (let x = 0; x < this.size; x += 1) {
+        if (!this.isFunction[y][x] && maskCondition(mask, x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  penaltyScore() {
+    const { size, modules } = this;
+    const lines = [
+      ...modules,
+      ...Array.from({ length: size }, (_, x) => modules.map((row) => row[x]))
+    ];
+    let score = 0;
+
+    lines.forEach((line) => {
+      let runLength = 1;
+      for (let i = 1; i <= line.length; i += 1) {
+        if (i < line.length && line[i] === line[i - 1]) {
+          runLength += 1;
+          continue;
+        }
+        if (runLength >= 5) {
+          score += PENALTY_N1 + runLength - 5;
+        }
+        runLength = 1;
+      }
+      const pattern = line.map((dark) => (dark ? '1' : '0')).join('');
+      score += PENALTY_N3 * (countOccurrences(pattern, '10111010000') + countOccurrences(pattern, '00001011101'));
+    });
+
+    for (let y = 0; y < size - 1; y += 1) {
+      for (let x = 0; x < size - 1; x += 1) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          score += PENALTY_N2;
+        }
+      }
+    }
+
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_N4;
+    return score;
+  }
+}
+
+function countOccurrences(text, pattern) {
+  let count = 0;
+  for (let index = text.indexOf(pattern); index !== -1; index = text.indexOf(pattern, index + 1)) {
+    count += 1;
+  }
+  return count;
+}
+
+function maskCondition(mask, x, y) {
+  switch (mask) {
+    case 0:
+      return (x + y) % 2 === 0;
+    case 1:
+      return y % 2 === 0;
+    case 2:
+      return x % 3 === 0;
+    case 3:
+      return (x + y) % 3 === 0;
+    case 4:
+      return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5:
+      return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6:
+      return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default:
+      return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+}
+
+// Devuelve la matriz de módulos (true = oscuro) sin zona de silencio; quien dibuja añade el margen
+export function encodeQrCode(text) {
+  const bytes = Array.from(textEncoder.encode(text));
+  let version = 1;
+  while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > getNumDataCodewords(version) * 8) {
+    version += 1;
+  }
+  if (version > MAX_VERSION) {
+    throw new Error('qr-data-too-long');
+  }
+
+  const matrix = new QrMatrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(addEccAndInterleave(encodeData(bytes, version), version));
+
+  let best = null;
+  for (let mask = 0; mask < 8; mask += 1) {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const score = matrix.penaltyScore();
+    if (!best || score < best.score) {
+      best = { mask, score };
+    }
+    // La máscara es una XOR: aplicarla de nuevo deja la matriz como estaba
+    matrix.applyMask(mask);
+  }
+  matrix.applyMask(best.mask);
+  matrix.drawFormatBits(best.mask);
+  return { version, size: matrix.size, modules: matrix.modules };
+}
@@ -0,0 +1,99 @@
+/* global sampleRate */
+// RNNoise trabaja con tramas de 480 muestras (10 ms a 48 kHz) en rango de 16 bits; el worklet entrega bloques de 128
+const FRAME_SIZE = 480;
+const PCM_SCALE = 32768;
+const QUEUE_SIZE = 2048;
+
+// Las importaciones de una build standalone (WASI, notificaciones de memoria) no intervienen en el procesado
+function createImports(module) {
+  const imports = {};
+  WebAssembly.Module.imports(module)
+    .filter(({ kind }) => kind === 'function')
+    .forEach(({ module: namespace, name }) => {
+      imports[namespace] = { ...imports[namespace], [name]: () => 0 };
+    });
+  return imports;
+}
+
+class RnnoiseProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { wasmModule } = options.processorOptions ?? {};
+    if (!(wasmModule instanceof WebAssembly.Module)) {
+      throw new Error('rnnoise-wasm-missing');
+    }
+    if (sampleRate !== 48000) {
+      throw new Error('rnnoise-requires-48khz');
+    }
+    this.wasm = new WebAssembly.Instance(wasmModule, createImports(wasmModule)).exports;
+    this.state = this.wasm.rnnoise_create(0);
+    this.framePointer = this.wasm.malloc(FRAME_SIZE * Float32Array.BYTES_PER_ELEMENT);
+    this.pending = new Float32Array(FRAME_SIZE);
+    this.pendingLength = 0;
+    // Cola de salida cebada con una trama de silencio: la latencia añadida es de 10 ms y nunca se vacía
+    this.queue = new Float32Array(QUEUE_SIZE);
+    this.readIndex = 0;
+    this.queued = FRAME_SIZE;
+    this.destroyed = false;
+    this.port.onmessage = ({ data }) => {
+      if (data?.type === 'destroy') {
+        this.destroy();
+      }
+    };
+  }
+
+  process(inputs, outputs) {
+    if (this.destroyed) {
+      return false;
+    }
+    const input = inputs[0][0];
+    const output = outputs[0];
+    const frames = output[0].length;
+
+    for (let i = 0; i < frames; i += 1) {
+      this.pending[this.pendingLength] = input ? input[i] : 0;
+      this.pendingLength += 1;
+      if (this.pendingLength === FRAME_SIZE) {
+        this.processFrame();
+        this.pendingLength = 0;
+      }
+    }
+
+    for (let i = 0; i < frames; i += 1) {
+      const sample = this.queue[this.readIndex];
+      this.readIndex = (this.readIndex + 1) % QUEUE_SIZE;
+      for (let channel = 0; channel < output.length; channel += 1) {
+        output[channel][i] = sample;
+      }
+    }
+    this.queued -= frames;
+    return true;
+  }
+
+  processFrame() {
+    // La vista se recrea en cada trama: si malloc hizo crecer la memoria, el buffer anterior queda inservible
+    const heap = new Float32Array(this.wasm.memory.buffer, this.framePointer, FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i += 1) {
+      heap[i] = this.pending[i] * PCM_SCALE;
+    }
+    this.wasm.rnnoise_process_frame(this.state, this.framePointer, this.framePointer);
+    let writeIndex = (this.readIndex + this.queued) % QUEUE_SIZE;
+    for (let i = 0; i < FRAME_SIZE; i += 1) {
+      this.queue[writeIndex] = heap[i] / PCM_SCALE;
+      writeIndex = (writeIndex + 1) % QUEUE_SIZE;
+    }
+    this.queued += FRAME_SIZE;
+  }
+
+  destroy() {
+    if (this.destroyed) {
+      return;
+    }
+    this.destroyed = true;
+    this.wasm.free(this.framePointer);
+    this.wasm.rnnoise_destroy(this.state);
+    this.port.close();
+  }
+}
+
+registerProcessor('rnnoise-processor', RnnoiseProcessor);
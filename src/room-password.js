@@ -0,0 +1,49 @@
+// Compartido por el navegador y el servidor WebSocket (WebCrypto existe en ambos)
+const PASSWORD_ITERATIONS = 100000;
+export const MAX_ROOM_PASSWORD_LENGTH = 128;
+const textEncoder = new TextEncoder();
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function assertRoomPassword(password) {
+  if (typeof password !== 'string' || password.length > MAX_ROOM_PASSWORD_LENGTH) {
+    throw new Error('invalid-password');
+  }
+  return password;
+}
+
+export async function hashRoomPassword(password, salt, iterations = PASSWORD_ITERATIONS) {
+  const material = await crypto.subtle.importKey('raw', textEncoder.encode(assertRoomPassword(password)), 'PBKDF2', false, [
+    'deriveBits'
+  ]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: textEncoder.encode(salt), iterations },
+    material,
+    256
+  );
+  return toHex(bits);
+}
+
+// El verificador permite rechazar una contraseña errónea en el cliente sin publicar el hash, que es lo que exigen las reglas
+export async function createPasswordVerifier(hash) {
+  return toHex(await crypto.subtle.digest('SHA-256', textEncoder.encode(`clean-call-verifier:${hash}`)));
+}
+
+export async function createRoomAccess(password) {
+  const salt = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(16))));
+  const hash = await hashRoomPassword(password, salt);
+  return { salt, iterations: PASSWORD_ITERATIONS, hash, verifier: await createPasswordVerifier(hash) };
+}
+
+export async function verifyRoomPassword(password, { salt, iterations, verifier }) {
+  if (!password) {
+    throw new Error('password-required');
+  }
+  const hash = await hashRoomPassword(password, salt, iterations);
+  if ((await createPasswordVerifier(hash)) !== verifier) {
+    throw new Error('wrong-password');
+  }
+  return hash;
+}
@@ -0,0 +1,2 @@
+// Entrada separada: importar el paquete principal no descarga el SDK de Firebase desde gstatic
+export { FirebaseSignalingClient, STALE_MEMBER_MS } from './signaling.js';
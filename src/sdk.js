@@ -0,0 +1,12 @@
+// Punto de entrada del paquete: mesh y señalización sin la UI de demo. Firebase va aparte en sdk-firebase.js
+export { PeerMeshManager, LOCAL_LEVEL_ID, DEFAULT_AUDIO_CONSTRAINTS, buildAudioConstraints } from './webrtc.js';
+export { MeshEventEmitter, MESH_EVENTS } from './mesh-events.js';
+export { WebSocketSignalingClient } from './signaling-ws.js';
+export { LocalSignalingClient } from './signaling-local.js';
+export { MAX_ROOM_MEMBERS, KNOCK_TIMEOUT_MS, createRandomRoomId } from './signaling-shared.js';
+export { IceConfigProvider, DEFAULT_ICE_SERVERS } from './ice-config.js';
+export { AUDIO_PRESETS, DEFAULT_AUDIO_PRESET } from './audio-quality.js';
+export { DEFAULT_NOISE_GATE_SETTINGS } from './local-audio-pipeline.js';
+export { convertRecordingToWav } from './call-recorder.js';
+export { rateConnectionQuality } from './call-stats.js';
+export { displayNameFor } from './profile.js';
@@ -0,0 +1,601 @@
+import {
+  SIGNAL_PATHS,
+  MAX_ROOM_MEMBERS,
+  buildOfferKey,
+  candidatePathForRole,
+  sanitizeMemberPatch,
+  normalizeModeration,
+  pickOldestMember,
+  listPendingKnocks,
+  waitForKnockDecision
+} from './signaling-shared.js';
+import { sanitizeProfile } from './profile.js';
+import { createRoomAccess, verifyRoomPassword } from './room-password.js';
+
+const STORAGE_PREFIX = 'cleanCall:room:';
+const CHANNEL_NAME = 'clean-call-signaling';
+const ROOMS_LOCK = 'clean-call:rooms';
+const TAB_LOCK_PREFIX = 'clean-call:tab:';
+
+function roomKey(roomId) {
+  return `${STORAGE_PREFIX}${roomId}`;
+}
+
+function readRoom(roomId) {
+  const raw = localStorage.getItem(roomKey(roomId));
+  if (!raw) {
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn('Sala local corrupta, se descarta', roomId, error);
+    return null;
+  }
+}
+
+function writeRoom(roomId, room) {
+  if (room) {
+    localStorage.setItem(roomKey(roomId), JSON.stringify(room));
+  } else {
+    localStorage.removeItem(roomKey(roomId));
+  }
+}
+
+function withRoomsLock(callback) {
+  if (!navigator.locks) {
+    return Promise.resolve().then(callback);
+  }
+  return navigator.locks.request(ROOMS_LOCK, callback);
+}
+
+function createPushId() {
+  return `${Date.now().toString(36)}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+function clearSignalsForPeerInRoom(room, peerId) {
+  [SIGNAL_PATHS.OFFERS, SIGNAL_PATHS.ANSWERS].forEach((path) => {
+    Object.entries(room[path] ?? {}).forEach(([offerId, value]) => {
+      if (value.from === peerId || value.to === peerId) {
+        delete room[path][offerId];
+        delete room[SIGNAL_PATHS.CALLER_CANDIDATES]?.[offerId];
+        delete room[SIGNAL_PATHS.CALLEE_CANDIDATES]?.[offerId];
+      }
+    });
+  });
+}
+
+// Devuelve null cuando la sala queda vacía, igual que el borrado de rooms/<roomId> en Firebase
+function removeMemberFromRoom(room, peerId) {
+  delete room[SIGNAL_PATHS.MEMBERS]?.[peerId];
+  clearSignalsForPeerInRoom(room, peerId);
+  const moderation = room[SIGNAL_PATHS.MODERATION];
+  // Aquí no hay reglas que impidan a otra pestaña heredarlo: se traspasa en la misma transacción
+  if (moderation?.host === peerId) {
+    moderation.host = pickOldestMember(room[SIGNAL_PATHS.MEMBERS]);
+  }
+  return Object.keys(room[SIGNAL_PATHS.MEMBERS] ?? {}).length ? room : null;
+}
+
+export class LocalSignalingClient {
+  constructor() {
+    if (typeof BroadcastChannel === 'undefined') {
+      throw new Error('BroadcastChannel no disponible en este navegador');
+    }
+    this.tabId = crypto.randomUUID();
+    this.watchers = new Set();
+    this.ownedMembers = new Map();
+    this.ownedKnocks = new Set();
+    this.channel = new BroadcastChannel(CHANNEL_NAME);
+    this.channel.addEventListener('message', (event) => this.dispatch(event.data?.roomId));
+    this.ready = this.holdTabLock();
+    window.addEventListener('pagehide', () => this.releaseOwnedMembers());
+  }
+
+  // El lock de pestaña se mantiene mientras viva la pestaña; si desaparece, sus miembros son fantasmas
+  holdTabLock() {
+    if (!navigator.locks) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      navigator.locks.request(`${TAB_LOCK_PREFIX}${this.tabId}`, () => {
+        resolve();
+        return new Promise(() => {});
+      });
+    });
+  }
+
+  async liveTabIds() {
+    if (!navigator.locks?.query) {
+      return null;
+    }
+    const { held = [] } = await navigator.locks.query();
+    return new Set(
+      held.map(({ name }) => name).filter((name) => name?.startsWith(TAB_LOCK_PREFIX)).map((name) => name.slice(TAB_LOCK_PREFIX.length))
+    );
+  }
+
+  async transaction(roomId, update) {
+    const result = await withRoomsLock(() => {
+      const current = readRoom(roomId);
+      const next = update(current);
+      if (next === undefined) {
+        return { committed: false, room: current };
+      }
+      writeRoom(roomId, next);
+      return { committed: true, room: next };
+    });
+    if (result.committed) {
+      this.notify(roomId);
+    }
+    return result;
+  }
+
+  updateExistingRoom(roomId, mutate) {
+    return this.transaction(roomId, (room) => {
+      if (!room) {
+        return undefined;
+      }
+      mutate(room);
+      return room;
+    });
+  }
+
+  notify(roomId) {
+    this.channel.postMessage({ roomId });
+    this.dispatch(roomId);
+  }
+
+  dispatch(roomId) {
+    if (!roomId) {
+      return;
+    }
+    const room = readRoom(roomId);
+    this.watchers.forEach((watcher) => {
+      if (watcher.roomId === roomId) {
+        watcher.onChange(room);
+      }
+    });
+  }
+
+  watch(roomId, onChange) {
+    const watcher = { roomId, onChange };
+    this.watchers.add(watcher);
+    queueMicrotask(() => {
+      if (this.watchers.has(watcher)) {
+        onChange(readRoom(roomId));
+      }
+    });
+    return () => this.watchers.delete(watcher);
+  }
+
+  watchChildren(roomId, selectNode, handler) {
+    const seen = new Set();
+    return this.watch(roomId, (room) => {
+      const node = selectNode(room) ?? {};
+      seen.forEach((key) => {
+        if (!(key in node)) {
+          seen.delete(key);
+        }
+      });
+      Object.entries(node).forEach(([key, value]) => {
+        if (!seen.has(key)) {
+          seen.add(key);
+          handler({ id: key, ...value });
+        }
+      });
+    });
+  }
+
+  async sweepStaleMembers(roomId) {
+    const liveTabs = await this.liveTabIds();
+    if (!liveTabs) {
+      return;
+    }
+    await this.transaction(roomId, (room) => {
+      if (!room) {
+        return undefined;
+      }
+      const stale = Object.values(room[SIGNAL_PATHS.MEMBERS] ?? {}).filter((member) => !liveTabs.has(member.tabId));
+      const staleKnocks = Object.keys(room[SIGNAL_PATHS.KNOCKS] ?? {}).filter((tabId) => !liveTabs.has(tabId));
+      const abandoned = !Object.keys(room[SIGNAL_PATHS.MEMBERS] ?? {}).length && !liveTabs.has(room.createdBy);
+      if (abandoned) {
+        return null;
+      }
+      if (!stale.length && !staleKnocks.length) {
+        return undefined;
+      }
+      staleKnocks.forEach((tabId) => delete room[SIGNAL_PATHS.KNOCKS][tabId]);
+      return stale.reduce((current, member) => current && removeMemberFromRoom(current, member.peerId), room);
+    });
+  }
+
+  async ensureRoom(roomId, { createIfMissing = false, password = '' } = {}) {
+    await this.ready;
+    await this.sweepStaleMembers(roomId);
+    const access = createIfMissing && password ? await createRoomAccess(password) : null;
+    await this.transaction(roomId, (current) => {
+      if (current) {
+        return undefined;
+      }
+      if (!createIfMissing) {
+        throw new Error('room-not-found');
+      }
+      return {
+        createdAt: Date.now(),
+        createdBy: this.tabId,
+        ...(access && { access: { salt: access.salt, iterations: access.iterations, verifier: access.verifier } }),
+        [SIGNAL_PATHS.MEMBERS]: {}
+      };
+    });
+    return roomId;
+  }
+
+  assertCanEnter(room) {
+    if (!room) {
+      throw new Error('room-not-found');
+    }
+    const moderation = normalizeModeration(room[SIGNAL_PATHS.MODERATION]);
+    if (moderation.kicked[this.tabId]) {
+      throw new Error('kicked');
+    }
+    if (moderation.locked) {
+      throw new Error('room-locked');
+    }
+    return moderation;
+  }
+
+  async joinRoom(roomId, peerId, profile = {}, { password = '', onKnock } = {}) {
+    await this.ready;
+    await this.sweepStaleMembers(roomId);
+    const access = readRoom(roomId)?.access;
+    if (access) {
+      await verifyRoomPassword(password, access);
+    }
+    const memberProfile = sanitizeProfile(profile);
+    const current = readRoom(roomId);
+    if (this.assertCanEnter(current).lobby && Object.keys(current[SIGNAL_PATHS.MEMBERS] ?? {}).length) {
+      await this.knock(roomId, peerId, memberProfile, onKnock);
+    }
+    let joinResult;
+    try {
+      joinResult = await this.transaction(roomId, (room) => {
+        const members = room?.[SIGNAL_PATHS.MEMBERS] ?? {};
+        if (members[peerId]) {
+          return room;
+        }
+        const moderation = this.assertCanEnter(room);
+        // La sala de espera se pudo activar después de comprobarla: sin aprobación no se entra
+        if (moderation.lobby && Object.keys(members).length && room[SIGNAL_PATHS.KNOCKS]?.[this.tabId]?.status !== 'approved') {
+          throw new Error('knock-required');
+        }
+        if (Object.keys(members).length >= MAX_ROOM_MEMBERS) {
+          return undefined;
+        }
+        delete room[SIGNAL_PATHS.KNOCKS]?.[this.tabId];
+        room[SIGNAL_PATHS.MEMBERS] = {
+          ...members,
+          [peerId]: {
+            ...memberProfile,
+            peerId,
+            tabId: this.tabId,
+            joinedAt: Date.now(),
+            lastSeen: Date.now()
+          }
+        };
+        return room;
+      });
+    } finally {
+      if (this.ownedKnocks.has(roomId)) {
+        await this.withdrawKnock(roomId);
+      }
+    }
+
+    if (!joinResult.committed) {
+      throw new Error('room-full');
+    }
+
+    if (!this.ownedMembers.has(roomId)) {
+      this.ownedMembers.set(roomId, new Set());
+    }
+    this.ownedMembers.get(roomId).add(peerId);
+
+    return {
+      members: Object.keys(joinResult.room[SIGNAL_PATHS.MEMBERS]),
+      unsubscribe: () => {}
+    };
+  }
+
+  // La llamada vive en knocks/<tabId>; el barrido por locks la retira si la pestaña se cierra esperando
+  async knock(roomId, peerId, profile, onKnock) {
+    await this.updateExistingRoom(roomId, (room) => {
+      room[SIGNAL_PATHS.KNOCKS] = {
+        ...room[SIGNAL_PATHS.KNOCKS],
+        [this.tabId]: { ...profile, peerId, status: 'pending', createdAt: Date.now() }
+      };
+    });
+    this.ownedKnocks.add(roomId);
+    onKnock?.({ status: 'pending' });
+    try {
+      await waitForKnockDecision((callback) => this.watch(roomId, (room) => callback(room?.[SIGNAL_PATHS.KNOCKS]?.[this.tabId] ?? null)));
+    } catch (error) {
+      await this.withdrawKnock(roomId);
+      throw error;
+    }
+  }
+
+  async withdrawKnock(roomId) {
+    this.ownedKnocks.delete(roomId);
+    await this.updateExistingRoom(roomId, (room) => {
+      delete room[SIGNAL_PATHS.KNOCKS]?.[this.tabId];
+    });
+  }
+
+  subscribeToKnocks(roomId, callback) {
+    let lastSerialized;
+    return this.watch(roomId, (room) => {
+      const knocks = listPendingKnocks(room?.[SIGNAL_PATHS.KNOCKS]);
+      const serialized = JSON.stringify(knocks);
+      if (serialized === lastSerialized) {
+        return;
+      }
+      lastSerialized = serialized;
+      callback(knocks);
+    });
+  }
+
+  // Responde cualquier miembro de esta pestaña, no solo el anfitrión
+  async answerKnock(roomId, peerId, knockId, approved) {
+    await this.transaction(roomId, (room) => {
+      if (room?.[SIGNAL_PATHS.MEMBERS]?.[peerId]?.tabId !== this.tabId) {
+        throw new Error('permission-denied');
+      }
+      const knock = room[SIGNAL_PATHS.KNOCKS]?.[knockId];
+      if (knock?.status !== 'pending') {
+        throw new Error('knock-not-found');
+      }
+      Object.assign(knock, { status: approved ? 'approved' : 'denied', decidedBy: peerId });
+      return room;
+    });
+  }
+
+  async updateMember(roomId, peerId, patch) {
+    await this.updateExistingRoom(roomId, (room) => {
+      const member = room[SIGNAL_PATHS.MEMBERS]?.[peerId];
+      if (member) {
+        Object.assign(member, sanitizeMemberPatch(patch), { lastSeen: Date.now() });
+      }
+    });
+  }
+
+  async leaveRoom(roomId, peerId) {
+    this.ownedMembers.get(roomId)?.delete(peerId);
+    try {
+      await this.transaction(roomId, (room) => (room ? removeMemberFromRoom(room, peerId) : undefined));
+    } catch (error) {
+      console.warn('leaveRoom remove member error', error);
+    }
+  }
+
+  // pagehide no espera promesas: se escribe sin lock como mejor esfuerzo; el barrido por locks cubre el resto
+  releaseOwnedMembers() {
+    this.ownedKnocks.forEach((roomId) => {
+      const room = readRoom(roomId);
+      if (room?.[SIGNAL_PATHS.KNOCKS]?.[this.tabId]) {
+        delete room[SIGNAL_PATHS.KNOCKS][this.tabId];
+        writeRoom(roomId, room);
+        this.channel.postMessage({ roomId });
+      }
+    });
+    this.ownedKnocks.clear();
+    this.ownedMembers.forEach((peerIds, roomId) => {
+      let room = readRoom(roomId);
+      peerIds.forEach((peerId) => {
+        room = room && removeMemberFromRoom(room, peerId);
+      });
+      writeRoom(roomId, room);
+      this.channel.postMessage({ roomId });
+    });
+    this.ownedMembers.clear();
+  }
+
+  subscribeToMembers(roomId, callback) {
+    let lastSerialized;
+    return this.watch(roomId, (room) => {
+      const raw = room?.[SIGNAL_PATHS.MEMBERS] ?? {};
+      const serialized = JSON.stringify(raw);
+      if (serialized === lastSerialized) {
+        return;
+      }
+      lastSerialized = serialized;
+      callback({
+        members: Object.keys(raw),
+        raw
+      });
+    });
+  }
+
+  subscribeToModeration(roomId, callback) {
+    let lastSerialized;
+    return this.watch(roomId, (room) => {
+      const moderation = normalizeModeration(room?.[SIGNAL_PATHS.MODERATION]);
+      const serialized = JSON.stringify(moderation);
+      if (serialized === lastSerialized) {
+        return;
+      }
+      lastSerialized = serialized;
+      callback(moderation);
+    });
+  }
+
+  async claimHost(roomId, peerId) {
+    const result = await this.transaction(roomId, (room) => {
+      const members = room?.[SIGNAL_PATHS.MEMBERS] ?? {};
+      const host = room?.[SIGNAL_PATHS.MODERATION]?.host;
+      if (!members[peerId] || (host && members[host])) {
+        return undefined;
+      }
+      room[SIGNAL_PATHS.MODERATION] = { ...room[SIGNAL_PATHS.MODERATION], host: peerId };
+      return room;
+    });
+    return result.committed;
+  }
+
+  // El anfitrión debe ser un miembro de esta pestaña: otra pestaña no puede actuar en su nombre
+  async moderate(roomId, peerId, mutate) {
+    const result = await this.transaction(roomId, (room) => {
+      const member = room?.[SIGNAL_PATHS.MEMBERS]?.[peerId];
+      if (room?.[SIGNAL_PATHS.MODERATION]?.host !== peerId || member?.tabId !== this.tabId) {
+        throw new Error('not-host');
+      }
+      mutate(room, room[SIGNAL_PATHS.MODERATION]);
+      return room;
+    });
+    return result.room;
+  }
+
+  async transferHost(roomId, fromPeerId, toPeerId) {
+    await this.moderate(roomId, fromPeerId, (room, moderation) => {
+      if (!room[SIGNAL_PATHS.MEMBERS][toPeerId]) {
+        throw new Error('member-not-found');
+      }
+      moderation.host = toPeerId;
+    });
+  }
+
+  async setRoomLocked(roomId, peerId, locked) {
+    await this.moderate(roomId, peerId, (_room, moderation) => {
+      moderation.locked = Boolean(locked);
+    });
+  }
+
+  async setLobbyEnabled(roomId, peerId, enabled) {
+    await this.moderate(roomId, peerId, (_room, moderation) => {
+      moderation.lobby = Boolean(enabled);
+    });
+  }
+
+  async requestMuteAll(roomId, peerId) {
+    await this.moderate(roomId, peerId, (_room, moderation) => {
+      moderation.muteAll = { id: crypto.randomUUID(), by: peerId, at: Date.now() };
+    });
+  }
+
+  async kickMember(roomId, peerId, targetPeerId) {
+    if (targetPeerId === peerId) {
+      throw new Error('invalid-target');
+    }
+    await this.moderate(roomId, peerId, (room, moderation) => {
+      const target = room[SIGNAL_PATHS.MEMBERS][targetPeerId];
+      if (!target) {
+        throw new Error('member-not-found');
+      }
+      // Vetar la pestaña propia dejaría fuera también al anfitrión
+      if (target.tabId === this.tabId) {
+        throw new Error('invalid-target');
+      }
+      moderation.kicked = { ...moderation.kicked, [target.tabId]: targetPeerId };
+      removeMemberFromRoom(room, targetPeerId);
+    });
+  }
+
+  // Las salas se borran al quedar vacías dentro de la propia transacción
+  scheduleRoomCleanup() {}
+
+  cancelRoomCleanup() {}
+
+  async removeRoomIfEmpty(roomId) {
+    await this.transaction(roomId, (room) => {
+      if (!room || Object.keys(room[SIGNAL_PATHS.MEMBERS] ?? {}).length) {
+        return undefined;
+      }
+      return null;
+    });
+  }
+
+  subscribeToOffers(roomId, peerId, handler) {
+    return this.watchChildren(roomId, (room) => room?.[SIGNAL_PATHS.OFFERS], (signal) => {
+      if (signal.to === peerId) {
+        handler(signal);
+      }
+    });
+  }
+
+  subscribeToAnswers(roomId, offerId, handler) {
+    let lastSerialized;
+    return this.watch(roomId, (room) => {
+      const value = room?.[SIGNAL_PATHS.ANSWERS]?.[offerId];
+      const serialized = JSON.stringify(value ?? null);
+      if (serialized === lastSerialized) {
+        return;
+      }
+      lastSerialized = serialized;
+      if (value) {
+        handler({ id: offerId, ...value });
+      }
+    });
+  }
+
+  subscribeToIceCandidates(roomId, offerId, role, handler) {
+    const node = candidatePathForRole(role);
+    return this.watchChildren(roomId, (room) => room?.[node]?.[offerId], handler);
+  }
+
+  async postSignal(roomId, path, offerId, value) {
+    const result = await this.updateExistingRoom(roomId, (room) => {
+      room[path] = { ...room[path], [offerId]: { ...value, createdAt: Date.now() } };
+    });
+    if (!result.committed) {
+      throw new Error('room-not-found');
+    }
+  }
+
+  async postOffer(roomId, { offerId, from, to, description, sessionId }) {
+    await this.postSignal(roomId, SIGNAL_PATHS.OFFERS, offerId, { from, to, description, sessionId: sessionId ?? null });
+  }
+
+  async postAnswer(roomId, offerId, { from, to, description, sessionId }) {
+    await this.postSignal(roomId, SIGNAL_PATHS.ANSWERS, offerId, { from, to, description, sessionId: sessionId ?? null });
+  }
+
+  async addIceCandidate(roomId, offerId, role, candidate, owner) {
+    const node = candidatePathForRole(role);
+    const result = await this.updateExistingRoom(roomId, (room) => {
+      room[node] = room[node] ?? {};
+      room[node][offerId] = {
+        ...room[node][offerId],
+        [createPushId()]: { owner, candidate, createdAt: Date.now() }
+      };
+    });
+    if (!result.committed) {
+      throw new Error('room-not-found');
+    }
+  }
+
+  async clearOffer(roomId, offerId) {
+    await this.updateExistingRoom(roomId, (room) => {
+      delete room[SIGNAL_PATHS.OFFERS]?.[offerId];
+    });
+  }
+
+  async clearAnswer(roomId, offerId) {
+    await this.updateExistingRoom(roomId, (room) => {
+      delete room[SIGNAL_PATHS.ANSWERS]?.[offerId];
+    });
+  }
+
+  async clearCandidates(roomId, offerId) {
+    await this.updateExistingRoom(roomId, (room) => {
+      delete room[SIGNAL_PATHS.CALLER_CANDIDATES]?.[offerId];
+      delete room[SIGNAL_PATHS.CALLEE_CANDIDATES]?.[offerId];
+    });
+  }
+
+  async clearSignalsForPeer(roomId, peerId) {
+    await this.updateExistingRoom(roomId, (room) => clearSignalsForPeerInRoom(room, peerId));
+  }
+
+  buildOfferId(from, to) {
+    return buildOfferKey(from, to);
+  }
+}
@@ -0,0 +1,115 @@
+import { sanitizeProfile } from './profile.js';
+
+export const SIGNAL_PATHS = {
+  OFFERS: 'offer',
+  ANSWERS: 'answer',
+  CALLER_CANDIDATES: 'callerCandidates',
+  CALLEE_CANDIDATES: 'calleeCandidates',
+  MEMBERS: 'members',
+  META: 'meta',
+  SECRET: 'secret',
+  PROOFS: 'proofs',
+  MODERATION: 'moderation',
+  KNOCKS: 'knocks'
+};
+
+export const MAX_ROOM_MEMBERS = 4;
+// Sin respuesta de ningún miembro en este plazo la llamada a la puerta se retira
+export const KNOCK_TIMEOUT_MS = 60000;
+
+// Estado que cada peer publica en members/<peerId>; el resto de campos solo los escribe joinRoom.
+// Lista blanca: el registro se difunde a toda la sala y no debe admitir claves ni tamaños arbitrarios
+const MEMBER_STATE_FIELDS = ['muted', 'e2ee', 'recording', 'speaking'];
+
+export function sanitizeMemberPatch(patch) {
+  if (typeof patch !== 'object' || patch === null) {
+    return {};
+  }
+  // null borra el campo (así se retira speaking)
+  const state = Object.fromEntries(
+    MEMBER_STATE_FIELDS.filter((key) => typeof patch[key] === 'boolean' || patch[key] === null).map((key) => [key, patch[key]])
+  );
+  return { ...state, ...sanitizeProfile(patch) };
+}
+
+// kicked indexa por identidad del backend (uid en Firebase, pestaña en local, conexión en WebSocket) con el peerId expulsado
+export function normalizeModeration(raw) {
+  return {
+    host: typeof raw?.host === 'string' ? raw.host : null,
+    locked: raw?.locked === true,
+    lobby: raw?.lobby === true,
+    muteAll: raw?.muteAll?.id ? raw.muteAll : null,
+    kicked: raw?.kicked ?? {}
+  };
+}
+
+// knocks indexa por la misma identidad que kicked; solo se listan las pendientes que aún no han caducado
+export function listPendingKnocks(raw, now = Date.now()) {
+  return Object.entries(raw ?? {})
+    .filter(([, knock]) => knock?.status === 'pending' && now - (knock.createdAt ?? 0) < KNOCK_TIMEOUT_MS)
+    .map(([id, knock]) => ({ id, peerId: knock.peerId, displayName: knock.displayName ?? '', color: knock.color ?? '', createdAt: knock.createdAt }))
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// subscribe recibe un callback con la llamada propia (o null si desapareció con la sala) y devuelve la baja
+export function waitForKnockDecision(subscribe, timeoutMs = KNOCK_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    let unsubscribe = null;
+    let settled = false;
+    const settle = (error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      unsubscribe?.();
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    const timer = setTimeout(() => settle(new Error('knock-timeout')), timeoutMs);
+    unsubscribe = subscribe((knock) => {
+      if (!knock) {
+        settle(new Error('room-not-found'));
+      } else if (knock.status === 'approved') {
+        settle();
+      } else if (knock.status === 'denied') {
+        settle(new Error('knock-denied'));
+      }
+    });
+    // El primer valor puede llegar de forma síncrona, antes de tener con qué darse de baja
+    if (settled) {
+      unsubscribe();
+    }
+  });
+}
+
+// El anfitrión se hereda por antigüedad: el miembro con joinedAt menor que no esté excluido
+export function pickOldestMember(members, excludedPeerId = null) {
+  const [oldest] = Object.values(members ?? {})
+    .filter((member) => member?.peerId && member.peerId !== excludedPeerId)
+    .sort((a, b) => (a.joinedAt ?? 0) - (b.joinedAt ?? 0) || a.peerId.localeCompare(b.peerId));
+  return oldest?.peerId ?? null;
+}
+
+export function sanitizeKey(raw) {
+  return raw.replace(/[.#$[\]/]/g, '-');
+}
+
+export function buildOfferKey(from, to) {
+  return sanitizeKey(`${from}__${to}`);
+}
+
+export function candidatePathForRole(role) {
+  return role === 'caller' ? SIGNAL_PATHS.CALLER_CANDIDATES : SIGNAL_PATHS.CALLEE_CANDIDATES;
+}
+
+export function createRandomRoomId() {
+  const randomBytes = crypto.getRandomValues(new Uint8Array(8));
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const chars = Array.from(randomBytes, (byte) => alphabet[byte % alphabet.length]);
+  const segments = [chars.slice(0, 4).join(''), chars.slice(4, 8).join('')];
+  return segments.join('-');
+}
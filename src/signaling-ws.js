@@ -0,0 +1,254 @@
+import { buildOfferKey, normalizeModeration, listPendingKnocks, waitForKnockDecision } from './signaling-shared.js';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+export class WebSocketSignalingClient {
+  constructor(config) {
+    if (!config?.url) {
+      throw new Error('Configuración WebSocket incompleta. Falta: url');
+    }
+    this.url = config.url;
+    this.pendingRequests = new Map();
+    this.listeners = new Map();
+    this.disconnectListeners = new Set();
+    this.sequence = 0;
+    this.connect();
+  }
+
+  connect() {
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+    this.ready = new Promise((resolve, reject) => {
+      socket.addEventListener('open', () => resolve(), { once: true });
+      socket.addEventListener('error', () => reject(new Error('signaling-unavailable')), { once: true });
+    });
+    this.ready.catch((error) => console.error('WebSocket signaling error', error));
+    socket.addEventListener('message', (event) => this.handleMessage(event));
+    socket.addEventListener('close', () => this.handleClose(socket));
+  }
+
+  // La presencia y las suscripciones viven en el socket: si se cae, la sesión en curso ya no existe en el servidor
+  subscribeToDisconnect(callback) {
+    this.disconnectListeners.add(callback);
+    return () => this.disconnectListeners.delete(callback);
+  }
+
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}-${this.sequence}`;
+  }
+
+  handleMessage(event) {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      console.warn('Mensaje de señalización inválido', error);
+      return;
+    }
+
+    if (message.type === 'response') {
+      const pending = this.pendingRequests.get(message.requestId);
+      if (!pending) {
+        return;
+      }
+      this.pendingRequests.delete(message.requestId);
+      clearTimeout(pending.timer);
+      if (message.ok) {
+        pending.resolve(message.result);
+      } else {
+        pending.reject(new Error(message.error ?? 'signaling-error'));
+      }
+      return;
+    }
+
+    if (message.type === 'event') {
+      const listener = this.listeners.get(message.subscriptionId);
+      listener?.(message.data);
+    }
+  }
+
+  handleClose(socket) {
+    if (socket !== this.socket) {
+      return;
+    }
+    console.warn('Conexión de señalización WebSocket cerrada');
+    // La próxima petición abre un socket nuevo; la sesión anterior no se recupera
+    this.socket = null;
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('signaling-disconnected'));
+    });
+    this.pendingRequests.clear();
+    this.listeners.clear();
+    Array.from(this.disconnectListeners).forEach((listener) => listener());
+  }
+
+  async request(action, payload) {
+    if (!this.socket) {
+      this.connect();
+    }
+    await this.ready;
+    if (this.socket?.readyState !== WebSocket.OPEN) {
+      throw new Error('signaling-disconnected');
+    }
+    const requestId = this.nextId('req');
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error('signaling-timeout'));
+      }, REQUEST_TIMEOUT_MS);
+      this.pendingRequests.set(requestId, { resolve, reject, timer });
+      this.socket.send(JSON.stringify({ type: 'request', requestId, action, payload }));
+    });
+  }
+
+  subscribe(channel, params, handler) {
+    const subscriptionId = this.nextId('sub');
+    this.listeners.set(subscriptionId, handler);
+    this.request('subscribe', { subscriptionId, channel, ...params }).catch((error) =>
+      console.warn('subscribe error', channel, error)
+    );
+    return () => {
+      this.listeners.delete(subscriptionId);
+      if (this.socket?.readyState === WebSocket.OPEN) {
+        this.request('unsubscribe', { subscriptionId }).catch(() => {});
+      }
+    };
+  }
+
+  // La contraseña viaja en claro por el socket (usa wss://); el servidor guarda solo sal y verificador
+  async ensureRoom(roomId, { createIfMissing = false, password = '' } = {}) {
+    await this.request('ensureRoom', { roomId, createIfMissing, password });
+    return roomId;
+  }
+
+  async joinRoom(roomId, peerId, profile = {}, { password = '', onKnock } = {}) {
+    const { knockId } = await this.request('knock', { roomId, peerId, profile, password });
+    if (knockId) {
+      onKnock?.({ status: 'pending' });
+      try {
+        await waitForKnockDecision((callback) => this.subscribe('knocks', { roomId }, (knocks) => callback(knocks?.[knockId] ?? null)));
+      } catch (error) {
+        await this.request('withdrawKnock', { roomId }).catch(() => {});
+        throw error;
+      }
+    }
+    const result = await this.request('joinRoom', { roomId, peerId, profile, password });
+    return {
+      members: result.members,
+      // La presencia vive en el socket: el servidor la retira al desconectar
+      unsubscribe: () => {}
+    };
+  }
+
+  async updateMember(roomId, peerId, patch) {
+    await this.request('updateMember', { roomId, peerId, patch });
+  }
+
+  async leaveRoom(roomId, peerId) {
+    try {
+      await this.request('leaveRoom', { roomId, peerId });
+    } catch (error) {
+      console.warn('leaveRoom error', error);
+    }
+  }
+
+  subscribeToMembers(roomId, callback) {
+    return this.subscribe('members', { roomId }, callback);
+  }
+
+  subscribeToModeration(roomId, callback) {
+    return this.subscribe('moderation', { roomId }, (moderation) => callback(normalizeModeration(moderation)));
+  }
+
+  subscribeToKnocks(roomId, callback) {
+    return this.subscribe('knocks', { roomId }, (knocks) => callback(listPendingKnocks(knocks)));
+  }
+
+  async answerKnock(roomId, peerId, knockId, approved) {
+    await this.request('answerKnock', { roomId, peerId, knockId, approved });
+  }
+
+  async claimHost(roomId, peerId) {
+    return this.request('claimHost', { roomId, peerId });
+  }
+
+  async transferHost(roomId, fromPeerId, toPeerId) {
+    await this.request('transferHost', { roomId, peerId: fromPeerId, targetPeerId: toPeerId });
+  }
+
+  async setRoomLocked(roomId, peerId, locked) {
+    await this.request('setRoomLocked', { roomId, peerId, locked });
+  }
+
+  async setLobbyEnabled(roomId, peerId, enabled) {
+    await this.request('setLobbyEnabled', { roomId, peerId, enabled });
+  }
+
+  async requestMuteAll(roomId, peerId) {
+    await this.request('requestMuteAll', { roomId, peerId });
+  }
+
+  async kickMember(roomId, peerId, targetPeerId) {
+    await this.request('kickMember', { roomId, peerId, targetPeerId });
+  }
+
+  // El servidor elimina la sala cuando queda vacía; no hay nada que programar en cliente
+  scheduleRoomCleanup() {}
+
+  cancelRoomCleanup() {}
+
+  async removeRoomIfEmpty(roomId) {
+    await this.request('removeRoomIfEmpty', { roomId });
+  }
+
+  subscribeToOffers(roomId, peerId, handler) {
+    return this.subscribe('offers', { roomId, peerId }, handler);
+  }
+
+  subscribeToAnswers(roomId, offerId, handler) {
+    return this.subscribe('answers', { roomId, offerId }, handler);
+  }
+
+  subscribeToIceCandidates(roomId, offerId, role, handler) {
+    return this.subscribe('candidates', { roomId, offerId, role }, handler);
+  }
+
+  async postOffer(roomId, { offerId, from, to, description, sessionId }) {
+    await this.request('postOffer', { roomId, offerId, from, to, description, sessionId });
+  }
+
+  async postAnswer(roomId, offerId, { from, to, description, sessionId }) {
+    await this.request('postAnswer', { roomId, offerId, from, to, description, sessionId });
+  }
+
+  async addIceCandidate(roomId, offerId, role, candidate, owner) {
+    await this.request('addIceCandidate', { roomId, offerId, role, candidate, owner });
+  }
+
+  async clearOffer(roomId, offerId) {
+    await this.request('clearOffer', { roomId, offerId });
+  }
+
+  async clearAnswer(roomId, offerId) {
+    await this.request('clearAnswer', { roomId, offerId });
+  }
+
+  async clearCandidates(roomId, offerId) {
+    await this.request('clearCandidates', { roomId, offerId });
+  }
+
+  async clearSignalsForPeer(roomId, peerId) {
+    await this.request('clearSignalsForPeer', { roomId, peerId });
+  }
+
+  // Token de un minuto para GET /turn-credentials; el servidor solo lo emite a sockets dentro de una sala
+  requestTurnToken() {
+    return this.request('turnToken', {}).then(({ token }) => token);
+  }
+
+  buildOfferId(from, to) {
+    return buildOfferKey(from, to);
+  }
+}
@@ -15,17 +15,29 @@ import {
   serverTimestamp,
   push,
   onDisconnect,
-  enableLogging
+  enableLogging,
+  connectDatabaseEmulator
 } from 'https://www.gstatic.com/firebasejs/10.12.1/firebase-database.js';
-import { getAuth, signInAnonymously } from 'https://www.gstatic.com/firebasejs/10.12.1/firebase-auth.js';
-
-const SIGNAL_PATHS = {
-  OFFERS: 'offer',
-  ANSWERS: 'answer',
-  CALLER_CANDIDATES: 'callerCandidates',
-  CALLEE_CANDIDATES: 'calleeCandidates',
-  MEMBERS: 'members'
-};
+import { getAuth, signInAnonymously, connectAuthEmulator } from 'https://www.gstatic.com/firebasejs/10.12.1/firebase-auth.js';
+import {
+  SIGNAL_PATHS,
+  MAX_ROOM_MEMBERS,
+  buildOfferKey,
+  candidatePathForRole,
+  sanitizeMemberPatch,
+  normalizeModeration,
+  listPendingKnocks,
+  waitForKnockDecision
+} from './signaling-shared.js';
+import { sanitizeProfile } from './profile.js';
+import { createRoomAccess, verifyRoomPassword } from './room-password.js';
+
+export { createRandomRoomId } from './signaling-shared.js';
+
+// Tres latidos perdidos bastan para dar por muerto a un miembro cuyo onDisconnect no llegó a ejecutarse
+const HEARTBEAT_INTERVAL_MS = 15000;
+// Chrome agrupa los timers de pestañas ocultas a ~1 por minuto: el umbral deja pasar varios latidos perdidos
+export const STALE_MEMBER_MS = 180000;
 
 let firebaseApp;
 let database;
@@ -49,24 +61,25 @@ function ensureFirebase(config) {
   database = getDatabase(firebaseApp);
   enableLogging(true);
   authInstance = getAuth(firebaseApp);
+  // Puertos de firebase.json: permite probar database.rules.json contra el emulador local
+  if (config.emulatorHost) {
+    connectDatabaseEmulator(database, config.emulatorHost, 9000);
+    connectAuthEmulator(authInstance, `http://${config.emulatorHost}:9099`, { disableWarnings: true });
+  }
   authReadyPromise = signInAnonymously(authInstance).catch((error) => {
     console.error('Firebase auth error', error);
     throw error;
   });
 }
 
-function sanitizeKey(raw) {
-  return raw.replace(/[.#$\[\]/]/g, '-');
-}
-
-function buildOfferKey(from, to) {
-  return sanitizeKey(`${from}__${to}`);
-}
-
 function nowMs() {
   return Date.now();
 }
 
+function isStaleMember(member, serverNow) {
+  return serverNow - (member?.lastSeen ?? member?.joinedAt ?? 0) > STALE_MEMBER_MS;
+}
+
 export class FirebaseSignalingClient {
   constructor(config) {
     ensureFirebase(config);
@@ -75,52 +88,123 @@ export class FirebaseSignalingClient {
     this.ready = authReadyPromise;
     this.cleanupHandles = new Map();
     this.cleanupArmed = new Map();
+    this.heartbeats = new Map();
+    this.disconnectListeners = new Set();
+    this.serverTimeOffset = 0;
+    // lastSeen usa la hora del servidor: comparamos contra ella y no contra el reloj local
+    onValue(ref(this.db, '.info/serverTimeOffset'), (snapshot) => {
+      this.serverTimeOffset = snapshot.val() ?? 0;
+    });
   }
 
-  async ensureRoom(roomId, { createIfMissing = false } = {}) {
+  serverNow() {
+    return Date.now() + this.serverTimeOffset;
+  }
+
+  get uid() {
+    return this.auth.currentUser?.uid ?? null;
+  }
+
+  // database.rules.json solo deja leer meta sin pertenecer a la sala; el hash de la contraseña vive aparte en secret/
+  async ensureRoom(roomId, { createIfMissing = false, password = '' } = {}) {
     await this.ready;
-    const roomRef = ref(this.db, `rooms/${roomId}`);
-    const snapshot = await get(roomRef);
+    const metaRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.META}`);
+    const snapshot = await get(metaRef);
     if (!snapshot.exists()) {
       if (!createIfMissing) {
         throw new Error('room-not-found');
       }
-      const createResult = await runTransaction(roomRef, (current) => {
+      const access = password ? await createRoomAccess(password) : null;
+      const createResult = await runTransaction(metaRef, (current) => {
         if (current) {
           return; // abort
         }
         return {
           createdAt: serverTimestamp(),
-          [SIGNAL_PATHS.MEMBERS]: {}
+          createdBy: this.uid,
+          hasPassword: Boolean(access),
+          ...(access && {
+            passwordSalt: access.salt,
+            passwordIterations: access.iterations,
+            passwordVerifier: access.verifier
+          })
         };
       });
       if (!createResult.committed) {
         throw new Error('room-already-exists');
       }
+      if (access) {
+        await set(ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.SECRET}`), { passwordHash: access.hash });
+      }
+    }
+    return ref(this.db, `rooms/${roomId}`);
+  }
+
+  // Las reglas comparan proofs/<uid> con secret/passwordHash antes de permitir leer o escribir la sala
+  async provePassword(roomId, password) {
+    const meta = (await get(ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.META}`))).val();
+    if (!meta) {
+      throw new Error('room-not-found');
     }
-    return roomRef;
+    if (!meta.hasPassword) {
+      return;
+    }
+    const hash = await verifyRoomPassword(password, {
+      salt: meta.passwordSalt,
+      iterations: meta.passwordIterations,
+      verifier: meta.passwordVerifier
+    });
+    await set(ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.PROOFS}/${this.uid}`), hash);
   }
 
-  async joinRoom(roomId, peerId) {
+  async joinRoom(roomId, peerId, profile = {}, { password = '', onKnock } = {}) {
     await this.ready;
+    await this.provePassword(roomId, password);
+    // Las reglas rechazan igualmente el alta; comprobarlo antes da un error claro en vez de permission-denied
+    const moderation = await this.readModeration(roomId);
+    if (moderation.kicked[this.uid]) {
+      throw new Error('kicked');
+    }
+    if (moderation.locked) {
+      throw new Error('room-locked');
+    }
+    const memberProfile = sanitizeProfile(profile);
     const membersRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.MEMBERS}`);
+    const knockRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.KNOCKS}/${this.uid}`);
+    const knocked = moderation.lobby && (await get(membersRef)).exists();
+    if (knocked) {
+      await this.knock(knockRef, peerId, memberProfile, onKnock);
+    }
+    let evicted = [];
     const joinResult = await runTransaction(membersRef, (current) => {
-      const members = current ?? {};
+      const serverNow = this.serverNow();
+      const entries = Object.entries(current ?? {});
+      // Los fantasmas no cuentan para el límite: se eliminan en la misma transacción
+      const members = Object.fromEntries(entries.filter(([id, member]) => id === peerId || !isStaleMember(member, serverNow)));
+      evicted = entries.map(([id]) => id).filter((id) => !members[id]);
       if (members[peerId]) {
         return members;
       }
       const activeIds = Object.keys(members);
-      if (activeIds.length >= 4) {
+      if (activeIds.length >= MAX_ROOM_MEMBERS) {
         return; // abort transaction
       }
       return {
         ...members,
         [peerId]: {
+          ...memberProfile,
           peerId,
+          uid: this.uid,
           joinedAt: nowMs(),
           lastSeen: nowMs()
         }
       };
+    }).finally(() => {
+      // Las reglas solo miran la aprobación al dar el alta: después la llamada ya no sirve
+      if (knocked) {
+        onDisconnect(knockRef).cancel().catch(() => {});
+        remove(knockRef).catch((error) => console.warn('No se pudo retirar la llamada a la puerta', error));
+      }
     });
 
     if (!joinResult.committed) {
@@ -133,6 +217,8 @@ export class FirebaseSignalingClient {
       peerId
     });
     await onDisconnect(memberRef).remove();
+    await Promise.all(evicted.map((staleId) => this.clearSignalsForPeer(roomId, staleId).catch(() => {})));
+    this.startHeartbeat(roomId, peerId);
 
     return {
       members: Object.keys(joinResult.snapshot.val() ?? {}),
@@ -140,7 +226,95 @@ export class FirebaseSignalingClient {
     };
   }
 
+  // Con sala de espera se escribe knocks/<uid> y se espera a que un miembro la apruebe o la rechace
+  async knock(knockRef, peerId, profile, onKnock) {
+    await set(knockRef, {
+      peerId,
+      status: 'pending',
+      createdAt: serverTimestamp(),
+      displayName: profile.displayName ?? '',
+      color: profile.color ?? ''
+    });
+    await onDisconnect(knockRef).remove();
+    onKnock?.({ status: 'pending' });
+    try {
+      await waitForKnockDecision((callback) => {
+        const handler = (snapshot) => callback(snapshot.val());
+        onValue(knockRef, handler);
+        return () => off(knockRef, 'value', handler);
+      });
+    } catch (error) {
+      await onDisconnect(knockRef).cancel().catch(() => {});
+      await remove(knockRef).catch(() => {});
+      throw error;
+    }
+  }
+
+  async updateMember(roomId, peerId, patch) {
+    const memberRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.MEMBERS}/${peerId}`);
+    await update(memberRef, {
+      ...sanitizeMemberPatch(patch),
+      lastSeen: serverTimestamp()
+    });
+  }
+
+  // Mismo contrato que el cliente WebSocket: avisa cuando la sesión en la sala se pierde sin haber llamado a leaveRoom
+  subscribeToDisconnect(callback) {
+    this.disconnectListeners.add(callback);
+    return () => this.disconnectListeners.delete(callback);
+  }
+
+  startHeartbeat(roomId, peerId) {
+    const key = `${roomId}/${peerId}`;
+    this.stopHeartbeat(key);
+    const memberRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.MEMBERS}/${peerId}`);
+    const timer = setInterval(() => {
+      update(memberRef, { lastSeen: serverTimestamp() }).catch((error) => console.warn('Heartbeat fallido', error));
+      this.sweepStaleMembers(roomId, peerId).catch((error) => console.warn('Error al barrer miembros inactivos', error));
+    }, HEARTBEAT_INTERVAL_MS);
+    // Si otro miembro nos barre como fantasma (o se expulsa), los latidos ya no nos devuelven a la sala
+    const handleMember = (snapshot) => {
+      if (snapshot.val()?.peerId) {
+        return;
+      }
+      console.warn('Nuestro nodo de miembro ha desaparecido', key);
+      this.stopHeartbeat(key);
+      Array.from(this.disconnectListeners).forEach((listener) => listener({ roomId, peerId }));
+    };
+    onValue(memberRef, handleMember);
+    this.heartbeats.set(key, { timer, unwatch: () => off(memberRef, 'value', handleMember) });
+  }
+
+  stopHeartbeat(key) {
+    const heartbeat = this.heartbeats.get(key);
+    clearInterval(heartbeat?.timer);
+    heartbeat?.unwatch();
+    this.heartbeats.delete(key);
+  }
+
+  // Cualquier miembro vivo puede expulsar a los fantasmas; si no hay ninguno la transacción se aborta sin escribir
+  async sweepStaleMembers(roomId, selfPeerId) {
+    const membersRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.MEMBERS}`);
+    let evicted = [];
+    await runTransaction(membersRef, (current) => {
+      if (!current) {
+        return;
+      }
+      const serverNow = this.serverNow();
+      evicted = Object.keys(current).filter((id) => id !== selfPeerId && isStaleMember(current[id], serverNow));
+      if (!evicted.length) {
+        return;
+      }
+      const remaining = { ...current };
+      evicted.forEach((id) => delete remaining[id]);
+      return remaining;
+    });
+    await Promise.all(evicted.map((staleId) => this.clearSignalsForPeer(roomId, staleId).catch(() => {})));
+    return evicted;
+  }
+
   async leaveRoom(roomId, peerId) {
+    this.stopHeartbeat(`${roomId}/${peerId}`);
     const memberRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.MEMBERS}/${peerId}`);
     try {
       await remove(memberRef);
@@ -154,7 +328,11 @@ export class FirebaseSignalingClient {
   subscribeToMembers(roomId, callback) {
     const membersRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.MEMBERS}`);
     const handler = (snapshot) => {
-      const raw = snapshot.val() ?? {};
+      const serverNow = this.serverNow();
+      // Sin peerId es un resto de latido escrito tras una expulsión: no es un miembro
+      const raw = Object.fromEntries(
+        Object.entries(snapshot.val() ?? {}).filter(([, member]) => member?.peerId && !isStaleMember(member, serverNow))
+      );
       const memberIds = Object.keys(raw);
       callback({
         members: memberIds,
@@ -165,7 +343,112 @@ export class FirebaseSignalingClient {
     return () => off(membersRef, 'value', handler);
   }
 
-  scheduleRoomCleanup(roomId, isSoleOccupant) {
+  moderationRef(roomId) {
+    return ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.MODERATION}`);
+  }
+
+  async readModeration(roomId) {
+    return normalizeModeration((await get(this.moderationRef(roomId))).val());
+  }
+
+  subscribeToModeration(roomId, callback) {
+    const moderationRef = this.moderationRef(roomId);
+    const handler = (snapshot) => callback(normalizeModeration(snapshot.val()));
+    onValue(moderationRef, handler);
+    return () => off(moderationRef, 'value', handler);
+  }
+
+  subscribeToKnocks(roomId, callback) {
+    const knocksRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.KNOCKS}`);
+    const handler = (snapshot) => callback(listPendingKnocks(snapshot.val(), this.serverNow()));
+    onValue(knocksRef, handler);
+    return () => off(knocksRef, 'value', handler);
+  }
+
+  // Cualquier miembro puede responder; las reglas exigen que decidedBy sea un miembro de su uid
+  async answerKnock(roomId, peerId, knockId, approved) {
+    const knockRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.KNOCKS}/${knockId}`);
+    const result = await runTransaction(knockRef, (current) => {
+      if (current?.status !== 'pending') {
+        return; // abort
+      }
+      return { ...current, status: approved ? 'approved' : 'denied', decidedBy: peerId };
+    });
+    if (!result.committed) {
+      throw new Error('knock-not-found');
+    }
+  }
+
+  // Comprobación de cortesía: database.rules.json solo deja escribir moderation al uid del anfitrión
+  async assertHost(roomId, peerId) {
+    const snapshot = await get(this.moderationRef(roomId));
+    if (snapshot.child('host').val() !== peerId || snapshot.child('hostUid').val() !== this.uid) {
+      throw new Error('not-host');
+    }
+  }
+
+  async readMember(roomId, peerId) {
+    const member = (await get(ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.MEMBERS}/${peerId}`))).val();
+    if (!member?.uid) {
+      throw new Error('member-not-found');
+    }
+    return member;
+  }
+
+  // Solo puede nombrarse anfitrión quien encuentra la sala sin anfitrión presente; la transacción evita dos a la vez
+  async claimHost(roomId, peerId) {
+    const members = (await get(ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.MEMBERS}`))).val() ?? {};
+    if (!members[peerId]) {
+      return false;
+    }
+    const result = await runTransaction(this.moderationRef(roomId), (current) => {
+      if (current?.host && members[current.host]) {
+        return; // abort
+      }
+      return { ...current, host: peerId, hostUid: this.uid };
+    });
+    return result.committed && result.snapshot.child('host').val() === peerId;
+  }
+
+  async transferHost(roomId, fromPeerId, toPeerId) {
+    await this.assertHost(roomId, fromPeerId);
+    const target = await this.readMember(roomId, toPeerId);
+    await update(this.moderationRef(roomId), { host: toPeerId, hostUid: target.uid });
+  }
+
+  async setRoomLocked(roomId, peerId, locked) {
+    await this.assertHost(roomId, peerId);
+    await update(this.moderationRef(roomId), { locked: Boolean(locked) });
+  }
+
+  async setLobbyEnabled(roomId, peerId, enabled) {
+    await this.assertHost(roomId, peerId);
+    await update(this.moderationRef(roomId), { lobby: Boolean(enabled) });
+  }
+
+  async requestMuteAll(roomId, peerId) {
+    await this.assertHost(roomId, peerId);
+    await update(this.moderationRef(roomId), {
+      muteAll: { id: crypto.randomUUID(), by: peerId, at: serverTimestamp() }
+    });
+  }
+
+  // La marca en kicked/<uid> impide volver a entrar con otro peerId desde la misma sesión anónima
+  async kickMember(roomId, peerId, targetPeerId) {
+    if (targetPeerId === peerId) {
+      throw new Error('invalid-target');
+    }
+    await this.assertHost(roomId, peerId);
+    const target = await this.readMember(roomId, targetPeerId);
+    await update(this.moderationRef(roomId), { [`kicked/${target.uid}`]: targetPeerId });
+    await remove(ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.MEMBERS}/${targetPeerId}`));
+    await this.clearSignalsForPeer(roomId, targetPeerId).catch(() => {});
+  }
+
+  // Las reglas evalúan el onDisconnect al registrarlo: borrar la sala entera solo lo acepta su creador. Para
+  // cualquier otro último ocupante se programa quitar su miembro y moderation a la vez, y así una sala
+  // bloqueada o con expulsados no queda inservible tras una desconexión brusca
+  scheduleRoomCleanup(roomId, isSoleOccupant, peerId) {
     const roomRef = ref(this.db, `rooms/${roomId}`);
     let handle = this.cleanupHandles.get(roomId);
     if (!handle) {
@@ -176,10 +459,23 @@ export class FirebaseSignalingClient {
     const armed = this.cleanupArmed.get(roomId) ?? false;
 
     if (isSoleOccupant && !armed) {
-      handle.remove().catch((error) => console.error('onDisconnect.remove failed', error));
+      handle
+        .remove()
+        .catch(() =>
+          handle.update({
+            [`${SIGNAL_PATHS.MEMBERS}/${peerId}`]: null,
+            [SIGNAL_PATHS.MODERATION]: null
+          })
+        )
+        .catch((error) => console.error('onDisconnect de limpieza de sala fallido', error));
       this.cleanupArmed.set(roomId, true);
     } else if (!isSoleOccupant && armed) {
-      handle.cancel().catch((error) => console.error('onDisconnect.cancel failed', error));
+      // cancel() también anula los onDisconnect de los hijos, incluido el que borra nuestro miembro
+      const memberRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.MEMBERS}/${peerId}`);
+      handle
+        .cancel()
+        .then(() => onDisconnect(memberRef).remove())
+        .catch((error) => console.error('onDisconnect.cancel failed', error));
       this.cleanupArmed.set(roomId, false);
     }
   }
@@ -193,14 +489,9 @@ export class FirebaseSignalingClient {
   }
 
   async removeRoomIfEmpty(roomId) {
-    const roomRef = ref(this.db, `rooms/${roomId}`);
-    const snapshot = await get(roomRef);
+    const snapshot = await get(ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.MEMBERS}`));
     if (!snapshot.exists()) {
-      return;
-    }
-    const members = snapshot.child(SIGNAL_PATHS.MEMBERS).val() ?? {};
-    if (Object.keys(members).length === 0) {
-      await remove(roomRef);
+      await remove(ref(this.db, `rooms/${roomId}`));
     }
   }
 
@@ -234,7 +525,7 @@ export class FirebaseSignalingClient {
   }
 
   subscribeToIceCandidates(roomId, offerId, role, handler) {
-    const node = role === 'caller' ? SIGNAL_PATHS.CALLER_CANDIDATES : SIGNAL_PATHS.CALLEE_CANDIDATES;
+    const node = candidatePathForRole(role);
     const candidatesRef = ref(this.db, `rooms/${roomId}/${node}/${offerId}`);
     const listener = (snapshot) => {
       const value = snapshot.val();
@@ -247,28 +538,30 @@ export class FirebaseSignalingClient {
     return () => off(candidatesRef, 'child_added', listener);
   }
 
-  async postOffer(roomId, { offerId, from, to, description }) {
+  async postOffer(roomId, { offerId, from, to, description, sessionId }) {
     const offerRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.OFFERS}/${offerId}`);
     await set(offerRef, {
       from,
       to,
       description,
+      sessionId: sessionId ?? null,
       createdAt: serverTimestamp()
     });
   }
 
-  async postAnswer(roomId, offerId, { from, to, description }) {
+  async postAnswer(roomId, offerId, { from, to, description, sessionId }) {
     const answerRef = ref(this.db, `rooms/${roomId}/${SIGNAL_PATHS.ANSWERS}/${offerId}`);
     await set(answerRef, {
       from,
       to,
       description,
+      sessionId: sessionId ?? null,
       createdAt: serverTimestamp()
     });
   }
 
   async addIceCandidate(roomId, offerId, role, candidate, owner) {
-    const node = role === 'caller' ? SIGNAL_PATHS.CALLER_CANDIDATES : SIGNAL_PATHS.CALLEE_CANDIDATES;
+    const node = candidatePathForRole(role);
     const candidatesRef = ref(this.db, `rooms/${roomId}/${node}/${offerId}`);
     await push(candidatesRef, {
       owner,
@@ -317,11 +610,3 @@ export class FirebaseSignalingClient {
     return buildOfferKey(from, to);
   }
 }
-
-export function createRandomRoomId() {
-  const randomBytes = crypto.getRandomValues(new Uint8Array(8));
-  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
-  const chars = Array.from(randomBytes, (byte) => alphabet[byte % alphabet.length]);
-  const segments = [chars.slice(0, 4).join(''), chars.slice(4, 8).join('')];
-  return segments.join('-');
-}
@@ -1,4 +1,26 @@
+import { MAX_DISPLAY_NAME_LENGTH, displayNameFor, getInitials, validateDisplayName } from './profile.js';
+import { MAX_CHAT_MESSAGE_LENGTH } from './chat.js';
+import { AUDIO_PRESETS, DEFAULT_AUDIO_PRESET } from './audio-quality.js';
+import { DEFAULT_NOISE_GATE_SETTINGS } from './local-audio-pipeline.js';
+import { buildInviteUrl } from './invite-link.js';
+import { encodeQrCode } from './qr-code.js';
+
 const remoteAudioCards = new Map();
+const remoteMuteStates = new Map();
+const remoteProfiles = new Map();
+const fileTransferItems = new Map();
+const remoteEncryptionStates = new Map();
+const remoteRecordingStates = new Map();
+const remoteSpeakingStates = new Map();
+const remoteQualityStates = new Map();
+let localRecording = false;
+let outputDeviceId = '';
+let moderationState = { host: null, isHost: false, locked: false, lobby: false };
+let deviceCheckSampleUrl = null;
+const QR_MODULE_PX = 6;
+const QR_QUIET_ZONE = 4;
+// Un WebM de MediaRecorder puede no declarar duración: si ended no llega, la reproducción se da por fallida
+const DEVICE_CHECK_PLAYBACK_TIMEOUT_MS = 10000;
 
 function byId(id) {
   const el = document.getElementById(id);
@@ -10,27 +32,287 @@ function byId(id) {
 
 const elements = {
   roomIdInput: byId('roomIdInput'),
+  deviceCheckPanel: byId('deviceCheckPanel'),
+  deviceCheckHint: byId('deviceCheckHint'),
+  deviceCheckLevel: byId('deviceCheckLevel'),
+  loopbackToggle: byId('loopbackToggle'),
+  startDeviceCheckButton: byId('startDeviceCheckButton'),
+  skipDeviceCheckButton: byId('skipDeviceCheckButton'),
+  deviceCheckAudio: byId('deviceCheckAudio'),
+  deviceCheckResults: byId('deviceCheckResults'),
+  inviteBanner: byId('inviteBanner'),
+  inviteRoomLabel: byId('inviteRoomLabel'),
+  acceptInviteButton: byId('acceptInviteButton'),
+  inviteQrPanel: byId('inviteQrPanel'),
+  inviteQrCanvas: byId('inviteQrCanvas'),
+  inviteLink: byId('inviteLink'),
+  displayNameInput: byId('displayNameInput'),
+  avatarColorInput: byId('avatarColorInput'),
   generateRoomIdButton: byId('generateRoomIdButton'),
   copyRoomIdButton: byId('copyRoomIdButton'),
   createRoomButton: byId('createRoomButton'),
   joinRoomButton: byId('joinRoomButton'),
   hangUpButton: byId('hangUpButton'),
   statusBadge: byId('statusBadge'),
+  e2eeIndicator: byId('e2eeIndicator'),
+  e2eePassphraseInput: byId('e2eePassphraseInput'),
+  roomPasswordInput: byId('roomPasswordInput'),
+  hostIndicator: byId('hostIndicator'),
+  lockedIndicator: byId('lockedIndicator'),
+  networkQualityIndicator: byId('networkQualityIndicator'),
+  moderationControls: byId('moderationControls'),
+  muteAllButton: byId('muteAllButton'),
+  lockRoomToggle: byId('lockRoomToggle'),
+  lobbyIndicator: byId('lobbyIndicator'),
+  lobbyToggle: byId('lobbyToggle'),
+  knockRequests: byId('knockRequests'),
+  recordingIndicator: byId('recordingIndicator'),
+  recordButton: byId('recordButton'),
+  recordingDownloads: byId('recordingDownloads'),
+  downloadWebmButton: byId('downloadWebmButton'),
+  downloadWavButton: byId('downloadWavButton'),
   localAudio: byId('localAudio'),
   monitorToggle: byId('monitorToggle'),
-  remoteAudios: byId('remoteAudios')
+  muteButton: byId('muteButton'),
+  pushToTalkToggle: byId('pushToTalkToggle'),
+  talkButton: byId('talkButton'),
+  audioInputSelect: byId('audioInputSelect'),
+  audioOutputSelect: byId('audioOutputSelect'),
+  audioPresetSelect: byId('audioPresetSelect'),
+  rnnoiseToggle: byId('rnnoiseToggle'),
+  noiseGateToggle: byId('noiseGateToggle'),
+  noiseGateControls: byId('noiseGateControls'),
+  noiseGateThreshold: byId('noiseGateThreshold'),
+  noiseGateThresholdValue: byId('noiseGateThresholdValue'),
+  noiseGateAttack: byId('noiseGateAttack'),
+  noiseGateAttackValue: byId('noiseGateAttackValue'),
+  noiseGateRelease: byId('noiseGateRelease'),
+  noiseGateReleaseValue: byId('noiseGateReleaseValue'),
+  autoMuteSelect: byId('autoMuteSelect'),
+  publishSpeakingToggle: byId('publishSpeakingToggle'),
+  autoMuteIndicator: byId('autoMuteIndicator'),
+  remoteAudios: byId('remoteAudios'),
+  localLevelMeter: byId('localLevelMeter'),
+  chatMessages: byId('chatMessages'),
+  chatForm: byId('chatForm'),
+  chatInput: byId('chatInput'),
+  chatSendButton: byId('chatSendButton'),
+  fileForm: byId('fileForm'),
+  fileInput: byId('fileInput'),
+  fileTargetSelect: byId('fileTargetSelect'),
+  sendFileButton: byId('sendFileButton'),
+  fileTransfers: byId('fileTransfers')
+};
+
+const ENCRYPTION_BADGES = {
+  encrypted: { text: '🔒 Cifrado', className: 'badge badge-ok' },
+  'waiting-key': { text: '⏳ Esperando clave', className: 'badge badge-pending' },
+  'key-mismatch': { text: '⚠️ Clave distinta', className: 'badge' },
+  mismatch: { text: '⚠️ Sin E2EE compartido', className: 'badge' }
+};
+
+const DEVICE_CHECK_STEPS = {
+  microphone: { label: 'Micrófono', hint: 'Abriendo el micrófono…' },
+  level: { label: 'Nivel de entrada' },
+  recording: { label: 'Grabación', hint: '🎙️ Habla con normalidad durante 3 s…' },
+  playback: { label: 'Reproducción', hint: '🔊 Escucha tu grabación: así te oirán los demás' },
+  loopback: { label: 'Eco por WebRTC', hint: '🔁 Habla otra vez: deberías oírte a través de una conexión local' }
+};
+
+const DEVICE_CHECK_ERRORS = {
+  'permission-denied': 'sin permiso de micrófono',
+  'no-track': 'no hay pista de audio',
+  muted: 'el micrófono está silenciado',
+  silent: 'no se detecta voz; revisa el micrófono elegido y su volumen',
+  'recording-unsupported': 'este navegador no puede grabar audio',
+  'recording-empty': 'la grabación salió vacía',
+  'playback-failed': 'no se pudo reproducir la muestra',
+  'playback-timeout': 'la muestra no terminó de sonar',
+  'loopback-timeout': 'la conexión local no llegó a establecerse',
+  'loopback-failed': 'la conexión local falló',
+  'no-packets': 'no llegaron paquetes de audio',
+  'not-opus': 'el códec negociado no es Opus'
+};
+
+const QUALITY_LEVELS = {
+  good: { label: 'Buena', bars: 3 },
+  fair: { label: 'Regular', bars: 2 },
+  poor: { label: 'Mala', bars: 1 }
+};
+
+const QUALITY_PATHS = {
+  relay: { badge: '🔁 TURN', label: 'retransmitida por TURN' },
+  direct: { badge: '↔️ Directa', label: 'directa' }
+};
+
+const TRANSFER_STATE_LABELS = {
+  offered: 'Esperando aceptación',
+  pending: 'Quiere enviarte un archivo',
+  transferring: 'Transfiriendo',
+  verifying: 'Verificando SHA-256',
+  completed: 'Completado',
+  declined: 'Rechazado',
+  cancelled: 'Cancelado',
+  failed: 'Error'
 };
 
 export function createUIController(callbacks) {
   const {
     onGenerateRoomId,
     onCopyRoomId,
+    onAcceptInvite,
     onCreateRoom,
     onJoinRoom,
+    onStartDeviceCheck,
+    onSkipDeviceCheck,
     onHangUp,
-    onMonitorToggle
+    onMonitorToggle,
+    onToggleMute,
+    onPushToTalkToggle,
+    onTalkingChange,
+    onInputDeviceChange,
+    onAudioPresetChange,
+    onNoiseGateChange,
+    onRnNoiseToggle,
+    onProfileChange,
+    onSendChat,
+    onSendFile,
+    onFileAction,
+    onModerationAction,
+    onKnockAction,
+    onToggleRecording,
+    onDownloadRecording
   } = callbacks;
 
+  elements.displayNameInput.maxLength = MAX_DISPLAY_NAME_LENGTH;
+
+  const emitProfileChange = () => {
+    const { ok, value, error } = validateDisplayName(elements.displayNameInput.value);
+    elements.displayNameInput.setAttribute('aria-invalid', String(!ok));
+    if (!ok) {
+      updateStatus(
+        error === 'display-name-too-long'
+          ? `El nombre admite como máximo ${MAX_DISPLAY_NAME_LENGTH} caracteres`
+          : 'El nombre solo puede tener letras, números, espacios y . , \' _ ( ) -',
+        'error'
+      );
+      return;
+    }
+    elements.displayNameInput.value = value;
+    onProfileChange?.({ displayName: value, color: elements.avatarColorInput.value });
+  };
+
+  elements.displayNameInput.addEventListener('change', emitProfileChange);
+  elements.avatarColorInput.addEventListener('change', emitProfileChange);
+
+  elements.chatInput.maxLength = MAX_CHAT_MESSAGE_LENGTH;
+  elements.chatForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const text = elements.chatInput.value.trim();
+    if (!text) {
+      return;
+    }
+    try {
+      onSendChat?.(text);
+      elements.chatInput.value = '';
+    } catch (error) {
+      console.error('Chat error', error);
+      updateStatus('No se pudo enviar el mensaje', 'error');
+    }
+  });
+
+  elements.fileForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const [file] = elements.fileInput.files;
+    if (!file) {
+      updateStatus('Elige un archivo primero', 'error');
+      return;
+    }
+    elements.sendFileButton.disabled = true;
+    try {
+      await onSendFile?.(file, elements.fileTargetSelect.value);
+      elements.fileInput.value = '';
+    } finally {
+      elements.sendFileButton.disabled = elements.fileInput.disabled;
+    }
+  });
+
+  elements.fileTransfers.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+      return;
+    }
+    const { transferId } = button.closest('li').dataset;
+    if (button.dataset.action === 'dismiss') {
+      removeFileTransfer(transferId);
+    } else {
+      onFileAction?.(button.dataset.action, transferId);
+    }
+  });
+
+  elements.remoteAudios.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (button) {
+      onModerationAction?.(button.dataset.action, button.closest('.remote-card').dataset.peerId);
+    }
+  });
+
+  elements.muteAllButton.addEventListener('click', () => onModerationAction?.('mute-all'));
+
+  elements.recordButton.addEventListener('click', async () => {
+    elements.recordButton.disabled = true;
+    try {
+      await onToggleRecording?.();
+    } finally {
+      elements.recordButton.disabled = elements.chatInput.disabled;
+    }
+  });
+
+  [
+    [elements.downloadWebmButton, 'webm'],
+    [elements.downloadWavButton, 'wav']
+  ].forEach(([button, format]) => {
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        await onDownloadRecording?.(format);
+      } finally {
+        button.disabled = false;
+      }
+    });
+  });
+
+  elements.lockRoomToggle.addEventListener('change', (event) => {
+    const locked = Boolean(event.target.checked);
+    // Se revierte hasta que la señalización confirme el cambio con setModeration
+    event.target.checked = moderationState.locked;
+    onModerationAction?.('lock', locked);
+  });
+
+  elements.lobbyToggle.addEventListener('change', (event) => {
+    const enabled = Boolean(event.target.checked);
+    event.target.checked = moderationState.lobby;
+    onModerationAction?.('lobby', enabled);
+  });
+
+  elements.knockRequests.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+      return;
+    }
+    const item = button.closest('li');
+    item.querySelectorAll('button').forEach((itemButton) => {
+      itemButton.disabled = true;
+    });
+    try {
+      await onKnockAction?.(button.dataset.action, item.dataset.knockId);
+    } finally {
+      item.querySelectorAll('button').forEach((itemButton) => {
+        itemButton.disabled = false;
+      });
+    }
+  });
+
   elements.generateRoomIdButton.addEventListener('click', async () => {
     const newId = await onGenerateRoomId?.();
     if (typeof newId === 'string') {
@@ -39,20 +321,47 @@ export function createUIController(callbacks) {
   });
 
   elements.copyRoomIdButton.addEventListener('click', async () => {
-    if (!elements.roomIdInput.value) {
+    const roomId = getRoomId();
+    if (!roomId) {
       updateStatus('No hay ID para copiar', 'error');
       return;
     }
+    const inviteUrl = buildInviteUrl(roomId);
     try {
-      await navigator.clipboard.writeText(elements.roomIdInput.value.trim());
-      updateStatus('ID copiado al portapapeles', 'info');
-      onCopyRoomId?.(elements.roomIdInput.value.trim());
+      await navigator.clipboard.writeText(inviteUrl);
+      updateStatus('Enlace de invitación copiado al portapapeles', 'info');
+      onCopyRoomId?.(inviteUrl);
     } catch (error) {
       console.error('Clipboard error', error);
-      updateStatus('No se pudo copiar el ID', 'error');
+      updateStatus('No se pudo copiar el enlace de invitación', 'error');
+    }
+  });
+
+  elements.roomIdInput.addEventListener('input', () => renderInviteQr());
+  elements.inviteQrPanel.addEventListener('toggle', () => renderInviteQr());
+
+  elements.acceptInviteButton.addEventListener('click', async () => {
+    disablePrimaryButtons(true);
+    try {
+      await onAcceptInvite?.(getRoomId());
+    } finally {
+      disablePrimaryButtons(false);
+    }
+  });
+
+  elements.startDeviceCheckButton.addEventListener('click', async () => {
+    elements.startDeviceCheckButton.disabled = true;
+    elements.skipDeviceCheckButton.disabled = true;
+    try {
+      await onStartDeviceCheck?.({ loopback: elements.loopbackToggle.checked });
+    } finally {
+      elements.startDeviceCheckButton.disabled = false;
+      elements.skipDeviceCheckButton.disabled = false;
     }
   });
 
+  elements.skipDeviceCheckButton.addEventListener('click', () => onSkipDeviceCheck?.());
+
   elements.createRoomButton.addEventListener('click', async () => {
     disablePrimaryButtons(true);
     try {
@@ -89,26 +398,154 @@ export function createUIController(callbacks) {
     elements.localAudio.volume = enabled ? 1 : 0;
   });
 
+  elements.audioInputSelect.addEventListener('change', (event) => {
+    onInputDeviceChange?.(event.target.value);
+  });
+
+  elements.audioOutputSelect.addEventListener('change', (event) => {
+    setOutputDevice(event.target.value);
+  });
+
+  elements.audioPresetSelect.replaceChildren(
+    ...Object.entries(AUDIO_PRESETS).map(([name, { label }]) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = label;
+      return option;
+    })
+  );
+  elements.audioPresetSelect.value = DEFAULT_AUDIO_PRESET;
+  elements.audioPresetSelect.addEventListener('change', (event) => {
+    onAudioPresetChange?.(event.target.value);
+  });
+
+  elements.rnnoiseToggle.addEventListener('change', (event) => {
+    onRnNoiseToggle?.(Boolean(event.target.checked));
+  });
+
+  setNoiseGate(DEFAULT_NOISE_GATE_SETTINGS);
+  // Los deslizadores solo actualizan la etiqueta mientras se arrastran; el ajuste se aplica al soltar
+  [elements.noiseGateThreshold, elements.noiseGateAttack, elements.noiseGateRelease].forEach((input) => {
+    input.addEventListener('input', () => renderNoiseGateValues());
+  });
+  [
+    elements.noiseGateToggle,
+    elements.noiseGateThreshold,
+    elements.noiseGateAttack,
+    elements.noiseGateRelease,
+    elements.autoMuteSelect,
+    elements.publishSpeakingToggle
+  ].forEach((input) => {
+    input.addEventListener('change', () => {
+      elements.noiseGateControls.hidden = !elements.noiseGateToggle.checked;
+      onNoiseGateChange?.(readNoiseGate());
+    });
+  });
+
+  if (!supportsSinkSelection()) {
+    elements.audioOutputSelect.disabled = true;
+    elements.audioOutputSelect.title = 'El navegador no permite elegir la salida de audio';
+  }
+
+  elements.muteButton.addEventListener('click', () => onToggleMute?.());
+
+  elements.pushToTalkToggle.addEventListener('change', (event) => {
+    const enabled = Boolean(event.target.checked);
+    elements.talkButton.hidden = !enabled;
+    onPushToTalkToggle?.(enabled);
+  });
+
+  const setTalking = (active) => {
+    if (!elements.pushToTalkToggle.checked) {
+      return;
+    }
+    elements.talkButton.dataset.active = String(active);
+    onTalkingChange?.(active);
+  };
+
+  elements.talkButton.addEventListener('pointerdown', () => setTalking(true));
+  ['pointerup', 'pointerleave', 'pointercancel'].forEach((type) => {
+    elements.talkButton.addEventListener(type, () => setTalking(false));
+  });
+
+  window.addEventListener('keydown', (event) => {
+    if (event.code !== 'Space' || event.repeat || isTypingTarget(event.target)) {
+      return;
+    }
+    if (elements.pushToTalkToggle.checked) {
+      event.preventDefault();
+      setTalking(true);
+    }
+  });
+  window.addEventListener('keyup', (event) => {
+    if (event.code === 'Space' && !isTypingTarget(event.target)) {
+      setTalking(false);
+    }
+  });
+  window.addEventListener('blur', () => setTalking(false));
+
   return {
     getRoomId,
     setRoomId,
+    setInvite,
+    setDeviceCheckStep,
+    setDeviceCheckResult,
+    playDeviceCheckSample,
+    setDeviceCheckLoopback,
     updateStatus,
     setAvailability,
     attachLocalStream,
     upsertRemoteStream,
     removeRemoteStream,
     resetRemoteStreams,
+    setRemoteConnectionState,
+    setLocalMuteState,
+    setRemoteMuted,
+    setRemoteProfile,
+    setRemoteEncryption,
+    setLocalEncryption,
+    setModeration,
+    setKnocks,
+    setLocalRecording,
+    setRemoteRecording,
+    setRecordingAvailable,
+    setNoiseGate,
+    setRnNoise,
+    setAutoMuted,
+    setRemoteSpeaking,
+    setRemoteQuality,
+    setNetworkSummary,
+    getE2eePassphrase: () => elements.e2eePassphraseInput.value,
+    getRoomPassword: () => elements.roomPasswordInput.value,
+    appendChatMessage,
+    clearChat,
+    setFileTargets,
+    renderFileTransfer,
+    clearFileTransfers,
+    getProfile,
+    setProfile,
+    setDeviceOptions,
+    setLocalLevel,
+    setRemoteLevel,
+    setActiveSpeaker,
+    setSelectedInputDevice,
+    setAudioPreset,
     setHangUpAvailable,
     setButtonsDisabled: disablePrimaryButtons,
     focusRoomInput: () => elements.roomIdInput.focus()
   };
 }
 
+function isTypingTarget(target) {
+  return target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement || target?.isContentEditable;
+}
+
 function disablePrimaryButtons(disabled) {
   elements.generateRoomIdButton.disabled = disabled;
   elements.copyRoomIdButton.disabled = disabled;
   elements.createRoomButton.disabled = disabled;
   elements.joinRoomButton.disabled = disabled;
+  elements.acceptInviteButton.disabled = disabled;
 }
 
 function setHangUpAvailable(enabled) {
@@ -121,6 +558,127 @@ function getRoomId() {
 
 function setRoomId(value) {
   elements.roomIdInput.value = value;
+  renderInviteQr();
+}
+
+// Sin permiso previo el mismo clic pide el micrófono y entra: el texto lo anticipa
+function setInvite(invite) {
+  elements.inviteBanner.hidden = !invite;
+  if (!invite) {
+    return;
+  }
+  elements.inviteRoomLabel.textContent = invite.roomId;
+  elements.acceptInviteButton.textContent = invite.micGranted ? 'Unirse ahora' : 'Permitir micrófono y unirse';
+}
+
+function setDeviceCheckStep(step) {
+  elements.deviceCheckHint.textContent = DEVICE_CHECK_STEPS[step]?.hint ?? elements.deviceCheckHint.textContent;
+  elements.deviceCheckResults.replaceChildren();
+}
+
+function setDeviceCheckResult({ ok, results }) {
+  elements.deviceCheckHint.textContent = ok
+    ? '✅ Todo correcto: ya puedes crear una sala o unirte.'
+    : '⚠️ Hay problemas con el audio. Puedes entrar igualmente o corregirlos y repetir.';
+  elements.deviceCheckResults.replaceChildren(
+    ...results.map(({ step, ok: passed, value, error }) => {
+      const item = document.createElement('li');
+      item.dataset.ok = String(passed);
+      const label = DEVICE_CHECK_STEPS[step]?.label ?? step;
+      const detail = passed
+        ? typeof value === 'number'
+          ? ` (${Math.round(value * 100)} %)`
+          : ''
+        : `: ${DEVICE_CHECK_ERRORS[error] ?? error}`;
+      item.textContent = `${passed ? '✅' : '❌'} ${label}${detail}`;
+      return item;
+    })
+  );
+}
+
+// La muestra se deja cargada al terminar: se puede volver a escuchar con los controles
+async function playDeviceCheckSample(blob) {
+  const audio = elements.deviceCheckAudio;
+  if (deviceCheckSampleUrl) {
+    URL.revokeObjectURL(deviceCheckSampleUrl);
+  }
+  deviceCheckSampleUrl = URL.createObjectURL(blob);
+  audio.srcObject = null;
+  audio.src = deviceCheckSampleUrl;
+  audio.hidden = false;
+  await applySinkId(audio).catch((error) => console.error('setSinkId error', error));
+  let timer;
+  const finished = new Promise((resolve, reject) => {
+    audio.addEventListener('ended', resolve, { once: true });
+    audio.addEventListener('error', () => reject(new Error('playback-failed')), { once: true });
+    timer = setTimeout(() => reject(new Error('playback-timeout')), DEVICE_CHECK_PLAYBACK_TIMEOUT_MS);
+  });
+  try {
+    await audio.play().catch(() => {
+      throw new Error('playback-failed');
+    });
+    await finished;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function setDeviceCheckLoopback(stream) {
+  const audio = elements.deviceCheckAudio;
+  if (!stream) {
+    audio.pause();
+    audio.srcObject = null;
+    if (deviceCheckSampleUrl) {
+      audio.src = deviceCheckSampleUrl;
+    }
+    return;
+  }
+  audio.removeAttribute('src');
+  audio.srcObject = stream;
+  audio.hidden = false;
+  applySinkId(audio).catch((error) => console.error('setSinkId error', error));
+  audio.play().catch((error) => console.error('Loopback play error', error));
+}
+
+// Se dibuja solo con el panel abierto; el QR se genera en local con src/qr-code.js
+function renderInviteQr() {
+  if (!elements.inviteQrPanel.open) {
+    return;
+  }
+  const canvas = elements.inviteQrCanvas;
+  const roomId = getRoomId();
+  if (!roomId) {
+    canvas.hidden = true;
+    elements.inviteLink.removeAttribute('href');
+    elements.inviteLink.textContent = 'Genera o escribe un ID de sala para obtener la invitación';
+    return;
+  }
+  const inviteUrl = buildInviteUrl(roomId);
+  elements.inviteLink.href = inviteUrl;
+  elements.inviteLink.textContent = inviteUrl;
+  let qr;
+  try {
+    qr = encodeQrCode(inviteUrl);
+  } catch (error) {
+    console.error('QR error', error);
+    canvas.hidden = true;
+    return;
+  }
+  const dimension = (qr.size + QR_QUIET_ZONE * 2) * QR_MODULE_PX;
+  canvas.width = dimension;
+  canvas.height = dimension;
+  canvas.hidden = false;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, dimension, dimension);
+  context.fillStyle = '#000000';
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        context.fillRect((x + QR_QUIET_ZONE) * QR_MODULE_PX, (y + QR_QUIET_ZONE) * QR_MODULE_PX, QR_MODULE_PX, QR_MODULE_PX);
+      }
+    });
+  });
 }
 
 function updateStatus(message, tone = 'info') {
@@ -136,6 +694,26 @@ function setAvailability({ inCall, roomId }) {
     setRoomId(roomId);
   }
   setHangUpAvailable(inCall);
+  elements.chatInput.disabled = !inCall;
+  elements.chatSendButton.disabled = !inCall;
+  elements.fileInput.disabled = !inCall;
+  elements.fileTargetSelect.disabled = !inCall;
+  elements.sendFileButton.disabled = !inCall;
+  elements.recordButton.disabled = !inCall;
+  elements.deviceCheckPanel.hidden = inCall;
+}
+
+function getProfile() {
+  const { ok, value } = validateDisplayName(elements.displayNameInput.value);
+  return { displayName: ok ? value : '', color: elements.avatarColorInput.value };
+}
+
+function setProfile({ displayName = '', color = '' } = {}) {
+  elements.displayNameInput.value = displayName;
+  elements.displayNameInput.setAttribute('aria-invalid', 'false');
+  if (color) {
+    elements.avatarColorInput.value = color;
+  }
 }
 
 function attachLocalStream(stream) {
@@ -148,23 +726,197 @@ function attachLocalStream(stream) {
   }
 }
 
+function createLevelMeter(label) {
+  const meter = document.createElement('div');
+  meter.className = 'level-meter';
+  meter.setAttribute('role', 'meter');
+  meter.setAttribute('aria-label', label);
+  meter.append(document.createElement('span'));
+  return meter;
+}
+
+function renderLevel(meter, level) {
+  const percent = Math.round(Math.min(1, Math.max(0, level ?? 0)) * 100);
+  meter.firstElementChild.style.width = `${percent}%`;
+  meter.setAttribute('aria-valuenow', String(percent));
+}
+
+function setLocalLevel(level) {
+  renderLevel(elements.localLevelMeter, level);
+  renderLevel(elements.deviceCheckLevel, level);
+}
+
+function setRemoteLevel(peerId, level) {
+  const existing = remoteAudioCards.get(peerId);
+  if (existing) {
+    renderLevel(existing.levelMeter, level);
+  }
+}
+
+function setActiveSpeaker({ peerId, local }) {
+  elements.localLevelMeter.dataset.speaking = String(Boolean(local));
+  remoteAudioCards.forEach(({ card }, id) => {
+    card.dataset.speaking = String(!local && id === peerId);
+  });
+}
+
 function createRemoteCard(peerId) {
   const card = document.createElement('div');
   card.className = 'remote-card';
   card.dataset.peerId = peerId;
 
   const header = document.createElement('header');
-  header.textContent = `Remoto: ${peerId}`;
+  const avatar = document.createElement('span');
+  avatar.className = 'avatar';
+  avatar.setAttribute('aria-hidden', 'true');
+  const nameLabel = document.createElement('span');
+  nameLabel.title = peerId;
+  header.append(avatar, nameLabel);
+
+  const mutedBadge = document.createElement('span');
+  mutedBadge.className = 'badge';
+  mutedBadge.textContent = '🔇 Silenciado';
+  mutedBadge.hidden = !remoteMuteStates.get(peerId);
+  const encryptionBadge = document.createElement('span');
+  encryptionBadge.hidden = true;
+  const hostBadge = document.createElement('span');
+  hostBadge.className = 'badge badge-host';
+  hostBadge.textContent = '👑 Anfitrión';
+  const recordingBadge = document.createElement('span');
+  recordingBadge.className = 'badge';
+  recordingBadge.textContent = '⏺ Grabando';
+  recordingBadge.hidden = !remoteRecordingStates.get(peerId);
+  const speakingBadge = document.createElement('span');
+  speakingBadge.className = 'badge badge-ok';
+  speakingBadge.textContent = '🗣️ Hablando';
+  speakingBadge.hidden = !remoteSpeakingStates.get(peerId);
+  const qualityBars = document.createElement('span');
+  qualityBars.className = 'quality-bars';
+  qualityBars.setAttribute('role', 'img');
+  qualityBars.append(...Array.from({ length: 3 }, () => document.createElement('span')));
+  const pathBadge = document.createElement('span');
+  pathBadge.className = 'badge';
+  pathBadge.hidden = true;
+  header.append(qualityBars, pathBadge, mutedBadge, encryptionBadge, hostBadge, recordingBadge, speakingBadge);
 
   const audio = document.createElement('audio');
   audio.autoplay = true;
   audio.controls = true;
   audio.playsInline = true;
 
-  card.append(header, audio);
+  applySinkId(audio).catch((error) => console.error('setSinkId error', error));
+
+  const levelMeter = createLevelMeter(`Nivel de ${peerId}`);
+
+  const moderationActions = document.createElement('div');
+  moderationActions.className = 'moderation-actions';
+  moderationActions.append(createActionButton('make-host', 'Hacer anfitrión'), createActionButton('kick', 'Expulsar'));
+
+  card.append(header, audio, levelMeter, moderationActions);
   elements.remoteAudios.append(card);
-  remoteAudioCards.set(peerId, { card, audio, header });
-  return { card, audio, header };
+  const entry = {
+    card,
+    audio,
+    header,
+    avatar,
+    nameLabel,
+    mutedBadge,
+    encryptionBadge,
+    hostBadge,
+    recordingBadge,
+    speakingBadge,
+    qualityBars,
+    pathBadge,
+    moderationActions,
+    levelMeter
+  };
+  remoteAudioCards.set(peerId, entry);
+  renderRemoteProfile(peerId, entry);
+  renderQuality(entry, remoteQualityStates.get(peerId));
+  renderEncryption(encryptionBadge, remoteEncryptionStates.get(peerId));
+  renderRemoteModeration(peerId, entry);
+  return entry;
+}
+
+function renderRemoteModeration(peerId, { hostBadge, moderationActions }) {
+  hostBadge.hidden = moderationState.host !== peerId;
+  moderationActions.hidden = !moderationState.isHost;
+}
+
+function setModeration({ host = null, isHost = false, locked = false, lobby = false } = {}) {
+  moderationState = { host, isHost, locked, lobby };
+  elements.hostIndicator.hidden = !isHost;
+  elements.lockedIndicator.hidden = !locked;
+  elements.lobbyIndicator.hidden = !lobby;
+  elements.moderationControls.hidden = !isHost;
+  elements.lockRoomToggle.checked = locked;
+  elements.lobbyToggle.checked = lobby;
+  remoteAudioCards.forEach((entry, peerId) => renderRemoteModeration(peerId, entry));
+}
+
+// Todos los miembros ven las llamadas pendientes: responde el primero que pulse
+function setKnocks(knocks = []) {
+  elements.knockRequests.hidden = !knocks.length;
+  elements.knockRequests.replaceChildren(
+    ...knocks.map((knock) => {
+      const item = document.createElement('li');
+      item.dataset.knockId = knock.id;
+      const avatar = document.createElement('span');
+      avatar.className = 'avatar';
+      avatar.setAttribute('aria-hidden', 'true');
+      avatar.textContent = knock.displayName ? getInitials(knock.displayName) : '?';
+      if (knock.color) {
+        avatar.style.setProperty('--avatar-color', knock.color);
+      }
+      const label = document.createElement('span');
+      label.textContent = `🚪 ${displayNameFor(knock.peerId, knock)} quiere entrar`;
+      item.append(avatar, label, createActionButton('approve', 'Aceptar'), createActionButton('deny', 'Rechazar'));
+      return item;
+    })
+  );
+}
+
+function renderRemoteProfile(peerId, { avatar, nameLabel, levelMeter }) {
+  const member = remoteProfiles.get(peerId);
+  const name = displayNameFor(peerId, member);
+  nameLabel.textContent = name;
+  avatar.textContent = member?.displayName ? getInitials(member.displayName) : '?';
+  if (member?.color) {
+    avatar.style.setProperty('--avatar-color', member.color);
+  } else {
+    avatar.style.removeProperty('--avatar-color');
+  }
+  levelMeter.setAttribute('aria-label', `Nivel de ${name}`);
+}
+
+function renderEncryption(badge, state) {
+  const config = ENCRYPTION_BADGES[state];
+  badge.hidden = !config;
+  if (config) {
+    badge.className = config.className;
+    badge.textContent = config.text;
+  }
+}
+
+function setRemoteEncryption(peerId, state) {
+  remoteEncryptionStates.set(peerId, state);
+  const existing = remoteAudioCards.get(peerId);
+  if (existing) {
+    renderEncryption(existing.encryptionBadge, state);
+  }
+}
+
+function setLocalEncryption(enabled) {
+  elements.e2eeIndicator.hidden = !enabled;
+  elements.e2eePassphraseInput.disabled = enabled;
+}
+
+function setRemoteProfile(peerId, member) {
+  remoteProfiles.set(peerId, { displayName: member?.displayName ?? '', color: member?.color ?? '' });
+  const existing = remoteAudioCards.get(peerId);
+  if (existing) {
+    renderRemoteProfile(peerId, existing);
+  }
 }
 
 function upsertRemoteStream(peerId, stream) {
@@ -174,6 +926,216 @@ function upsertRemoteStream(peerId, stream) {
   }
 }
 
+function setRemoteConnectionState(peerId, state) {
+  const existing = remoteAudioCards.get(peerId);
+  if (existing) {
+    existing.card.dataset.state = state;
+  }
+}
+
+function setLocalMuteState({ muted, manual, pushToTalk }) {
+  elements.muteButton.setAttribute('aria-pressed', String(manual));
+  elements.muteButton.textContent = manual ? 'Activar micrófono' : 'Silenciar micrófono';
+  elements.pushToTalkToggle.checked = pushToTalk;
+  elements.talkButton.hidden = !pushToTalk;
+  elements.talkButton.dataset.active = String(pushToTalk && !muted);
+}
+
+function supportsSinkSelection() {
+  return typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+}
+
+function fillDeviceSelect(select, devices, selectedId, fallbackLabel) {
+  const options = [
+    { deviceId: '', label: 'Predeterminado del sistema' },
+    ...devices.filter((device) => device.deviceId && device.deviceId !== 'default')
+  ];
+  select.replaceChildren(
+    ...options.map((device, index) => {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.label || `${fallbackLabel} ${index}`;
+      return option;
+    })
+  );
+  select.value = options.some((device) => device.deviceId === selectedId) ? selectedId : '';
+}
+
+function setDeviceOptions({ inputs = [], outputs = [], selectedInputId = '' }) {
+  fillDeviceSelect(elements.audioInputSelect, inputs, selectedInputId ?? '', 'Micrófono');
+  fillDeviceSelect(elements.audioOutputSelect, outputs, outputDeviceId, 'Altavoz');
+  if (outputDeviceId && elements.audioOutputSelect.value !== outputDeviceId) {
+    // La salida elegida desapareció (p. ej. auriculares desconectados): volvemos a la predeterminada
+    setOutputDevice('');
+  }
+}
+
+function setSelectedInputDevice(deviceId) {
+  elements.audioInputSelect.value = deviceId ?? '';
+}
+
+function setAudioPreset(preset) {
+  elements.audioPresetSelect.value = preset;
+}
+
+function readNoiseGate() {
+  return {
+    enabled: elements.noiseGateToggle.checked,
+    thresholdDb: Number(elements.noiseGateThreshold.value),
+    attackMs: Number(elements.noiseGateAttack.value),
+    releaseMs: Number(elements.noiseGateRelease.value),
+    autoMuteAfterS: Number(elements.autoMuteSelect.value),
+    publishSpeaking: elements.publishSpeakingToggle.checked
+  };
+}
+
+function renderNoiseGateValues() {
+  elements.noiseGateThresholdValue.textContent = `${elements.noiseGateThreshold.value} dB`;
+  elements.noiseGateAttackValue.textContent = `${elements.noiseGateAttack.value} ms`;
+  elements.noiseGateReleaseValue.textContent = `${elements.noiseGateRelease.value} ms`;
+}
+
+function setNoiseGate(settings) {
+  elements.noiseGateToggle.checked = settings.enabled;
+  elements.noiseGateControls.hidden = !settings.enabled;
+  elements.noiseGateThreshold.value = String(settings.thresholdDb);
+  elements.noiseGateAttack.value = String(settings.attackMs);
+  elements.noiseGateRelease.value = String(settings.releaseMs);
+  elements.autoMuteSelect.value = String(settings.autoMuteAfterS);
+  elements.publishSpeakingToggle.checked = settings.publishSpeaking;
+  renderNoiseGateValues();
+  if (!settings.enabled) {
+    setAutoMuted(false);
+  }
+}
+
+function setRnNoise({ enabled, available }) {
+  elements.rnnoiseToggle.checked = Boolean(enabled);
+  elements.rnnoiseToggle.disabled = !available;
+  elements.rnnoiseToggle.title = available ? '' : 'Configura VITE_RNNOISE_WASM_URL para usar RNNoise';
+}
+
+function setAutoMuted(active) {
+  elements.autoMuteIndicator.hidden = !active;
+}
+
+function setRemoteSpeaking(peerId, speaking) {
+  remoteSpeakingStates.set(peerId, Boolean(speaking));
+  const existing = remoteAudioCards.get(peerId);
+  if (existing) {
+    existing.speakingBadge.hidden = !speaking;
+  }
+}
+
+function describeQuality({ level, path, rttMs, lossPct, jitterMs } = {}) {
+  if (!level) {
+    return 'Midiendo la conexión…';
+  }
+  const metrics = [`RTT ${Math.round(rttMs)} ms`, `pérdida ${lossPct ?? 0} %`, `jitter ${Math.round(jitterMs ?? 0)} ms`];
+  return `Conexión ${QUALITY_LEVELS[level].label.toLowerCase()}${path ? `, ${QUALITY_PATHS[path].label}` : ''} · ${metrics.join(' · ')}`;
+}
+
+function renderQuality({ qualityBars, pathBadge }, quality) {
+  const level = quality?.level ?? null;
+  qualityBars.dataset.level = level ?? 'unknown';
+  Array.from(qualityBars.children).forEach((bar, index) => {
+    bar.dataset.active = String(Boolean(level) && index < QUALITY_LEVELS[level].bars);
+  });
+  const description = describeQuality(quality);
+  qualityBars.title = description;
+  qualityBars.setAttribute('aria-label', description);
+  const path = QUALITY_PATHS[quality?.path];
+  pathBadge.hidden = !path;
+  if (path) {
+    pathBadge.textContent = path.badge;
+    pathBadge.title = `Ruta ${path.label}`;
+  }
+}
+
+function setRemoteQuality(peerId, quality) {
+  remoteQualityStates.set(peerId, quality);
+  const existing = remoteAudioCards.get(peerId);
+  if (existing) {
+    renderQuality(existing, quality);
+  }
+}
+
+// Resume el peor enlace: es el que explica un "no te oigo"
+function setNetworkSummary(summary) {
+  const indicator = elements.networkQualityIndicator;
+  indicator.hidden = !summary?.level;
+  if (!summary?.level) {
+    return;
+  }
+  const { label } = QUALITY_LEVELS[summary.level];
+  const relay = summary.relayCount ? ` · ${summary.relayCount} por TURN` : '';
+  indicator.textContent =
+    summary.level === 'good' ? `📶 Red: ${label.toLowerCase()}${relay}` : `📶 Red: ${label.toLowerCase()} con ${summary.name}${relay}`;
+  indicator.dataset.level = summary.level;
+  indicator.title = describeQuality(summary);
+}
+
+async function applySinkId(audio) {
+  if (!supportsSinkSelection() || audio.sinkId === outputDeviceId) {
+    return;
+  }
+  await audio.setSinkId(outputDeviceId);
+}
+
+async function setOutputDevice(deviceId) {
+  outputDeviceId = deviceId ?? '';
+  elements.audioOutputSelect.value = outputDeviceId;
+  try {
+    await Promise.all([
+      ...Array.from(remoteAudioCards.values(), ({ audio }) => applySinkId(audio)),
+      applySinkId(elements.deviceCheckAudio)
+    ]);
+  } catch (error) {
+    console.error('setSinkId error', error);
+    updateStatus('No se pudo cambiar la salida de audio', 'error');
+  }
+}
+
+// El aviso de grabación es el consentimiento: siempre visible mientras alguien grabe, también uno mismo
+function renderRecordingIndicator() {
+  const recorders = Array.from(remoteRecordingStates.entries())
+    .filter(([, recording]) => recording)
+    .map(([peerId]) => displayNameFor(peerId, remoteProfiles.get(peerId)));
+  if (localRecording) {
+    recorders.unshift('tú');
+  }
+  elements.recordingIndicator.hidden = !recorders.length;
+  elements.recordingIndicator.textContent = `⏺ Grabando: ${recorders.join(', ')}`;
+}
+
+function setLocalRecording(active) {
+  localRecording = Boolean(active);
+  elements.recordButton.setAttribute('aria-pressed', String(localRecording));
+  elements.recordButton.textContent = localRecording ? 'Detener grabación' : 'Grabar llamada';
+  renderRecordingIndicator();
+}
+
+function setRemoteRecording(peerId, recording) {
+  remoteRecordingStates.set(peerId, Boolean(recording));
+  const existing = remoteAudioCards.get(peerId);
+  if (existing) {
+    existing.recordingBadge.hidden = !recording;
+  }
+  renderRecordingIndicator();
+}
+
+function setRecordingAvailable(available) {
+  elements.recordingDownloads.hidden = !available;
+}
+
+function setRemoteMuted(peerId, muted) {
+  remoteMuteStates.set(peerId, Boolean(muted));
+  const existing = remoteAudioCards.get(peerId);
+  if (existing) {
+    existing.mutedBadge.hidden = !muted;
+  }
+}
+
 function removeRemoteStream(peerId) {
   const existing = remoteAudioCards.get(peerId);
   if (!existing) {
@@ -182,6 +1144,7 @@ function removeRemoteStream(peerId) {
   existing.audio.srcObject = null;
   existing.card.remove();
   remoteAudioCards.delete(peerId);
+  remoteQualityStates.delete(peerId);
 }
 
 function resetRemoteStreams() {
@@ -190,4 +1153,169 @@ function resetRemoteStreams() {
     card.remove();
   });
   remoteAudioCards.clear();
+  remoteMuteStates.clear();
+  remoteProfiles.clear();
+  remoteEncryptionStates.clear();
+  remoteRecordingStates.clear();
+  remoteSpeakingStates.clear();
+  remoteQualityStates.clear();
+  renderRecordingIndicator();
+  setNetworkSummary(null);
+}
+
+// Solo enlaces http(s) y siempre vía textContent: el texto remoto nunca se interpreta como HTML
+function renderChatText(text) {
+  const fragment = document.createDocumentFragment();
+  let lastIndex = 0;
+  for (const match of text.matchAll(/https?:\/\/[^\s<>"]+/g)) {
+    fragment.append(text.slice(lastIndex, match.index));
+    const link = document.createElement('a');
+    link.href = match[0];
+    link.textContent = match[0];
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    fragment.append(link);
+    lastIndex = match.index + match[0].length;
+  }
+  fragment.append(text.slice(lastIndex));
+  return fragment;
+}
+
+function appendChatMessage({ id, authorName, relayedByName, text, sentAt, local }) {
+  const item = document.createElement('li');
+  item.dataset.messageId = id;
+  item.dataset.local = String(Boolean(local));
+
+  const author = document.createElement('strong');
+  author.textContent = local ? `${authorName} (tú)` : authorName;
+
+  const time = document.createElement('time');
+  const date = new Date(sentAt);
+  time.dateTime = date.toISOString();
+  time.textContent = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  const body = document.createElement('span');
+  body.append(': ', renderChatText(text));
+
+  item.append(author, body, time);
+  // El autor de un mensaje reenviado en el historial no es verificable: se indica quién lo trajo
+  if (relayedByName) {
+    item.dataset.relayed = 'true';
+    const relay = document.createElement('small');
+    relay.textContent = ` · reenviado por ${relayedByName}`;
+    item.append(relay);
+  }
+  // Los mensajes sincronizados pueden llegar tarde: se insertan en orden cronológico
+  const next = Array.from(elements.chatMessages.children).find((child) => Number(child.dataset.sentAt) > sentAt);
+  item.dataset.sentAt = String(sentAt);
+  elements.chatMessages.insertBefore(item, next ?? null);
+  if (!next) {
+    elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+  }
+}
+
+function clearChat() {
+  elements.chatMessages.replaceChildren();
+  elements.chatInput.value = '';
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function setFileTargets(peers) {
+  const selected = elements.fileTargetSelect.value;
+  const options = [{ peerId: '', name: 'Todos' }, ...peers].map(({ peerId, name }) => {
+    const option = document.createElement('option');
+    option.value = peerId;
+    option.textContent = name;
+    return option;
+  });
+  elements.fileTargetSelect.replaceChildren(...options);
+  elements.fileTargetSelect.value = peers.some(({ peerId }) => peerId === selected) ? selected : '';
+}
+
+function createActionButton(action, label) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.dataset.action = action;
+  button.textContent = label;
+  return button;
+}
+
+function renderFileTransfer(transfer, peerName) {
+  let entry = fileTransferItems.get(transfer.id);
+  if (!entry) {
+    const item = document.createElement('li');
+    item.dataset.transferId = transfer.id;
+    const label = document.createElement('span');
+    const progress = document.createElement('progress');
+    const actions = document.createElement('div');
+    actions.className = 'file-actions';
+    item.append(label, progress, actions);
+    elements.fileTransfers.prepend(item);
+    entry = { item, label, progress, actions, downloadUrl: null, state: null };
+    fileTransferItems.set(transfer.id, entry);
+  }
+
+  const arrow = transfer.direction === 'send' ? `→ ${peerName}` : `← ${peerName}`;
+  const stateLabel = TRANSFER_STATE_LABELS[transfer.state] ?? transfer.state;
+  const detail = transfer.error ? ` (${transfer.error})` : '';
+  entry.label.textContent = `${transfer.name} · ${formatBytes(transfer.size)} ${arrow} · ${stateLabel}${detail}`;
+  entry.item.dataset.state = transfer.state;
+  entry.progress.max = transfer.size;
+  entry.progress.value = transfer.bytes;
+
+  if (entry.state === transfer.state) {
+    return;
+  }
+  entry.state = transfer.state;
+  const buttons = [];
+  if (transfer.state === 'pending') {
+    buttons.push(createActionButton('accept', 'Aceptar'), createActionButton('decline', 'Rechazar'));
+  } else if (['offered', 'transferring', 'verifying'].includes(transfer.state)) {
+    buttons.push(createActionButton('cancel', 'Cancelar'));
+  } else if (transfer.state === 'completed' && transfer.blob) {
+    entry.downloadUrl = URL.createObjectURL(transfer.blob);
+    const link = document.createElement('a');
+    link.href = entry.downloadUrl;
+    link.download = transfer.name;
+    link.textContent = 'Descargar';
+    buttons.push(link);
+  }
+  if (!['pending', 'offered', 'transferring', 'verifying'].includes(transfer.state)) {
+    buttons.push(createActionButton('dismiss', 'Quitar'));
+  }
+  entry.actions.replaceChildren(...buttons);
+}
+
+// Quitar una transferencia terminada revoca su URL: el navegador ya puede liberar el blob recibido
+function removeFileTransfer(transferId) {
+  const entry = fileTransferItems.get(transferId);
+  if (!entry) {
+    return;
+  }
+  if (entry.downloadUrl) {
+    URL.revokeObjectURL(entry.downloadUrl);
+  }
+  entry.item.remove();
+  fileTransferItems.delete(transferId);
+}
+
+function clearFileTransfers() {
+  fileTransferItems.forEach(({ item, downloadUrl }) => {
+    if (downloadUrl) {
+      URL.revokeObjectURL(downloadUrl);
+    }
+    item.remove();
+  });
+  fileTransferItems.clear();
+  elements.fileInput.value = '';
+  setFileTargets([]);
 }
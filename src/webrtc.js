@@ -1,8 +1,26 @@
-const ICE_SERVERS = [
-  { urls: 'stun:stun.l.google.com:19302' },
-  { urls: 'stun:stun1.l.google.com:19302' },
-  { urls: 'stun:stun2.l.google.com:19302' }
-];
+import { IceConfigProvider } from './ice-config.js';
+import { AudioLevelMonitor } from './audio-levels.js';
+import { CallStatsCollector, rateConnectionQuality } from './call-stats.js';
+import { sanitizeProfile } from './profile.js';
+import { MeshChat, CHAT_CHANNEL_ID } from './chat.js';
+import { FileTransferManager, FILE_CONTROL_CHANNEL_ID, FILE_CHANNEL_PREFIX } from './file-transfer.js';
+import { E2eeSession, E2EE_CHANNEL_ID } from './e2ee.js';
+import { pickOldestMember } from './signaling-shared.js';
+import { AudioQualityController, DEFAULT_AUDIO_PRESET, applyOpusParameters, preferOpus } from './audio-quality.js';
+import { CallRecorder } from './call-recorder.js';
+import { LocalAudioPipeline, sanitizeNoiseGateSettings } from './local-audio-pipeline.js';
+import { runDeviceCheck } from './device-check.js';
+import { MeshEventEmitter, LEGACY_CALLBACKS } from './mesh-events.js';
+import { createLogger } from './logger.js';
+
+// Recuperación: gracia tras "disconnected", luego restartIce() y por último re-handshake completo
+const DISCONNECT_GRACE_MS = 3000;
+const RECOVERY_BASE_DELAY_MS = 2000;
+const RECOVERY_MAX_DELAY_MS = 15000;
+const ICE_RESTART_ATTEMPTS = 2;
+const MAX_RECOVERY_ATTEMPTS = 4;
+
+export const LOCAL_LEVEL_ID = 'local';
 
 export const DEFAULT_AUDIO_CONSTRAINTS = {
   audio: {
@@ -12,77 +30,682 @@ export const DEFAULT_AUDIO_CONSTRAINTS = {
   }
 };
 
-function createLogger(namespace) {
+export function buildAudioConstraints(deviceId) {
+  if (!deviceId) {
+    return DEFAULT_AUDIO_CONSTRAINTS;
+  }
   return {
-    info: (...args) => console.log(`[${namespace}]`, ...args),
-    warn: (...args) => console.warn(`[${namespace}]`, ...args),
-    error: (...args) => console.error(`[${namespace}]`, ...args)
+    audio: {
+      ...DEFAULT_AUDIO_CONSTRAINTS.audio,
+      deviceId: { exact: deviceId }
+    }
   };
 }
 
-export class PeerMeshManager {
+function createSessionId() {
+  return crypto.randomUUID().slice(0, 8);
+}
+
+// El ufrag identifica la generación ICE; candidatos de una generación aún no negociada se encolan
+function matchesRemoteIceGeneration(pc, candidate) {
+  if (!pc.remoteDescription) {
+    return false;
+  }
+  if (!candidate.usernameFragment) {
+    return true;
+  }
+  return pc.remoteDescription.sdp.includes(`a=ice-ufrag:${candidate.usernameFragment}`);
+}
+
+/**
+ * Mesh de audio WebRTC sobre cualquiera de los clientes de señalización.
+ * Los eventos se escuchan con on(type, listener); ver MESH_EVENTS y types/index.d.ts.
+ */
+export class PeerMeshManager extends MeshEventEmitter {
   constructor(options) {
     const {
       signalingClient,
-      onLocalStream,
-      onRemoteStream,
-      onRemoteStreamRemoved,
-      onStatus,
+      statsIntervalMs,
+      audioPreset = DEFAULT_AUDIO_PRESET,
+      noiseGate,
       workletUrl = '',
+      rnnoiseWasmUrl = '',
+      iceConfig = new IceConfigProvider(),
       logger = createLogger('PeerMesh')
     } = options;
+    super({ logger });
+
+    Object.entries(LEGACY_CALLBACKS).forEach(([option, [type, adapt]]) => {
+      if (options[option]) {
+        this.on(type, adapt(options[option]));
+      }
+    });
 
     this.signaling = signalingClient;
-    this.onLocalStream = onLocalStream;
-    this.onRemoteStream = onRemoteStream;
-    this.onRemoteStreamRemoved = onRemoteStreamRemoved;
-    this.onStatus = onStatus;
     this.logger = logger;
     this.workletUrl = workletUrl;
+    this.rnnoiseWasmUrl = rnnoiseWasmUrl;
+    this.iceConfig = iceConfig;
 
     this.roomId = null;
     this.peerId = null;
     this.localStream = null;
     this.connections = new Map();
     this.subscriptions = new Set();
-    this.audioContext = null;
-    this.processedLocalStream = null;
+    this.muted = false;
+    this.pushToTalk = false;
+    this.talking = false;
+    this.inputDeviceId = null;
+    this.switchingInput = null;
+    this.profile = {};
+    this.e2ee = null;
+    this.members = {};
+    this.moderation = null;
+    this.claimingHost = null;
+    this.remoteStreams = new Map();
+    this.recorder = new CallRecorder({ logger });
+    this.audioQuality = new AudioQualityController({ preset: audioPreset, logger });
+    this.noiseGate = sanitizeNoiseGateSettings(noiseGate);
+    this.rnnoiseEnabled = false;
+    this.pipeline = null;
+    this.pipelineUpdate = Promise.resolve();
+    this.speaking = false;
+    this.autoMuted = false;
+    this.autoMuteTimer = null;
+    this.stats = new CallStatsCollector({
+      intervalMs: statsIntervalMs,
+      onSample: (samples) => {
+        this.adaptAudioBitrates(samples);
+        this.emit('stats', samples);
+        this.emitNetworkQuality(samples);
+      },
+      logger
+    });
+    this.chat = new MeshChat({
+      onMessage: (message) => this.emit('chat-message', message),
+      logger
+    });
+    this.files = new FileTransferManager({
+      openDataChannel: (remotePeerId, label) => {
+        const connection = this.connections.get(remotePeerId);
+        if (!connection) {
+          throw new Error('peer-not-connected');
+        }
+        return connection.pc.createDataChannel(label, { ordered: true });
+      },
+      onTransferUpdate: (transfer) => this.emit('file-transfer', transfer),
+      logger
+    });
+    this.levelMonitor = new AudioLevelMonitor({
+      onLevels: (levels) => this.emit('audio-levels', levels),
+      onActiveSpeaker: (id) => {
+        const local = id === LOCAL_LEVEL_ID;
+        this.emitStatus({ type: 'active-speaker', peerId: local ? this.peerId : id, local });
+      }
+    });
+
+    navigator.mediaDevices?.addEventListener?.('devicechange', () => {
+      this.handleDeviceChange().catch((error) => this.logger.warn('Error al procesar devicechange', error));
+    });
   }
 
-  async ensureLocalStream(constraints = DEFAULT_AUDIO_CONSTRAINTS) {
+  async ensureLocalStream(constraints = buildAudioConstraints(this.inputDeviceId)) {
     if (this.localStream) {
       return this.localStream;
     }
     this.logger.info('Solicitando stream local con constraints', constraints);
     const stream = await navigator.mediaDevices.getUserMedia(constraints);
-    this.localStream = stream;
-    this.onLocalStream?.(stream);
+    this.setLocalStream(stream);
+    // Sin procesado la llamada sigue funcionando con la pista del micrófono
+    await this.updateLocalPipeline().catch((error) => this.recoverLocalPipeline(['rnnoise', 'noise-gate'], error));
     return stream;
   }
 
-  async enableRnNoiseWorklet() {
-    if (!this.workletUrl) {
-      this.logger.warn('No hay URL de AudioWorklet configurada, omitiendo RNNoise');
+  setLocalStream(stream) {
+    this.localStream = stream;
+    this.applyMuteState();
+    this.levelMonitor.track(LOCAL_LEVEL_ID, stream);
+    this.recorder.addStream(LOCAL_LEVEL_ID, stream);
+    this.pipeline?.setSource(stream);
+    stream.getAudioTracks().forEach((track) => {
+      // Un auricular desenchufado termina la pista: se vuelve al micrófono por defecto
+      track.addEventListener('ended', () => {
+        if (this.localStream === stream) {
+          this.logger.warn('Pista de micrófono finalizada, usando dispositivo por defecto');
+          this.switchInputDevice('').catch((error) => this.logger.error('No se pudo recuperar el micrófono', error));
+        }
+      });
+    });
+    this.emit('local-stream', stream);
+  }
+
+  // Se prueba la pista que saldría hacia los peers (con RNNoise y puerta si están activos) y el preset Opus actual
+  async runDeviceCheck({ loopback = false, playSample, onStep, onLoopbackStream } = {}) {
+    if (this.roomId) {
+      throw new Error('already-in-room');
+    }
+    const stream = await this.ensureLocalStream();
+    return runDeviceCheck({
+      stream,
+      track: this.outboundAudioTrack(),
+      preset: this.audioQuality.preset,
+      loopback,
+      playSample,
+      onStep,
+      onLoopbackStream,
+      logger: this.logger
+    });
+  }
+
+  async listAudioDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return {
+      inputs: devices.filter((device) => device.kind === 'audioinput'),
+      outputs: devices.filter((device) => device.kind === 'audiooutput')
+    };
+  }
+
+  async switchInputDevice(deviceId) {
+    if (this.switchingInput) {
+      await this.switchingInput.catch(() => {});
+    }
+    this.switchingInput = this.replaceInputDevice(deviceId || null);
+    try {
+      return await this.switchingInput;
+    } finally {
+      this.switchingInput = null;
+    }
+  }
+
+  async replaceInputDevice(deviceId) {
+    if (!this.localStream) {
+      this.inputDeviceId = deviceId;
       return null;
     }
+    const previousStream = this.localStream;
+    const stream = await navigator.mediaDevices.getUserMedia(buildAudioConstraints(deviceId));
+    const [track] = stream.getAudioTracks();
+    track.enabled = !this.isMicrophoneMuted();
+
+    // Con la puerta de ruido activa los senders llevan su salida: basta con cambiar la fuente en setLocalStream
+    if (!this.pipeline) {
+      await this.replaceOutboundTrack(track);
+    }
+
+    previousStream.getTracks().forEach((oldTrack) => oldTrack.stop());
+    this.inputDeviceId = deviceId;
+    this.setLocalStream(stream);
+    this.logger.info('Micrófono cambiado a', deviceId ?? 'default');
+    this.emitStatus({ type: 'input-device', deviceId });
+    return stream;
+  }
+
+  outboundAudioTrack() {
+    return this.pipeline?.track ?? this.localStream?.getAudioTracks()[0] ?? null;
+  }
+
+  // replaceTrack cambia la pista enviada en caliente, sin renegociar ni tocar el mesh
+  async replaceOutboundTrack(track) {
+    const replacements = [];
+    this.connections.forEach(({ pc, remotePeerId }) => {
+      pc.getSenders()
+        .filter((sender) => sender.track?.kind === 'audio')
+        .forEach((sender) => {
+          replacements.push(
+            sender.replaceTrack(track).catch((error) => this.logger.warn('replaceTrack falló con', remotePeerId, error))
+          );
+        });
+    });
+    await Promise.all(replacements);
+  }
+
+  getNoiseGateSettings() {
+    return { ...this.noiseGate };
+  }
+
+  isNoiseGateActive() {
+    return Boolean(this.pipeline) && this.noiseGate.enabled;
+  }
+
+  // Se puede configurar antes de tener micrófono: se aplica al crear el stream local
+  async setNoiseGate(settings) {
+    this.noiseGate = sanitizeNoiseGateSettings({ ...this.noiseGate, ...settings });
+    try {
+      await this.updateLocalPipeline();
+    } catch (error) {
+      await this.recoverLocalPipeline(['noise-gate'], error);
+      throw error;
+    }
+    this.emitProcessingStatus('noise-gate');
+  }
+
+  // Sin módulo WASM ni worklet propio no hay modelo que ejecutar
+  isRnNoiseAvailable() {
+    return Boolean(this.rnnoiseWasmUrl || this.workletUrl);
+  }
+
+  isRnNoiseActive() {
+    return Boolean(this.pipeline) && this.rnnoiseEnabled;
+  }
+
+  async setRnNoise(enabled) {
+    if (enabled && !this.isRnNoiseAvailable()) {
+      throw new Error('rnnoise-unavailable');
+    }
+    this.rnnoiseEnabled = Boolean(enabled);
+    try {
+      await this.updateLocalPipeline();
+    } catch (error) {
+      await this.recoverLocalPipeline(['rnnoise'], error);
+      throw error;
+    }
+    this.emitProcessingStatus('rnnoise');
+  }
+
+  emitProcessingStatus(stage, error) {
+    if (stage === 'rnnoise') {
+      this.emitStatus({ type: 'rnnoise', enabled: this.rnnoiseEnabled, active: this.isRnNoiseActive(), error });
+    } else {
+      this.emitStatus({ type: 'noise-gate', settings: this.getNoiseGateSettings(), active: this.isNoiseGateActive(), error });
+    }
+  }
+
+  // Se apagan las etapas que fallaron y se reconstruye con el resto; en último caso se envía el micrófono tal cual
+  async recoverLocalPipeline(stages, error) {
+    const failed = stages.filter((stage) => (stage === 'rnnoise' ? this.rnnoiseEnabled : this.noiseGate.enabled));
+    this.logger.error('Procesado de audio desactivado tras un fallo', failed, error);
+    if (failed.includes('rnnoise')) {
+      this.rnnoiseEnabled = false;
+    }
+    if (failed.includes('noise-gate')) {
+      this.noiseGate = { ...this.noiseGate, enabled: false };
+    }
+    await this.updateLocalPipeline().catch((retryError) => {
+      this.logger.error('No se pudo reconstruir el pipeline local', retryError);
+      return this.teardownLocalPipeline();
+    });
+    failed.forEach((stage) => this.emitProcessingStatus(stage, `${stage}-failed`));
+  }
+
+  // Encadenado: los cambios rápidos de la UI no deben montar dos pipelines a la vez
+  updateLocalPipeline() {
+    this.pipelineUpdate = this.pipelineUpdate.catch(() => {}).then(() => this.applyLocalPipeline());
+    return this.pipelineUpdate;
+  }
+
+  async applyLocalPipeline() {
     if (!this.localStream) {
-      throw new Error('LocalStream no disponible para RNNoise');
+      return;
+    }
+    const stages = { noiseGate: this.noiseGate, rnnoise: this.rnnoiseEnabled };
+    if (!this.noiseGate.enabled && !this.rnnoiseEnabled) {
+      await this.teardownLocalPipeline();
+    } else if (this.pipeline) {
+      await this.pipeline.configure(stages);
+    } else {
+      const pipeline = new LocalAudioPipeline({
+        rnnoise: { workletUrl: this.workletUrl, wasmUrl: this.rnnoiseWasmUrl },
+        onSpeakingChange: (speaking) => {
+          if (this.pipeline === pipeline) {
+            this.handleSpeakingChange(speaking);
+          }
+        },
+        onProcessorError: (stage, event) => {
+          if (this.pipeline === pipeline) {
+            this.recoverLocalPipeline([stage], event);
+          }
+        },
+        logger: this.logger
+      });
+      await pipeline.start(this.localStream, stages);
+      this.pipeline = pipeline;
+      await this.replaceOutboundTrack(pipeline.track);
+    }
+    if (!this.isNoiseGateActive()) {
+      this.speaking = false;
+    }
+    this.scheduleAutoMute();
+    this.publishMemberState();
+  }
+
+  async teardownLocalPipeline() {
+    const { pipeline } = this;
+    if (!pipeline) {
+      return;
+    }
+    this.pipeline = null;
+    this.speaking = false;
+    this.setAutoMuted(false);
+    await this.replaceOutboundTrack(this.localStream.getAudioTracks()[0]);
+    pipeline.stop();
+  }
+
+  handleSpeakingChange(speaking) {
+    this.speaking = speaking;
+    if (speaking) {
+      this.setAutoMuted(false);
+    }
+    this.scheduleAutoMute();
+    this.emitStatus({ type: 'speaking', speaking });
+    if (this.noiseGate.publishSpeaking) {
+      this.publishMemberState();
+    }
+  }
+
+  // El micrófono se sigue analizando: solo se silencia la pista enviada y la voz la reactiva
+  scheduleAutoMute() {
+    clearTimeout(this.autoMuteTimer);
+    this.autoMuteTimer = null;
+    if (!this.isNoiseGateActive() || !this.noiseGate.autoMuteAfterS) {
+      this.setAutoMuted(false);
+      return;
+    }
+    if (!this.speaking && !this.autoMuted) {
+      this.autoMuteTimer = setTimeout(() => this.setAutoMuted(true), this.noiseGate.autoMuteAfterS * 1000);
+    }
+  }
+
+  setAutoMuted(active) {
+    if (this.autoMuted === active) {
+      return;
+    }
+    this.autoMuted = active;
+    this.pipeline?.setOutboundEnabled(!active);
+    this.logger.info(active ? 'Silencio prolongado, pista saliente silenciada' : 'Voz detectada, pista saliente reactivada');
+    this.emitStatus({ type: 'auto-mute', active });
+  }
+
+  async handleDeviceChange() {
+    const devices = await this.listAudioDevices();
+    this.emitStatus({ type: 'devices', ...devices });
+    const stillPresent = devices.inputs.some((device) => device.deviceId === this.inputDeviceId);
+    if (this.inputDeviceId && !stillPresent) {
+      this.logger.warn('Micrófono seleccionado desconectado', this.inputDeviceId);
+      await this.switchInputDevice('');
+    }
+  }
+
+  isMicrophoneMuted() {
+    return this.muted || (this.pushToTalk && !this.talking);
+  }
+
+  setMuted(muted) {
+    this.muted = Boolean(muted);
+    this.updateMuteState();
+  }
+
+  toggleMuted() {
+    this.setMuted(!this.muted);
+    return this.muted;
+  }
+
+  setPushToTalk(enabled) {
+    this.pushToTalk = Boolean(enabled);
+    this.talking = false;
+    this.updateMuteState();
+  }
+
+  setTalking(active) {
+    if (!this.pushToTalk || this.talking === Boolean(active)) {
+      return;
+    }
+    this.talking = Boolean(active);
+    this.updateMuteState();
+  }
+
+  // track.enabled envía silencio sin renegociar; los senders siguen con la misma pista
+  applyMuteState() {
+    const enabled = !this.isMicrophoneMuted();
+    this.localStream?.getAudioTracks().forEach((track) => {
+      track.enabled = enabled;
+    });
+  }
+
+  updateMuteState() {
+    this.applyMuteState();
+    const muted = this.isMicrophoneMuted();
+    this.emitStatus({ type: 'local-mute', muted, manual: this.muted, pushToTalk: this.pushToTalk });
+    this.publishMemberState();
+  }
+
+  getAudioPreset() {
+    return this.audioQuality.presetName;
+  }
+
+  // El bitrate cambia al momento; DTX, FEC y estéreo viajan en la SDP y necesitan renegociar
+  setAudioPreset(name) {
+    this.audioQuality.setPreset(name);
+    this.connections.forEach((connection) => {
+      this.applyAudioBitrate(connection);
+      if (connection.pc.signalingState === 'stable') {
+        this.sendOffer(connection);
+      }
+    });
+    this.emitStatus({ type: 'audio-preset', preset: name });
+  }
+
+  describeLocalDescription(pc) {
+    const { type, sdp } = pc.localDescription;
+    return { type, sdp: applyOpusParameters(sdp, this.audioQuality.preset) };
+  }
+
+  async applyAudioBitrate(connection, maxBitrate = this.audioQuality.bitrateFor(connection.remotePeerId, this.connections.size)) {
+    const senders = connection.pc.getSenders().filter((sender) => sender.track?.kind === 'audio');
+    try {
+      await Promise.all(
+        senders.map(async (sender) => {
+          const parameters = sender.getParameters();
+          // Antes de la primera negociación no hay encodings que configurar
+          if (!parameters.encodings?.length || parameters.encodings[0].maxBitrate === maxBitrate) {
+            return;
+          }
+          parameters.encodings[0].maxBitrate = maxBitrate;
+          await sender.setParameters(parameters);
+        })
+      );
+    } catch (error) {
+      this.logger.warn('No se pudo aplicar el bitrate de audio a', connection.remotePeerId, error);
+    }
+  }
+
+  applyAudioBitrates() {
+    this.connections.forEach((connection) => this.applyAudioBitrate(connection));
+  }
+
+  // Cada estado llega por 'status' y también con su propio nombre: on('knocks', …) evita filtrar por type
+  emitStatus(event) {
+    this.emit('status', event);
+    this.emit(event.type, event);
+  }
+
+  emitNetworkQuality(samples) {
+    const peers = Object.fromEntries(
+      Object.keys(samples).map((remotePeerId) => [remotePeerId, rateConnectionQuality(this.stats.getRecent(remotePeerId))])
+    );
+    this.emitStatus({ type: 'network-quality', peers });
+  }
+
+  adaptAudioBitrates(samples) {
+    Object.entries(samples).forEach(([remotePeerId, sample]) => {
+      const connection = this.connections.get(remotePeerId);
+      if (connection?.pc.connectionState === 'connected') {
+        this.applyAudioBitrate(connection, this.audioQuality.adapt(remotePeerId, sample, this.connections.size));
+      }
+    });
+  }
+
+  isRecording() {
+    return this.recorder.isRecording;
+  }
+
+  // Se publica como recording en members/<peerId>: los demás deben saber que se les graba
+  startRecording() {
+    this.assertInRoom();
+    this.recorder.start(new Map([[LOCAL_LEVEL_ID, this.localStream], ...this.remoteStreams]));
+    this.publishMemberState();
+    this.emitStatus({ type: 'recording', active: true });
+  }
+
+  async stopRecording() {
+    const result = await this.recorder.stop();
+    if (!result) {
+      return null;
+    }
+    this.publishMemberState();
+    this.emitStatus({ type: 'recording', active: false, result });
+    return result;
+  }
+
+  isE2eeEnabled() {
+    return Boolean(this.e2ee);
+  }
+
+  async startE2ee(passphrase, { roomId, peerId }) {
+    const session = new E2eeSession({
+      onStateChange: (remotePeerId, state) => this.emitStatus({ type: 'e2ee', peerId: remotePeerId, state }),
+      logger: this.logger
+    });
+    await session.start(passphrase, { roomId, peerId });
+    this.e2ee = session;
+  }
+
+  sendChatMessage(text) {
+    if (!this.roomId) {
+      throw new Error('not-in-room');
+    }
+    return this.chat.send({ from: this.peerId, name: this.profile.displayName ?? '', text });
+  }
+
+  // Sin peerIds se envía a todos los participantes conectados; devuelve un id de transferencia por destinatario
+  async sendFile(file, { peerIds } = {}) {
+    if (!this.roomId) {
+      throw new Error('not-in-room');
+    }
+    return this.files.sendFile(file, peerIds ?? Array.from(this.connections.keys()));
+  }
+
+  acceptFile(transferId) {
+    this.files.accept(transferId);
+  }
+
+  declineFile(transferId) {
+    this.files.decline(transferId);
+  }
+
+  cancelFile(transferId) {
+    this.files.cancel(transferId);
+  }
+
+  setProfile(profile) {
+    this.profile = sanitizeProfile(profile);
+    if (!this.roomId || !this.peerId) {
+      return;
+    }
+    this.signaling
+      .updateMember(this.roomId, this.peerId, this.profile)
+      .catch((error) => this.logger.warn('Error al publicar perfil', error));
+  }
+
+  publishMemberState() {
+    if (!this.roomId || !this.peerId) {
+      return;
     }
-    if (this.audioContext) {
-      return this.processedLocalStream ?? this.localStream;
+    this.signaling
+      .updateMember(this.roomId, this.peerId, {
+        muted: this.isMicrophoneMuted(),
+        e2ee: this.isE2eeEnabled(),
+        recording: this.isRecording(),
+        // null borra el campo: sin detección publicada nadie debe ver un "hablando" congelado
+        speaking: this.isNoiseGateActive() && this.noiseGate.publishSpeaking ? this.speaking : null
+      })
+      .catch((error) => this.logger.warn('Error al publicar estado de miembro', error));
+  }
+
+  isHost() {
+    return Boolean(this.peerId) && this.moderation?.host === this.peerId;
+  }
+
+  assertInRoom() {
+    if (!this.roomId) {
+      throw new Error('not-in-room');
     }
-    this.audioContext = new AudioContext();
-    await this.audioContext.audioWorklet.addModule(this.workletUrl);
-    const source = this.audioContext.createMediaStreamSource(this.localStream);
-    const rnNoiseNode = new AudioWorkletNode(this.audioContext, 'rnnoise-processor');
-    const destination = this.audioContext.createMediaStreamDestination();
-    source.connect(rnNoiseNode).connect(destination);
-    this.processedLocalStream = destination.stream;
-    this.logger.info('RNNoise AudioWorklet conectado (deshabilitado por defecto)');
-    return this.processedLocalStream;
   }
 
-  async join(roomId, { createIfMissing = false } = {}) {
+  // La señalización rechaza con not-host cualquier acción de quien no es anfitrión
+  async kickParticipant(remotePeerId) {
+    this.assertInRoom();
+    await this.signaling.kickMember(this.roomId, this.peerId, remotePeerId);
+  }
+
+  async muteAll() {
+    this.assertInRoom();
+    await this.signaling.requestMuteAll(this.roomId, this.peerId);
+  }
+
+  async setRoomLocked(locked) {
+    this.assertInRoom();
+    await this.signaling.setRoomLocked(this.roomId, this.peerId, locked);
+  }
+
+  async transferHost(remotePeerId) {
+    this.assertInRoom();
+    await this.signaling.transferHost(this.roomId, this.peerId, remotePeerId);
+  }
+
+  async setLobbyEnabled(enabled) {
+    this.assertInRoom();
+    await this.signaling.setLobbyEnabled(this.roomId, this.peerId, enabled);
+  }
+
+  // Cualquier miembro puede abrir la puerta; solo el anfitrión activa la sala de espera
+  async answerKnock(knockId, approved) {
+    this.assertInRoom();
+    await this.signaling.answerKnock(this.roomId, this.peerId, knockId, approved);
+  }
+
+  handleModeration(moderation) {
+    const previous = this.moderation;
+    this.moderation = moderation;
+    if (Object.values(moderation.kicked).includes(this.peerId)) {
+      this.logger.warn('Expulsado de la sala por el anfitrión');
+      this.emitStatus({ type: 'kicked' });
+      return;
+    }
+    // La primera instantánea solo fija la referencia: una petición anterior a entrar no aplica
+    const muteRequestId = moderation.muteAll?.id ?? null;
+    if (previous && muteRequestId && muteRequestId !== previous.muteAll?.id && !this.isHost()) {
+      this.setMuted(true);
+      this.emitStatus({ type: 'muted-by-host', by: moderation.muteAll.by });
+    }
+    this.emitStatus({
+      type: 'moderation',
+      host: moderation.host,
+      isHost: this.isHost(),
+      locked: moderation.locked,
+      lobby: moderation.lobby
+    });
+    this.ensureHostPresent();
+  }
+
+  // Si el anfitrión desaparece sin traspasar (pestaña cerrada, red caída) lo reclama el miembro más antiguo
+  ensureHostPresent() {
+    if (!this.roomId || !this.moderation || this.claimingHost) {
+      return;
+    }
+    const { host } = this.moderation;
+    if ((host && this.members[host]) || pickOldestMember(this.members) !== this.peerId) {
+      return;
+    }
+    this.claimingHost = this.signaling
+      .claimHost(this.roomId, this.peerId)
+      .catch((error) => this.logger.warn('No se pudo reclamar el rol de anfitrión', error))
+      .finally(() => {
+        this.claimingHost = null;
+      });
+  }
+
+  // e2eePassphrase solo vive en memoria: nunca se escribe en la señalización
+  async join(roomId, { createIfMissing = false, profile = this.profile, password = '', e2eePassphrase = '' } = {}) {
     if (this.roomId) {
       throw new Error('already-in-room');
     }
@@ -93,26 +716,59 @@ export class PeerMeshManager {
     }
 
     await this.ensureLocalStream();
-
     this.roomId = normalizedRoomId;
     this.peerId = `peer-${crypto.randomUUID().slice(0, 8)}`;
 
-    await this.signaling.ensureRoom(this.roomId, { createIfMissing });
-    const joinResult = await this.signaling.joinRoom(this.roomId, this.peerId);
+    this.profile = sanitizeProfile(profile);
+    let joinResult;
+    try {
+      await this.signaling.ensureRoom(this.roomId, { createIfMissing, password });
+      joinResult = await this.signaling.joinRoom(this.roomId, this.peerId, this.profile, {
+        password,
+        onKnock: () => this.emitStatus({ type: 'knocking', roomId: this.roomId })
+      });
+      // ICE y E2EE arrancan con el acceso ya concedido: un room-full o wrong-password no deja worker ni timers vivos
+      await this.iceConfig.start();
+      if (e2eePassphrase) {
+        await this.startE2ee(e2eePassphrase, { roomId: this.roomId, peerId: this.peerId });
+      }
+    } catch (error) {
+      if (joinResult) {
+        await this.signaling.leaveRoom(this.roomId, this.peerId).catch(() => {});
+      }
+      // Sin esto un join fallido (sala inexistente o llena) bloquearía los siguientes con already-in-room
+      this.resetSession();
+      throw error;
+    }
     const existingPeers = joinResult.members.filter((id) => id !== this.peerId);
+    this.publishMemberState();
+    // Quien crea la sala entra el primero y se queda con el rol; los demás encuentran un anfitrión presente
+    await this.signaling.claimHost(this.roomId, this.peerId).catch((error) => this.logger.warn('Error al reclamar anfitrión', error));
 
+    this.stats.start({ roomId: this.roomId, peerId: this.peerId });
     this.logger.info('Unido a sala', this.roomId, 'con peerId', this.peerId, 'otros miembros', existingPeers);
-    this.onStatus?.({ type: 'joined', peers: existingPeers });
+    this.emitStatus({ type: 'joined', peers: existingPeers });
+
+    this.subscriptions.add(this.iceConfig.subscribe((configuration) => this.applyIceConfiguration(configuration)));
 
     this.subscriptions.add(
-      this.signaling.subscribeToMembers(this.roomId, ({ members }) => {
+      this.signaling.subscribeToMembers(this.roomId, ({ members, raw }) => {
         const others = members.filter((id) => id !== this.peerId);
         this.logger.info('Actualización de miembros', others);
-        this.signaling.scheduleRoomCleanup(this.roomId, members.length === 1 && members[0] === this.peerId);
+        this.signaling.scheduleRoomCleanup(this.roomId, members.length === 1 && members[0] === this.peerId, this.peerId);
         if (members.length === 0) {
           this.signaling.removeRoomIfEmpty(this.roomId).catch((error) => this.logger.warn('Error al eliminar sala vacía', error));
         }
-        this.onStatus?.({ type: 'members', members, roomId: this.roomId });
+        const previous = this.members;
+        this.members = raw;
+        others
+          .filter((id) => !previous?.[id])
+          .forEach((id) => this.emit('peer-joined', { peerId: id, member: raw?.[id] ?? null }));
+        Object.keys(previous ?? {})
+          .filter((id) => id !== this.peerId && !others.includes(id))
+          .forEach((id) => this.emit('peer-left', { peerId: id }));
+        this.emitStatus({ type: 'members', members, raw, roomId: this.roomId });
+        this.ensureHostPresent();
         this.connections.forEach((connection, remoteId) => {
           if (!others.includes(remoteId)) {
             this.logger.info('Remoto salió, cerrando', remoteId);
@@ -122,6 +778,22 @@ export class PeerMeshManager {
       })
     );
 
+    this.subscriptions.add(this.signaling.subscribeToModeration(this.roomId, (moderation) => this.handleModeration(moderation)));
+    this.subscriptions.add(this.signaling.subscribeToKnocks(this.roomId, (knocks) => this.emitStatus({ type: 'knocks', knocks })));
+    // Con WebSocket la presencia va ligada al socket: si se cae, el servidor ya nos ha sacado de la sala
+    if (this.signaling.subscribeToDisconnect) {
+      this.subscriptions.add(
+        this.signaling.subscribeToDisconnect(() => {
+          // La expulsión también borra nuestro miembro, pero ya llega como kicked
+          if (Object.values(this.moderation?.kicked ?? {}).includes(this.peerId)) {
+            return;
+          }
+          this.logger.error('Conexión de señalización perdida en la sala', this.roomId);
+          this.emitStatus({ type: 'signaling-lost' });
+        })
+      );
+    }
+
     this.subscriptions.add(
       this.signaling.subscribeToOffers(this.roomId, this.peerId, (offer) => {
         this.logger.info('Oferta recibida', offer);
@@ -130,8 +802,8 @@ export class PeerMeshManager {
     );
 
     for (const remotePeerId of existingPeers) {
-      // Intentamos establecer conexión como originador
-      await this.createConnection(remotePeerId, { initiator: true });
+      // El recién llegado abre la conexión; si otro peer hace lo mismo, perfect negotiation resuelve la colisión
+      this.createConnection(remotePeerId);
     }
 
     return { roomId: this.roomId, peerId: this.peerId };
@@ -143,6 +815,14 @@ export class PeerMeshManager {
     }
     this.logger.info('Saliendo de la sala', this.roomId);
 
+    // La grabación se cierra antes de cortar: la entrega llega con el evento recording
+    await this.stopRecording().catch((error) => this.logger.error('Error al cerrar la grabación', error));
+
+    const successor = this.isHost() ? pickOldestMember(this.members, this.peerId) : null;
+    if (successor) {
+      await this.transferHost(successor).catch((error) => this.logger.warn('No se pudo traspasar el rol de anfitrión', error));
+    }
+
     this.subscriptions.forEach((unsubscribe) => {
       try {
         unsubscribe();
@@ -154,57 +834,109 @@ export class PeerMeshManager {
 
     const teardownPromises = Array.from(this.connections.keys()).map((remoteId) => this.teardownConnection(remoteId, 'bye'));
     await Promise.allSettled(teardownPromises);
+    this.stats.stop();
+    this.audioQuality.reset();
+    this.chat.clear();
+    this.files.clear();
 
-    await this.signaling.leaveRoom(this.roomId, this.peerId);
+    // Tras signaling-lost el servidor ya nos dio de baja: el error no debe impedir limpiar la sesión local
+    await this.signaling.leaveRoom(this.roomId, this.peerId).catch((error) => this.logger.warn('Error al salir de la sala', error));
     await this.signaling.removeRoomIfEmpty(this.roomId).catch(() => {});
 
+    Object.keys(this.members ?? {})
+      .filter((id) => id !== this.peerId)
+      .forEach((id) => this.emit('peer-left', { peerId: id }));
+    this.resetSession();
+    this.emitStatus({ type: 'left' });
+  }
+
+  resetSession() {
+    this.iceConfig.stop();
+    this.e2ee?.stop();
+    this.e2ee = null;
+    this.members = {};
+    this.moderation = null;
     this.roomId = null;
     this.peerId = null;
-    this.onStatus?.({ type: 'left' });
   }
 
-  async createConnection(remotePeerId, { initiator, offerId } = { initiator: false }) {
+  // Credenciales TURN renovadas o cambio de política: setConfiguration afecta a la próxima recolección ICE
+  applyIceConfiguration(configuration) {
+    this.connections.forEach(({ pc, remotePeerId }) => {
+      const policyChanged = pc.getConfiguration().iceTransportPolicy !== configuration.iceTransportPolicy;
+      try {
+        pc.setConfiguration({ ...pc.getConfiguration(), ...configuration });
+        if (policyChanged) {
+          pc.restartIce();
+        }
+      } catch (error) {
+        this.logger.warn('No se pudo aplicar configuración ICE a', remotePeerId, error);
+      }
+    });
+  }
+
+  setIceTransportPolicy(policy) {
+    this.iceConfig.setIceTransportPolicy(policy);
+  }
+
+  createConnection(remotePeerId) {
     if (this.connections.has(remotePeerId)) {
       return this.connections.get(remotePeerId);
     }
 
-    const pc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
-    const connectionOfferId = offerId ?? this.signaling.buildOfferId(this.peerId, remotePeerId);
-
-    this.localStream?.getTracks().forEach((track) => pc.addTrack(track, this.localStream));
+    const pc = new RTCPeerConnection({ ...this.iceConfig.getConfiguration(), ...this.e2ee?.peerConnectionConfig() });
+    // Roles deterministas: el peerId mayor es "polite" y cede ante colisiones de ofertas
+    const polite = this.peerId > remotePeerId;
+    const impoliteId = polite ? remotePeerId : this.peerId;
+    const politeId = polite ? this.peerId : remotePeerId;
 
     const connection = {
       remotePeerId,
-      offerId: connectionOfferId,
-      initiator,
+      polite,
+      offerId: this.signaling.buildOfferId(impoliteId, politeId),
+      outboundOfferId: this.signaling.buildOfferId(this.peerId, remotePeerId),
+      inboundOfferId: this.signaling.buildOfferId(remotePeerId, this.peerId),
+      sessionId: createSessionId(),
+      remoteSessionId: null,
       pc,
+      makingOffer: false,
+      ignoreOffer: false,
+      pendingCandidates: [],
       candidateSubscriptions: [],
       answerSubscription: null,
+      recovery: { active: false, attempt: 0, timer: null },
       closing: false
     };
+    const localRole = polite ? 'callee' : 'caller';
+    const remoteRole = polite ? 'caller' : 'callee';
 
     pc.onicecandidate = (event) => {
       if (!event.candidate) {
         return;
       }
       this.signaling
-        .addIceCandidate(this.roomId, connection.offerId, initiator ? 'caller' : 'callee', event.candidate.toJSON(), this.peerId)
+        .addIceCandidate(this.roomId, connection.offerId, localRole, event.candidate.toJSON(), this.peerId)
         .catch((error) => this.logger.warn('Error al publicar ICE', error));
     };
 
+    pc.onnegotiationneeded = () => this.sendOffer(connection);
+
     pc.ontrack = (event) => {
+      preferOpus(event.transceiver);
+      this.e2ee?.setupReceiver(event.receiver, remotePeerId);
       const [stream] = event.streams;
       if (stream) {
-        this.onRemoteStream?.(remotePeerId, stream);
+        this.remoteStreams.set(remotePeerId, stream);
+        this.recorder.addStream(remotePeerId, stream);
+        this.levelMonitor.track(remotePeerId, stream);
+        this.emit('track', { peerId: remotePeerId, stream, track: event.track });
       }
     };
 
     pc.oniceconnectionstatechange = () => {
       const state = pc.iceConnectionState;
       this.logger.info('ICE state', remotePeerId, state);
-      if (state === 'failed' || state === 'closed') {
-        this.teardownConnection(remotePeerId, `ice-${state}`);
-      }
+      this.stats.recordEvent(remotePeerId, 'iceConnectionState', state);
       if (state === 'connected' || state === 'completed') {
         this.signaling.clearCandidates(this.roomId, connection.offerId).catch(() => {});
       }
@@ -213,99 +945,255 @@ export class PeerMeshManager {
     pc.onconnectionstatechange = () => {
       const state = pc.connectionState;
       this.logger.info('Peer connection state', remotePeerId, state);
-      if (state === 'disconnected' || state === 'failed' || state === 'closed') {
+      this.stats.recordEvent(remotePeerId, 'connectionState', state);
+      this.emit('state', { peerId: remotePeerId, state });
+      if (state === 'connected') {
+        this.markRecovered(connection);
+        this.applyAudioBitrates();
+      } else if (state === 'disconnected') {
+        this.scheduleRecovery(connection, DISCONNECT_GRACE_MS);
+      } else if (state === 'failed') {
+        this.scheduleRecovery(connection, 0);
+      } else if (state === 'closed') {
         this.teardownConnection(remotePeerId, state);
       }
     };
 
+    connection.answerSubscription = this.signaling.subscribeToAnswers(this.roomId, connection.outboundOfferId, (answerSignal) => {
+      if (!answerSignal?.description) {
+        return;
+      }
+      this.handleAnswer(connection, answerSignal).catch((error) => this.logger.error('Error al manejar answer', error));
+    });
+
+    connection.candidateSubscriptions.push(
+      this.signaling.subscribeToIceCandidates(this.roomId, connection.offerId, remoteRole, ({ candidate }) => {
+        if (!candidate) {
+          return;
+        }
+        if (!matchesRemoteIceGeneration(pc, candidate)) {
+          connection.pendingCandidates.push(candidate);
+          return;
+        }
+        this.addRemoteCandidate(connection, candidate);
+      })
+    );
+
+    this.chat.attach(remotePeerId, pc.createDataChannel('chat', { negotiated: true, id: CHAT_CHANNEL_ID, ordered: true }));
+    this.files.attach(
+      remotePeerId,
+      pc.createDataChannel('files', { negotiated: true, id: FILE_CONTROL_CHANNEL_ID, ordered: true })
+    );
+    if (this.e2ee) {
+      this.e2ee.attachPeer(remotePeerId, pc.createDataChannel('e2ee', { negotiated: true, id: E2EE_CHANNEL_ID, ordered: true }));
+    }
+    pc.ondatachannel = ({ channel }) => {
+      if (channel.label.startsWith(FILE_CHANNEL_PREFIX)) {
+        this.files.handleIncomingChannel(remotePeerId, channel);
+      } else {
+        channel.close();
+      }
+    };
+
     this.connections.set(remotePeerId, connection);
+    this.stats.addConnection(remotePeerId, pc);
 
-    if (initiator) {
-      await this.handleInitiatorFlow(connection);
+    // addTrack dispara negotiationneeded; si ya hay oferta remota en curso, la colisión se resuelve en handleOffer
+    const outboundTrack = this.outboundAudioTrack();
+    if (outboundTrack) {
+      this.e2ee?.setupSender(pc.addTrack(outboundTrack, this.localStream));
     }
+    pc.getTransceivers().forEach(preferOpus);
 
     return connection;
   }
 
-  async handleInitiatorFlow(connection) {
+  async sendOffer(connection) {
     const { pc, remotePeerId } = connection;
-    const offer = await pc.createOffer();
-    await pc.setLocalDescription(offer);
-
-    await this.signaling.postOffer(this.roomId, {
-      offerId: connection.offerId,
-      from: this.peerId,
-      to: remotePeerId,
-      description: pc.localDescription
-    });
+    try {
+      connection.makingOffer = true;
+      await pc.setLocalDescription();
+      await this.signaling.postOffer(this.roomId, {
+        offerId: connection.outboundOfferId,
+        from: this.peerId,
+        to: remotePeerId,
+        description: this.describeLocalDescription(pc),
+        sessionId: connection.sessionId
+      });
+    } catch (error) {
+      this.logger.warn('Error al negociar con', remotePeerId, error);
+    } finally {
+      connection.makingOffer = false;
+    }
+  }
 
-    connection.answerSubscription = this.signaling.subscribeToAnswers(this.roomId, connection.offerId, async (answerSignal) => {
-      if (!answerSignal?.description) {
-        return;
-      }
-      await pc.setRemoteDescription(answerSignal.description);
-      await this.signaling.clearAnswer(this.roomId, connection.offerId);
-      if (connection.answerSubscription) {
-        connection.answerSubscription();
-        this.subscriptions.delete(connection.answerSubscription);
-        connection.answerSubscription = null;
+  async addRemoteCandidate(connection, candidate) {
+    try {
+      await connection.pc.addIceCandidate(candidate);
+    } catch (error) {
+      if (!connection.ignoreOffer) {
+        this.logger.warn('ICE candidate rejection', connection.remotePeerId, error);
       }
-    });
+    }
+  }
 
-    const unsubscribe = this.signaling.subscribeToIceCandidates(this.roomId, connection.offerId, 'callee', async ({ candidate }) => {
-      if (!candidate) {
-        return;
-      }
-      try {
-        await pc.addIceCandidate(candidate);
-      } catch (error) {
-        this.logger.warn('ICE callee candidate rejection', error);
-      }
-    });
-    connection.candidateSubscriptions.push(unsubscribe);
+  async applyRemoteDescription(connection, description) {
+    await connection.pc.setRemoteDescription(description);
+    const pending = connection.pendingCandidates.splice(0);
+    connection.pendingCandidates = pending.filter((candidate) => !matchesRemoteIceGeneration(connection.pc, candidate));
+    await Promise.all(
+      pending
+        .filter((candidate) => matchesRemoteIceGeneration(connection.pc, candidate))
+        .map((candidate) => this.addRemoteCandidate(connection, candidate))
+    );
+  }
+
+  scheduleRecovery(connection, delayMs) {
+    const { recovery, remotePeerId } = connection;
+    if (connection.closing || recovery.timer) {
+      return;
+    }
+    if (!recovery.active) {
+      recovery.active = true;
+      recovery.attempt = 0;
+      this.logger.warn('Conexión degradada con', remotePeerId, 'iniciando recuperación');
+      this.emitStatus({ type: 'reconnecting', peerId: remotePeerId, attempt: 0 });
+    }
+    recovery.timer = setTimeout(() => {
+      recovery.timer = null;
+      this.attemptRecovery(connection).catch((error) => this.logger.error('Error en recuperación', remotePeerId, error));
+    }, delayMs);
+  }
+
+  async attemptRecovery(connection) {
+    const { recovery, remotePeerId } = connection;
+    if (connection.closing || !recovery.active) {
+      return;
+    }
+    if (connection.pc.connectionState === 'connected') {
+      this.markRecovered(connection);
+      return;
+    }
+
+    recovery.attempt += 1;
+    if (recovery.attempt > MAX_RECOVERY_ATTEMPTS) {
+      this.logger.warn('Recuperación agotada con', remotePeerId);
+      this.emitStatus({ type: 'lost', peerId: remotePeerId });
+      await this.teardownConnection(remotePeerId, 'lost');
+      return;
+    }
+
+    this.emitStatus({ type: 'reconnecting', peerId: remotePeerId, attempt: recovery.attempt });
+    let current = connection;
+    if (recovery.attempt <= ICE_RESTART_ATTEMPTS && typeof connection.pc.restartIce === 'function') {
+      this.logger.info('ICE restart con', remotePeerId, 'intento', recovery.attempt);
+      connection.pc.restartIce();
+    } else {
+      this.logger.info('Re-handshake completo con', remotePeerId, 'intento', recovery.attempt);
+      current = await this.rebuildConnection(connection);
+    }
+
+    const backoff = Math.min(RECOVERY_BASE_DELAY_MS * 2 ** (recovery.attempt - 1), RECOVERY_MAX_DELAY_MS);
+    current.recovery.timer = setTimeout(() => {
+      current.recovery.timer = null;
+      this.attemptRecovery(current).catch((error) => this.logger.error('Error en recuperación', remotePeerId, error));
+    }, backoff);
+  }
+
+  markRecovered(connection) {
+    const { recovery, remotePeerId } = connection;
+    clearTimeout(recovery.timer);
+    recovery.timer = null;
+    if (!recovery.active) {
+      return;
+    }
+    recovery.active = false;
+    recovery.attempt = 0;
+    this.logger.info('Conexión recuperada con', remotePeerId);
+    this.emitStatus({ type: 'recovered', peerId: remotePeerId });
+  }
+
+  // Sustituye el RTCPeerConnection conservando la tarjeta remota y el estado de recuperación
+  async rebuildConnection(connection) {
+    const { remotePeerId, recovery } = connection;
+    await this.teardownConnection(remotePeerId, 'rebuild', { rebuilding: true });
+    const next = this.createConnection(remotePeerId);
+    next.recovery = recovery;
+    return next;
+  }
+
+  trackRemoteSession(connection, sessionId) {
+    if (sessionId) {
+      connection.remoteSessionId = sessionId;
+    }
+  }
+
+  isRemoteSessionReplaced(connection, sessionId) {
+    return Boolean(sessionId && connection.remoteSessionId && connection.remoteSessionId !== sessionId);
   }
 
   async handleOffer(offerSignal) {
     const remotePeerId = offerSignal.from;
     let connection = this.connections.get(remotePeerId);
-    if (!connection) {
-      connection = await this.createConnection(remotePeerId, { initiator: false, offerId: offerSignal.id });
+    if (connection && this.isRemoteSessionReplaced(connection, offerSignal.sessionId)) {
+      // El remoto rehízo su RTCPeerConnection: la conexión actual ya no puede renegociarse
+      this.logger.info('Sesión remota nueva de', remotePeerId, '→ re-handshake');
+      connection = await this.rebuildConnection(connection);
+    }
+    connection = connection ?? this.createConnection(remotePeerId);
+    this.trackRemoteSession(connection, offerSignal.sessionId);
+    const { pc } = connection;
+
+    const offerCollision = connection.makingOffer || pc.signalingState !== 'stable';
+    connection.ignoreOffer = !connection.polite && offerCollision;
+
+    if (connection.ignoreOffer) {
+      this.logger.info('Colisión de ofertas con', remotePeerId, '→ se ignora la oferta remota (impolite)');
+      await this.signaling.clearOffer(this.roomId, offerSignal.id).catch(() => {});
+      return;
+    }
+
+    if (offerCollision) {
+      this.logger.info('Colisión de ofertas con', remotePeerId, '→ rollback local (polite)');
+      await Promise.all([
+        pc.setLocalDescription({ type: 'rollback' }),
+        this.applyRemoteDescription(connection, offerSignal.description)
+      ]);
     } else {
-      connection.offerId = offerSignal.id;
+      await this.applyRemoteDescription(connection, offerSignal.description);
     }
 
-    const { pc } = connection;
-    await pc.setRemoteDescription(offerSignal.description);
-    const answer = await pc.createAnswer();
-    await pc.setLocalDescription(answer);
-    await this.signaling.postAnswer(this.roomId, connection.offerId, {
+    await pc.setLocalDescription();
+    // La oferta se borra antes de responder para que una renegociación posterior vuelva a dispararse como nueva
+    await this.signaling.clearOffer(this.roomId, offerSignal.id).catch(() => {});
+    await this.signaling.postAnswer(this.roomId, offerSignal.id, {
       from: this.peerId,
       to: remotePeerId,
-      description: pc.localDescription
+      description: this.describeLocalDescription(pc),
+      sessionId: connection.sessionId
     });
+  }
 
-    await this.signaling.clearOffer(this.roomId, connection.offerId).catch(() => {});
-
-    const unsubscribe = this.signaling.subscribeToIceCandidates(this.roomId, connection.offerId, 'caller', async ({ candidate }) => {
-      if (!candidate) {
-        return;
-      }
-      try {
-        await pc.addIceCandidate(candidate);
-      } catch (error) {
-        this.logger.warn('ICE caller candidate rejection', error);
-      }
-    });
-    connection.candidateSubscriptions.push(unsubscribe);
+  async handleAnswer(connection, answerSignal) {
+    const { pc } = connection;
+    this.signaling.clearAnswer(this.roomId, connection.outboundOfferId).catch(() => {});
+    if (pc.signalingState !== 'have-local-offer') {
+      this.logger.info('Answer obsoleta descartada de', connection.remotePeerId, pc.signalingState);
+      return;
+    }
+    this.trackRemoteSession(connection, answerSignal.sessionId);
+    await this.applyRemoteDescription(connection, answerSignal.description);
   }
 
-  async teardownConnection(remotePeerId, reason = 'teardown') {
+  async teardownConnection(remotePeerId, reason = 'teardown', { rebuilding = false } = {}) {
     const connection = this.connections.get(remotePeerId);
     if (!connection || connection.closing) {
       return;
     }
     connection.closing = true;
     this.logger.info('Cerrando conexión con', remotePeerId, 'por', reason);
+    clearTimeout(connection.recovery.timer);
+    connection.recovery.timer = null;
 
     connection.candidateSubscriptions.forEach((unsubscribe) => {
       try {
@@ -323,7 +1211,9 @@ export class PeerMeshManager {
 
     try {
       connection.pc.onicecandidate = null;
+      connection.pc.onnegotiationneeded = null;
       connection.pc.ontrack = null;
+      connection.pc.ondatachannel = null;
       connection.pc.oniceconnectionstatechange = null;
       connection.pc.onconnectionstatechange = null;
       connection.pc.close();
@@ -332,12 +1222,31 @@ export class PeerMeshManager {
     }
 
     this.connections.delete(remotePeerId);
-    this.onRemoteStreamRemoved?.(remotePeerId);
-    await this.signaling.clearCandidates(this.roomId, connection.offerId).catch(() => {});
-    if (connection.initiator) {
-      await this.signaling.clearOffer(this.roomId, connection.offerId).catch(() => {});
-    } else {
-      await this.signaling.clearAnswer(this.roomId, connection.offerId).catch(() => {});
+    this.chat.detach(remotePeerId);
+    this.files.detach(remotePeerId);
+    // Al colgar nosotros no hay nada que proteger; si sale (o se pierde) el remoto, rotamos la clave
+    this.e2ee?.detachPeer(remotePeerId, { rotate: !rebuilding && reason !== 'bye' });
+    this.stats.removeConnection(remotePeerId);
+    this.stats.recordEvent(remotePeerId, 'teardown', reason);
+    if (rebuilding) {
+      // Los candidatos del par se conservan: el remoto puede estar publicando ya los de su nueva sesión
+      await Promise.all([
+        this.signaling.clearOffer(this.roomId, connection.outboundOfferId).catch(() => {}),
+        this.signaling.clearAnswer(this.roomId, connection.inboundOfferId).catch(() => {})
+      ]);
+      return;
     }
+    // Con un remoto menos cada conexión restante recupera presupuesto de subida
+    this.audioQuality.removePeer(remotePeerId);
+    this.applyAudioBitrates();
+    this.remoteStreams.delete(remotePeerId);
+    this.recorder.removeStream(remotePeerId);
+    this.levelMonitor.untrack(remotePeerId);
+    this.emit('track-removed', { peerId: remotePeerId });
+    await Promise.all([
+      this.signaling.clearCandidates(this.roomId, connection.offerId).catch(() => {}),
+      this.signaling.clearOffer(this.roomId, connection.outboundOfferId).catch(() => {}),
+      this.signaling.clearAnswer(this.roomId, connection.inboundOfferId).catch(() => {})
+    ]);
   }
 }
@@ -0,0 +1,275 @@
+// Pruebas de database.rules.json contra el emulador de Realtime Database.
+// Se ejecutan con `npm run test:rules`, que arranca el emulador con `firebase emulators:exec`.
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+
+const PASSWORD_HASH = 'a'.repeat(64);
+const WRONG_HASH = 'b'.repeat(64);
+
+let testEnv;
+
+function dbAs(uid) {
+  return uid ? testEnv.authenticatedContext(uid).database() : testEnv.unauthenticatedContext().database();
+}
+
+// Más viejo que el umbral de fantasma de las reglas (3 min)
+const STALE_LAST_SEEN_MS = 10 * 60 * 1000;
+
+function member(uid, peerId = `${uid}-peer`, lastSeen = Date.now()) {
+  return { peerId, uid, joinedAt: lastSeen, lastSeen };
+}
+
+// Estado de partida escrito sin reglas, como lo dejaría ensureRoom + joinRoom
+async function seedRoom(roomId, { password = false, members = ['alice'], createdBy = members[0], stale = [], moderation, knocks } = {}) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const lastSeenOf = (uid) => (stale.includes(uid) ? Date.now() - STALE_LAST_SEEN_MS : Date.now());
+    const room = {
+      meta: { createdAt: Date.now(), createdBy, hasPassword: password },
+      members: Object.fromEntries(members.map((uid) => [`${uid}-peer`, member(uid, `${uid}-peer`, lastSeenOf(uid))]))
+    };
+    if (password) {
+      room.secret = { passwordHash: PASSWORD_HASH };
+      room.proofs = Object.fromEntries(members.map((uid) => [uid, PASSWORD_HASH]));
+    }
+    if (moderation) {
+      room.moderation = moderation;
+    }
+    if (knocks) {
+      room.knocks = knocks;
+    }
+    await context.database().ref(`rooms/${roomId}`).set(room);
+  });
+}
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-clean-call',
+    database: { rules: readFileSync(new URL('../../database.rules.json', import.meta.url), 'utf8') }
+  });
+});
+
+after(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearDatabase();
+});
+
+describe('acceso sin pertenecer a la sala', () => {
+  it('rechaza cualquier lectura o escritura sin auth', async () => {
+    await seedRoom('open');
+    await assertFails(dbAs(null).ref('rooms/open/members').get());
+    await assertFails(dbAs(null).ref('rooms/open/members/anon-peer').set(member('anon')));
+  });
+
+  it('no deja leer secret ni proofs, ni siquiera a un miembro', async () => {
+    await seedRoom('locked', { password: true });
+    await assertFails(dbAs('alice').ref('rooms/locked/secret').get());
+    await assertFails(dbAs('alice').ref('rooms/locked/proofs').get());
+  });
+
+  it('no deja modificar el miembro de otro uid', async () => {
+    await seedRoom('open');
+    await assertFails(dbAs('mallory').ref('rooms/open/members/alice-peer').set(member('mallory', 'alice-peer')));
+    await assertFails(dbAs('mallory').ref('rooms/open/members/alice-peer/lastSeen').set(Date.now()));
+    await assertFails(dbAs('mallory').ref('rooms/open/members/mallory-peer').set(member('alice', 'mallory-peer')));
+  });
+
+  it('el miembro propio solo admite los campos publicados y con su tipo', async () => {
+    await seedRoom('open');
+    const own = dbAs('alice').ref('rooms/open/members/alice-peer');
+    await assertSucceeds(own.update({ muted: true, e2ee: false, recording: false, speaking: true, displayName: 'Alice', color: '#a1b2c3' }));
+    await assertSucceeds(own.update({ speaking: null }));
+    await assertFails(own.update({ muted: 'yes' }));
+    await assertFails(own.update({ displayName: 'x'.repeat(65) }));
+    await assertFails(own.update({ blob: 'x'.repeat(1000) }));
+    await assertFails(own.update({ nested: { a: 1 } }));
+  });
+
+  it('no deja borrar el miembro de otro uid, aunque se pertenezca a la sala', async () => {
+    await seedRoom('open', { members: ['alice', 'bob'] });
+    await assertFails(dbAs('mallory').ref('rooms/open/members/alice-peer').remove());
+    await assertFails(dbAs('bob').ref('rooms/open/members/alice-peer').remove());
+    await assertFails(dbAs('bob').ref('rooms/open/members').remove());
+    await assertFails(dbAs('bob').ref('rooms/open/members').set({ 'bob-peer': member('bob') }));
+    await assertSucceeds(dbAs('alice').ref('rooms/open/members/alice-peer').remove());
+  });
+
+  it('deja barrer a un fantasma y abrir hueco en la misma transacción que el alta', async () => {
+    await seedRoom('open', { members: ['alice', 'bob', 'carol', 'dave'], stale: ['dave'] });
+    await assertFails(dbAs('erin').ref('rooms/open/members/carol-peer').remove());
+    await assertSucceeds(dbAs('erin').ref('rooms/open/members/dave-peer').remove());
+
+    await seedRoom('full', { members: ['alice', 'bob', 'carol', 'dave'], stale: ['dave'] });
+    const members = (await dbAs('erin').ref('rooms/full/members').get()).val();
+    delete members['dave-peer'];
+    await assertSucceeds(dbAs('erin').ref('rooms/full/members').set({ ...members, 'erin-peer': member('erin') }));
+  });
+
+  it('solo publica señales con un from u owner propio', async () => {
+    await seedRoom('open', { members: ['alice', 'bob'] });
+    const offer = { from: 'alice-peer', to: 'bob-peer', description: { type: 'offer', sdp: 'v=0' } };
+    await assertFails(dbAs('mallory').ref('rooms/open/offer/alice-peer_bob-peer').set(offer));
+    await assertFails(dbAs('mallory').ref('rooms/open/offer/x').set({ ...offer, from: 'mallory-peer' }));
+    await assertSucceeds(dbAs('alice').ref('rooms/open/offer/alice-peer_bob-peer').set(offer));
+
+    const candidate = { owner: 'alice-peer', candidate: { candidate: 'candidate:1' } };
+    await assertFails(dbAs('mallory').ref('rooms/open/callerCandidates/alice-peer_bob-peer/c1').set(candidate));
+    await assertSucceeds(dbAs('alice').ref('rooms/open/callerCandidates/alice-peer_bob-peer/c1').set(candidate));
+  });
+});
+
+describe('salas con contraseña', () => {
+  it('sin prueba no se leen miembros ni señales', async () => {
+    await seedRoom('locked', { password: true });
+    await assertFails(dbAs('bob').ref('rooms/locked/members').get());
+    await assertFails(dbAs('bob').ref('rooms/locked/offer').get());
+    await assertFails(dbAs('bob').ref('rooms/locked/members/bob-peer').set(member('bob')));
+  });
+
+  it('una prueba incorrecta no da acceso', async () => {
+    await seedRoom('locked', { password: true });
+    await assertSucceeds(dbAs('bob').ref('rooms/locked/proofs/bob').set(WRONG_HASH));
+    await assertFails(dbAs('bob').ref('rooms/locked/members').get());
+    await assertFails(dbAs('bob').ref('rooms/locked/members/bob-peer').set(member('bob')));
+  });
+
+  it('nadie escribe la prueba de otro uid', async () => {
+    await seedRoom('locked', { password: true });
+    await assertFails(dbAs('bob').ref('rooms/locked/proofs/alice').set(WRONG_HASH));
+  });
+
+  it('con la prueba correcta se lee y se entra', async () => {
+    await seedRoom('locked', { password: true });
+    await assertSucceeds(dbAs('bob').ref('rooms/locked/proofs/bob').set(PASSWORD_HASH));
+    await assertSucceeds(dbAs('bob').ref('rooms/locked/members').get());
+    await assertSucceeds(dbAs('bob').ref('rooms/locked/members/bob-peer').set(member('bob')));
+  });
+});
+
+describe('límite de 4 miembros', () => {
+  it('acepta al cuarto y rechaza al quinto', async () => {
+    await seedRoom('full', { members: ['alice', 'bob', 'carol'] });
+    await assertSucceeds(dbAs('dave').ref('rooms/full/members/dave-peer').set(member('dave')));
+    await assertFails(dbAs('erin').ref('rooms/full/members/erin-peer').set(member('erin')));
+  });
+});
+
+describe('expulsiones', () => {
+  const moderation = { host: 'alice-peer', hostUid: 'alice' };
+
+  it('solo el anfitrión escribe moderation/kicked', async () => {
+    await seedRoom('mod', { members: ['alice', 'bob'], moderation });
+    await assertFails(dbAs('bob').ref('rooms/mod/moderation/kicked/alice').set('alice-peer'));
+    await assertSucceeds(dbAs('alice').ref('rooms/mod/moderation/kicked/bob').set('bob-peer'));
+  });
+
+  it('el anfitrión presente borra el miembro expulsado; uno que ya se fue, no', async () => {
+    await seedRoom('mod', { members: ['alice', 'bob', 'carol'], moderation });
+    await assertFails(dbAs('bob').ref('rooms/mod/members/carol-peer').remove());
+    await assertSucceeds(dbAs('alice').ref('rooms/mod/members/bob-peer').remove());
+    await assertSucceeds(dbAs('alice').ref('rooms/mod/members/alice-peer').remove());
+    await assertFails(dbAs('alice').ref('rooms/mod/members/carol-peer').remove());
+  });
+
+  it('un uid expulsado no puede volver a crear su miembro', async () => {
+    await seedRoom('mod', { moderation: { ...moderation, kicked: { mallory: 'mallory-peer' } } });
+    await assertFails(dbAs('mallory').ref('rooms/mod/members/mallory-peer').set(member('mallory')));
+    await assertFails(dbAs('mallory').ref('rooms/mod/members/other-peer').set(member('mallory', 'other-peer')));
+    await assertSucceeds(dbAs('carol').ref('rooms/mod/members/carol-peer').set(member('carol')));
+  });
+});
+
+describe('sala de espera', () => {
+  const moderation = { host: 'alice-peer', hostUid: 'alice', lobby: true };
+  const knock = (status, extra = {}) => ({ peerId: 'bob-peer', status, createdAt: 1, ...extra });
+
+  it('cada uid solo llama a la puerta en su nombre y en pending', async () => {
+    await seedRoom('lobby', { moderation });
+    await assertSucceeds(dbAs('bob').ref('rooms/lobby/knocks/bob').set(knock('pending')));
+    await assertFails(dbAs('bob').ref('rooms/lobby/knocks/bob').set(knock('approved', { decidedBy: 'bob-peer' })));
+    await assertFails(dbAs('bob').ref('rooms/lobby/knocks/carol').set(knock('pending')));
+  });
+
+  it('sin aprobación no se entra', async () => {
+    await seedRoom('lobby', { moderation, knocks: { bob: knock('pending') } });
+    await assertFails(dbAs('bob').ref('rooms/lobby/members/bob-peer').set(member('bob')));
+  });
+
+  it('un miembro aprueba firmando con su peerId y entonces se entra', async () => {
+    await seedRoom('lobby', { moderation, knocks: { bob: knock('pending') } });
+    await assertFails(dbAs('mallory').ref('rooms/lobby/knocks/bob').set(knock('approved', { decidedBy: 'alice-peer' })));
+    await assertSucceeds(dbAs('alice').ref('rooms/lobby/knocks/bob').set(knock('approved', { decidedBy: 'alice-peer' })));
+    await assertSucceeds(dbAs('bob').ref('rooms/lobby/members/bob-peer').set(member('bob')));
+  });
+});
+
+describe('toma de la sala borrando miembros', () => {
+  const moderation = { host: 'alice-peer', hostUid: 'alice' };
+
+  it('un miembro no puede borrar al anfitrión para reclamar el rol', async () => {
+    await seedRoom('takeover', { members: ['alice', 'bob', 'carol'], moderation });
+    await assertFails(dbAs('bob').ref('rooms/takeover/members/alice-peer').remove());
+    await assertFails(dbAs('bob').ref('rooms/takeover/moderation').set({ host: 'bob-peer', hostUid: 'bob' }));
+    await assertFails(dbAs('bob').ref('rooms/takeover/moderation/kicked/carol').set('carol-peer'));
+    await assertFails(dbAs('bob').ref('rooms/takeover/moderation/locked').set(true));
+  });
+
+  it('el rol solo queda libre cuando el anfitrión ya no está', async () => {
+    await seedRoom('takeover', { members: ['alice', 'bob'], stale: ['alice'], moderation });
+    await assertSucceeds(dbAs('bob').ref('rooms/takeover/members/alice-peer').remove());
+    await assertSucceeds(dbAs('bob').ref('rooms/takeover/moderation').set({ host: 'bob-peer', hostUid: 'bob' }));
+  });
+
+  it('nadie vacía members para saltarse la sala de espera', async () => {
+    await seedRoom('lobby', { members: ['alice', 'bob'], moderation: { ...moderation, lobby: true } });
+    await assertFails(dbAs('mallory').ref('rooms/lobby/members').remove());
+    await assertFails(dbAs('mallory').ref('rooms/lobby/members/alice-peer').remove());
+    await assertFails(dbAs('mallory').ref('rooms/lobby/members/bob-peer').remove());
+    await assertFails(dbAs('mallory').ref('rooms/lobby/members').set({ 'mallory-peer': member('mallory') }));
+    await assertFails(dbAs('mallory').ref('rooms/lobby/members/mallory-peer').set(member('mallory')));
+  });
+});
+
+describe('borrado de la sala', () => {
+  const moderation = { host: 'bob-peer', hostUid: 'bob', locked: true, kicked: { mallory: 'mallory-peer' } };
+  const soleOccupantCleanup = { 'members/bob-peer': null, moderation: null };
+
+  it('con miembros dentro solo la borra su creador', async () => {
+    await seedRoom('room', { members: ['alice', 'bob'] });
+    await assertFails(dbAs('mallory').ref('rooms/room').remove());
+    await assertFails(dbAs('bob').ref('rooms/room').remove());
+    await assertSucceeds(dbAs('alice').ref('rooms/room').remove());
+  });
+
+  it('vacía la borra cualquiera', async () => {
+    await seedRoom('room', { members: [], createdBy: 'alice' });
+    await assertSucceeds(dbAs('mallory').ref('rooms/room').remove());
+  });
+
+  it('nadie borra moderation mientras queden otros miembros', async () => {
+    await seedRoom('room', { members: ['alice', 'bob'], moderation });
+    await assertFails(dbAs('bob').ref('rooms/room/moderation').remove());
+    await assertFails(dbAs('bob').ref('rooms/room').update(soleOccupantCleanup));
+  });
+
+  it('el último ocupante que no la creó programa en onDisconnect quitar su miembro y moderation', async () => {
+    await seedRoom('room', { members: ['bob'], createdBy: 'alice', moderation });
+    await assertFails(dbAs('bob').ref('rooms/room').onDisconnect().remove());
+    await assertSucceeds(dbAs('bob').ref('rooms/room').onDisconnect().update(soleOccupantCleanup));
+    await assertFails(dbAs('mallory').ref('rooms/room').onDisconnect().update(soleOccupantCleanup));
+  });
+
+  it('el creador, último ocupante, programa en onDisconnect borrar la sala entera', async () => {
+    await seedRoom('room', { members: ['alice'], moderation: { host: 'alice-peer', hostUid: 'alice', locked: true } });
+    await assertSucceeds(dbAs('alice').ref('rooms/room').onDisconnect().remove());
+  });
+
+  it('tras la limpieza, un uid nuevo puede volver a entrar', async () => {
+    await seedRoom('room', { members: ['bob'], createdBy: 'alice', moderation });
+    await assertSucceeds(dbAs('bob').ref('rooms/room').update(soleOccupantCleanup));
+    await assertSucceeds(dbAs('mallory').ref('rooms/room/members/mallory-peer').set(member('mallory')));
+  });
+});
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CallStatsCollector } from '../../src/call-stats.js';
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+function fakeConnection(getStats) {
+  return { getStats, connectionState: 'connected', iceConnectionState: 'connected' };
+}
+
+describe('CallStatsCollector.poll', () => {
+  it('entrega las muestras de los peers sanos aunque getStats falle en otro', async () => {
+    const delivered = [];
+    const collector = new CallStatsCollector({ onSample: (samples) => delivered.push(samples), logger: silentLogger });
+    collector.addConnection('sano', fakeConnection(async () => new Map()));
+    collector.addConnection('cerrando', fakeConnection(async () => Promise.reject(new Error('InvalidStateError'))));
+
+    await collector.poll();
+
+    assert.equal(delivered.length, 1);
+    assert.deepEqual(Object.keys(delivered[0]), ['sano']);
+    assert.equal(collector.getRecent('sano').length, 1);
+    assert.equal(collector.getRecent('cerrando').length, 0);
+  });
+
+  it('no llama a onSample si no hay ninguna muestra', async () => {
+    const delivered = [];
+    const collector = new CallStatsCollector({ onSample: (samples) => delivered.push(samples), logger: silentLogger });
+    collector.addConnection('cerrando', fakeConnection(async () => Promise.reject(new Error('closed'))));
+    await collector.poll();
+    assert.equal(delivered.length, 0);
+  });
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { setImmediate as flush } from 'node:timers/promises';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { FileTransferManager } from '../../src/file-transfer.js';
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+function fakeChannel(readyState) {
+  return {
+    readyState,
+    bufferedAmount: 0,
+    sent: [],
+    send(data) {
+      this.sent.push(data);
+    },
+    close() {
+      this.readyState = 'closed';
+    },
+    addEventListener() {},
+    removeEventListener() {}
+  };
+}
+
+// Emisor con un receptor que acepta y luego no hace nada más
+async function offerAndAccept(dataChannelState) {
+  const updates = [];
+  const control = fakeChannel('open');
+  const dataChannel = fakeChannel(dataChannelState);
+  const manager = new FileTransferManager({
+    openDataChannel: () => dataChannel,
+    onTransferUpdate: (transfer) => updates.push(transfer),
+    logger: silentLogger
+  });
+  manager.attach('bob', control);
+  const [transferId] = await manager.sendFile(new File(['hola'], 'hola.txt', { type: 'text/plain' }), ['bob']);
+  manager.handleControl('bob', JSON.stringify({ type: 'accept', transferId }));
+  await flush();
+  return { manager, transferId, updates, control, last: () => updates[updates.length - 1] };
+}
+
+describe('FileTransferManager: plazos del emisor', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+  afterEach(() => mock.timers.reset());
+
+  it('falla si el canal de datos no llega a abrirse', async () => {
+    const { last } = await offerAndAccept('connecting');
+    assert.equal(last().state, 'transferring');
+    mock.timers.tick(15000);
+    await flush();
+    assert.equal(last().state, 'failed');
+    assert.equal(last().error, 'channel-open-timeout');
+  });
+
+  it('falla y avisa al receptor si nunca llega result', async () => {
+    const { last, control } = await offerAndAccept('open');
+    await flush();
+    assert.equal(last().state, 'verifying');
+    mock.timers.tick(60000);
+    assert.equal(last().state, 'failed');
+    assert.equal(last().error, 'result-timeout');
+    assert.equal(JSON.parse(control.sent[control.sent.length - 1]).type, 'cancel');
+  });
+
+  it('un result a tiempo cancela el plazo', async () => {
+    const { manager, transferId, updates, last } = await offerAndAccept('open');
+    await flush();
+    manager.handleControl('bob', JSON.stringify({ type: 'result', transferId, ok: true }));
+    assert.equal(last().state, 'completed');
+    const count = updates.length;
+    mock.timers.tick(60000);
+    assert.equal(updates.length, count);
+  });
+});
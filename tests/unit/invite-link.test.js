@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildInviteUrl, normalizeInviteRoomId, readInviteRoomId } from '../../src/invite-link.js';
+
+function at(url) {
+  const { href, search, hash } = new URL(url);
+  return { href, search, hash };
+}
+
+describe('normalizeInviteRoomId', () => {
+  it('recorta espacios alrededor del ID', () => {
+    assert.equal(normalizeInviteRoomId('  sala-1  '), 'sala-1');
+  });
+
+  it('rechaza vacíos, no cadenas, espacios internos, controles y IDs de más de 64 caracteres', () => {
+    [undefined, null, 42, '', '   ', 'sala 1', 'sala\n1', 'sala\u00001', 'a'.repeat(65)].forEach((value) => {
+      assert.equal(normalizeInviteRoomId(value), null, `${JSON.stringify(value)} debería rechazarse`);
+    });
+    assert.equal(normalizeInviteRoomId('a'.repeat(64)), 'a'.repeat(64));
+  });
+});
+
+describe('readInviteRoomId', () => {
+  it('lee ?room=, #room= y #<id>', () => {
+    assert.equal(readInviteRoomId(at('https://call.example/?room=abc')), 'abc');
+    assert.equal(readInviteRoomId(at('https://call.example/#room=abc')), 'abc');
+    assert.equal(readInviteRoomId(at('https://call.example/#abc')), 'abc');
+    assert.equal(readInviteRoomId(at('https://call.example/#sala%2D%C3%B1')), 'sala-ñ');
+  });
+
+  it('da prioridad a la query sobre el hash', () => {
+    assert.equal(readInviteRoomId(at('https://call.example/?room=query#room=hash')), 'query');
+  });
+
+  it('no cae al hash si la query trae un ID inválido', () => {
+    assert.equal(readInviteRoomId(at('https://call.example/?room=%20#room=hash')), null);
+  });
+
+  it('devuelve null sin ID o con uno inválido', () => {
+    assert.equal(readInviteRoomId(at('https://call.example/')), null);
+    assert.equal(readInviteRoomId(at('https://call.example/#')), null);
+    assert.equal(readInviteRoomId(at('https://call.example/#other=abc')), null);
+    assert.equal(readInviteRoomId(at('https://call.example/#%E0%A4%A')), null);
+    assert.equal(readInviteRoomId(at('https://call.example/?room=a%0Ab')), null);
+  });
+});
+
+describe('buildInviteUrl', () => {
+  it('sustituye room, conserva el resto de la query y quita el hash', () => {
+    const url = buildInviteUrl('sala-1', at('https://call.example/app?lang=es&room=vieja#room=otra'));
+    assert.equal(url, 'https://call.example/app?lang=es&room=sala-1');
+    assert.equal(readInviteRoomId(at(url)), 'sala-1');
+  });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import QRCode from 'qrcode';
+import { encodeQrCode } from '../../src/qr-code.js';
+
+const BASE_URL = 'https://call.example/?room=';
+
+function inviteUrl(length) {
+  return `${BASE_URL}${'a1b2c3'.repeat(50)}`.slice(0, length);
+}
+
+// Matriz de referencia de la librería qrcode, forzando el mismo modo (byte) y nivel (M)
+function referenceModules(text) {
+  const { version, modules } = QRCode.create([{ data: text, mode: 'byte' }], { errorCorrectionLevel: 'M' });
+  const rows = Array.from({ length: modules.size }, (_, y) =>
+    Array.from({ length: modules.size }, (__, x) => Boolean(modules.get(y, x)))
+  );
+  return { version, rows };
+}
+
+describe('encodeQrCode', () => {
+  // Longitudes justo por debajo de la capacidad en modo byte/M de cada versión (14, 122 y 213 bytes)
+  [
+    { version: 1, length: 14 },
+    { version: 7, length: 120 },
+    { version: 10, length: 213 }
+  ].forEach(({ version, length }) => {
+    it(`coincide con la matriz de referencia en la versión ${version}`, () => {
+      const text = inviteUrl(length);
+      const encoded = encodeQrCode(text);
+      const reference = referenceModules(text);
+      assert.equal(encoded.version, version);
+      assert.equal(reference.version, version);
+      assert.equal(encoded.size, version * 4 + 17);
+      assert.deepEqual(encoded.modules, reference.rows);
+    });
+  });
+
+  it('codifica UTF-8 como bytes', () => {
+    const text = `${BASE_URL}sala-ñandú`;
+    assert.deepEqual(encodeQrCode(text).modules, referenceModules(text).rows);
+  });
+
+  it('rechaza datos que no caben en la versión 10', () => {
+    assert.throws(() => encodeQrCode(inviteUrl(214)), { message: 'qr-data-too-long' });
+  });
+});
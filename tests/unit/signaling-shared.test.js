@@ -0,0 +1,23 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { sanitizeMemberPatch } from '../../src/signaling-shared.js';
+
+describe('sanitizeMemberPatch', () => {
+  it('conserva solo el estado publicado y el perfil', () => {
+    assert.deepEqual(
+      sanitizeMemberPatch({ muted: true, e2ee: false, recording: true, speaking: null, displayName: ' Ana ', color: '#A1B2C3' }),
+      { muted: true, e2ee: false, recording: true, speaking: null, displayName: 'Ana', color: '#a1b2c3' }
+    );
+  });
+
+  it('descarta campos reservados, desconocidos y con tipo incorrecto', () => {
+    assert.deepEqual(
+      sanitizeMemberPatch({ uid: 'otro', peerId: 'x', joinedAt: 1, tabId: 't', blob: 'x'.repeat(1e5), muted: 'yes', speaking: 1 }),
+      {}
+    );
+  });
+
+  it('ignora parches que no son objetos', () => {
+    [null, undefined, 'muted', 42].forEach((patch) => assert.deepEqual(sanitizeMemberPatch(patch), {}));
+  });
+});
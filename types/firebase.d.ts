@@ -0,0 +1,25 @@
+// Declaraciones de la entrada 'clean-call-proy/firebase' (src/sdk-firebase.js)
+import type { Knock, Member, PeerId, SignalingClient } from './index.js';
+
+export interface FirebaseSignalingConfig {
+  apiKey: string;
+  authDomain: string;
+  databaseURL: string;
+  projectId: string;
+  appId: string;
+  /** Host del emulador de firebase.json (RTDB en 9000, Auth en 9099). */
+  emulatorHost?: string;
+  [key: string]: unknown;
+}
+
+export class FirebaseSignalingClient implements SignalingClient {
+  constructor(config: FirebaseSignalingConfig);
+  subscribeToDisconnect(callback: (lost: { roomId: string; peerId: PeerId }) => void): () => void;
+  joinRoom(...args: unknown[]): Promise<unknown>;
+  leaveRoom(roomId: string, peerId: PeerId): Promise<void>;
+  subscribeToMembers(roomId: string, callback: (update: { members: PeerId[]; raw: Record<PeerId, Member> | null }) => void): () => void;
+  subscribeToKnocks(roomId: string, callback: (knocks: Knock[]) => void): () => void;
+  [method: string]: unknown;
+}
+
+export const STALE_MEMBER_MS: number;
@@ -0,0 +1,330 @@
+// Declaraciones del paquete (src/sdk.js). Los módulos son JavaScript: estos tipos describen su API pública.
+
+export type PeerId = string;
+
+export interface Profile {
+  displayName?: string;
+  color?: string;
+}
+
+export interface Member extends Profile {
+  joinedAt?: number;
+  muted?: boolean;
+  e2ee?: boolean;
+  recording?: boolean;
+  speaking?: boolean;
+}
+
+export interface Knock {
+  id: string;
+  peerId: PeerId;
+  displayName: string;
+  color: string;
+  createdAt: number;
+}
+
+export type AudioPresetName = 'voice' | 'music' | 'low-bandwidth';
+
+export interface AudioPreset {
+  label: string;
+  maxBitrate: number;
+  minBitrate: number;
+  dtx: boolean;
+  fec: boolean;
+}
+
+export interface NoiseGateSettings {
+  enabled: boolean;
+  thresholdDb: number;
+  attackMs: number;
+  releaseMs: number;
+  publishSpeaking: boolean;
+  autoMuteAfterS: number;
+}
+
+export interface CandidateInfo {
+  type: RTCIceCandidateType | null;
+  protocol: string | null;
+  relayProtocol?: string | null;
+}
+
+export interface StatsSample {
+  t: number;
+  rttMs: number | null;
+  jitterMs: number | null;
+  packetLossPct: number | null;
+  remoteLossPct: number | null;
+  inboundKbps: number | null;
+  outboundKbps: number | null;
+  candidatePair: { local: CandidateInfo; remote: CandidateInfo } | null;
+  connectionState: RTCPeerConnectionState | null;
+  iceConnectionState: RTCIceConnectionState | null;
+}
+
+export interface ConnectionQuality {
+  level: 'good' | 'fair' | 'poor' | null;
+  path: 'relay' | 'direct' | null;
+  rttMs: number | null;
+  lossPct: number | null;
+  jitterMs: number | null;
+}
+
+export interface ChatMessage {
+  id: string;
+  from: PeerId;
+  name: string;
+  text: string;
+  sentAt: number;
+  /** Peer que reenvió el mensaje en el historial; null si llegó directamente de su autor. */
+  relayedBy: PeerId | null;
+  local: boolean;
+}
+
+export interface FileTransfer {
+  id: string;
+  peerId: PeerId;
+  direction: 'send' | 'receive';
+  name: string;
+  size: number;
+  mime: string;
+  bytes: number;
+  state: string;
+  error: string | null;
+  blob: Blob | null;
+}
+
+export interface RecordingResult {
+  blob: Blob;
+  mimeType: string;
+  startedAt: number;
+  durationMs: number;
+}
+
+export interface DeviceCheckResult {
+  ok: boolean;
+  results: Array<{ step: 'microphone' | 'level' | 'recording' | 'playback' | 'loopback'; ok: boolean; value?: unknown; error?: string }>;
+}
+
+export type E2eeState = 'waiting-key' | 'encrypted' | 'key-mismatch';
+
+/** Eventos de estado: llegan por 'status' y también con su propio type como nombre de evento. */
+export type MeshStatusEvent =
+  | { type: 'joined'; peers: PeerId[] }
+  | { type: 'members'; members: PeerId[]; raw: Record<PeerId, Member> | null; roomId: string }
+  | { type: 'left' }
+  | { type: 'knocking'; roomId: string }
+  | { type: 'knocks'; knocks: Knock[] }
+  | { type: 'moderation'; host: PeerId | null; isHost: boolean; locked: boolean; lobby: boolean }
+  | { type: 'kicked' }
+  | { type: 'signaling-lost' }
+  | { type: 'muted-by-host'; by: PeerId }
+  | { type: 'e2ee'; peerId: PeerId; state: E2eeState }
+  | { type: 'recording'; active: boolean; result?: RecordingResult }
+  | { type: 'local-mute'; muted: boolean; manual: boolean; pushToTalk: boolean }
+  | { type: 'active-speaker'; peerId: PeerId | null; local: boolean }
+  | { type: 'speaking'; speaking: boolean }
+  | { type: 'auto-mute'; active: boolean }
+  | { type: 'devices'; inputs: MediaDeviceInfo[]; outputs: MediaDeviceInfo[] }
+  | { type: 'input-device'; deviceId: string | null }
+  | { type: 'audio-preset'; preset: AudioPresetName }
+  | { type: 'noise-gate'; settings: NoiseGateSettings; active: boolean; error?: unknown }
+  | { type: 'rnnoise'; enabled: boolean; active: boolean; error?: unknown }
+  | { type: 'network-quality'; peers: Record<PeerId, ConnectionQuality> }
+  | { type: 'reconnecting'; peerId: PeerId; attempt: number }
+  | { type: 'recovered'; peerId: PeerId }
+  | { type: 'lost'; peerId: PeerId };
+
+type StatusEventsByType = {
+  [Type in MeshStatusEvent['type']]: Extract<MeshStatusEvent, { type: Type }>;
+};
+
+export interface MeshEventMap extends StatusEventsByType {
+  'local-stream': MediaStream;
+  track: { peerId: PeerId; stream: MediaStream; track: MediaStreamTrack };
+  'track-removed': { peerId: PeerId };
+  'peer-joined': { peerId: PeerId; member: Member | null };
+  'peer-left': { peerId: PeerId };
+  state: { peerId: PeerId; state: RTCPeerConnectionState };
+  status: MeshStatusEvent;
+  'audio-levels': Record<PeerId | 'local', number>;
+  stats: Record<PeerId, StatsSample>;
+  'chat-message': ChatMessage;
+  'file-transfer': FileTransfer;
+}
+
+export type MeshEventName = keyof MeshEventMap;
+
+export const MESH_EVENTS: ReadonlyArray<
+  'local-stream' | 'track' | 'track-removed' | 'peer-joined' | 'peer-left' | 'state' | 'status' | 'audio-levels' | 'stats' | 'chat-message' | 'file-transfer'
+>;
+
+export class MeshEventEmitter<Events extends object = MeshEventMap> {
+  constructor(options?: { logger?: Logger });
+  /** Devuelve la función que elimina el listener. */
+  on<Type extends keyof Events>(type: Type, listener: (payload: Events[Type]) => void): () => void;
+  once<Type extends keyof Events>(type: Type, listener: (payload: Events[Type]) => void): () => void;
+  off<Type extends keyof Events>(type: Type, listener: (payload: Events[Type]) => void): void;
+  emit<Type extends keyof Events>(type: Type, payload: Events[Type]): void;
+  removeAllListeners(type?: keyof Events): void;
+}
+
+export interface Logger {
+  info(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+/** Contrato común de FirebaseSignalingClient, WebSocketSignalingClient y LocalSignalingClient. */
+export interface SignalingClient {
+  joinRoom(...args: unknown[]): Promise<unknown>;
+  leaveRoom(roomId: string, peerId: PeerId): Promise<void>;
+  subscribeToMembers(roomId: string, callback: (update: { members: PeerId[]; raw: Record<PeerId, Member> | null }) => void): () => void;
+  subscribeToKnocks(roomId: string, callback: (knocks: Knock[]) => void): () => void;
+  /** Opcional: avisa si la sesión en la sala se pierde sin leaveRoom; el mesh lo convierte en 'signaling-lost'. */
+  subscribeToDisconnect?(callback: () => void): () => void;
+  [method: string]: unknown;
+}
+
+export class WebSocketSignalingClient implements SignalingClient {
+  constructor(config: { url: string });
+  requestTurnToken(): Promise<string>;
+  subscribeToDisconnect(callback: () => void): () => void;
+  joinRoom(...args: unknown[]): Promise<unknown>;
+  leaveRoom(roomId: string, peerId: PeerId): Promise<void>;
+  subscribeToMembers(roomId: string, callback: (update: { members: PeerId[]; raw: Record<PeerId, Member> | null }) => void): () => void;
+  subscribeToKnocks(roomId: string, callback: (knocks: Knock[]) => void): () => void;
+  [method: string]: unknown;
+}
+
+export class LocalSignalingClient implements SignalingClient {
+  constructor();
+  joinRoom(...args: unknown[]): Promise<unknown>;
+  leaveRoom(roomId: string, peerId: PeerId): Promise<void>;
+  subscribeToMembers(roomId: string, callback: (update: { members: PeerId[]; raw: Record<PeerId, Member> | null }) => void): () => void;
+  subscribeToKnocks(roomId: string, callback: (knocks: Knock[]) => void): () => void;
+  [method: string]: unknown;
+}
+
+export interface IceConfigOptions {
+  iceServers?: RTCIceServer[];
+  credentialsUrl?: string;
+  iceTransportPolicy?: RTCIceTransportPolicy;
+  /** Token Bearer para credentialsUrl; se pide de nuevo en cada renovación. */
+  getCredentialsToken?: (() => Promise<string>) | null;
+  logger?: Logger;
+}
+
+export class IceConfigProvider {
+  constructor(options?: IceConfigOptions);
+  getConfiguration(): RTCConfiguration;
+  subscribe(listener: (configuration: RTCConfiguration) => void): () => void;
+  setIceTransportPolicy(policy: RTCIceTransportPolicy): void;
+}
+
+export interface PeerMeshManagerOptions {
+  signalingClient: SignalingClient;
+  statsIntervalMs?: number;
+  audioPreset?: AudioPresetName;
+  noiseGate?: Partial<NoiseGateSettings>;
+  workletUrl?: string;
+  rnnoiseWasmUrl?: string;
+  iceConfig?: IceConfigProvider;
+  logger?: Logger;
+  /** @deprecated Usa on('local-stream', …). */
+  onLocalStream?: (stream: MediaStream) => void;
+  /** @deprecated Usa on('track', …). */
+  onRemoteStream?: (peerId: PeerId, stream: MediaStream) => void;
+  /** @deprecated Usa on('track-removed', …). */
+  onRemoteStreamRemoved?: (peerId: PeerId) => void;
+  /** @deprecated Usa on('status', …). */
+  onStatus?: (event: MeshStatusEvent) => void;
+  /** @deprecated Usa on('audio-levels', …). */
+  onAudioLevels?: (levels: MeshEventMap['audio-levels']) => void;
+  /** @deprecated Usa on('stats', …). */
+  onStats?: (samples: MeshEventMap['stats']) => void;
+  /** @deprecated Usa on('chat-message', …). */
+  onChatMessage?: (message: ChatMessage) => void;
+  /** @deprecated Usa on('file-transfer', …). */
+  onFileTransfer?: (transfer: FileTransfer) => void;
+}
+
+export interface JoinOptions {
+  createIfMissing?: boolean;
+  profile?: Profile;
+  password?: string;
+  e2eePassphrase?: string;
+}
+
+export class PeerMeshManager extends MeshEventEmitter<MeshEventMap> {
+  constructor(options: PeerMeshManagerOptions);
+  readonly roomId: string | null;
+  readonly peerId: PeerId | null;
+  readonly localStream: MediaStream | null;
+
+  join(roomId: string, options?: JoinOptions): Promise<{ roomId: string; peerId: PeerId }>;
+  leave(): Promise<void>;
+  ensureLocalStream(constraints?: MediaStreamConstraints): Promise<MediaStream>;
+  runDeviceCheck(options?: {
+    loopback?: boolean;
+    playSample?: (sample: Blob) => Promise<void>;
+    onStep?: (step: string) => void;
+    onLoopbackStream?: (stream: MediaStream | null) => void;
+  }): Promise<DeviceCheckResult>;
+
+  listAudioDevices(): Promise<{ inputs: MediaDeviceInfo[]; outputs: MediaDeviceInfo[] }>;
+  switchInputDevice(deviceId: string): Promise<void>;
+  outboundAudioTrack(): MediaStreamTrack | null;
+
+  isMicrophoneMuted(): boolean;
+  setMuted(muted: boolean): void;
+  toggleMuted(): void;
+  setPushToTalk(enabled: boolean): void;
+  setTalking(active: boolean): void;
+
+  getAudioPreset(): AudioPresetName;
+  setAudioPreset(name: AudioPresetName): void;
+  getNoiseGateSettings(): NoiseGateSettings;
+  isNoiseGateActive(): boolean;
+  setNoiseGate(settings: Partial<NoiseGateSettings>): Promise<void>;
+  isRnNoiseAvailable(): boolean;
+  isRnNoiseActive(): boolean;
+  setRnNoise(enabled: boolean): Promise<void>;
+  setIceTransportPolicy(policy: RTCIceTransportPolicy): void;
+
+  isRecording(): boolean;
+  startRecording(): void;
+  stopRecording(): Promise<RecordingResult | null>;
+  isE2eeEnabled(): boolean;
+
+  sendChatMessage(text: string): unknown;
+  sendFile(file: File, options?: { peerIds?: PeerId[] }): Promise<string[]>;
+  acceptFile(transferId: string): void;
+  declineFile(transferId: string): void;
+  cancelFile(transferId: string): void;
+  setProfile(profile: Profile): void;
+
+  isHost(): boolean;
+  kickParticipant(peerId: PeerId): Promise<void>;
+  muteAll(): Promise<void>;
+  setRoomLocked(locked: boolean): Promise<void>;
+  transferHost(peerId: PeerId): Promise<void>;
+  setLobbyEnabled(enabled: boolean): Promise<void>;
+  answerKnock(knockId: string, approved: boolean): Promise<void>;
+}
+
+export const LOCAL_LEVEL_ID: 'local';
+export const DEFAULT_AUDIO_CONSTRAINTS: MediaStreamConstraints;
+export function buildAudioConstraints(deviceId?: string | null): MediaStreamConstraints;
+
+export const MAX_ROOM_MEMBERS: number;
+export const KNOCK_TIMEOUT_MS: number;
+export function createRandomRoomId(): string;
+
+export const DEFAULT_ICE_SERVERS: RTCIceServer[];
+export const AUDIO_PRESETS: Record<AudioPresetName, AudioPreset>;
+export const DEFAULT_AUDIO_PRESET: AudioPresetName;
+export const DEFAULT_NOISE_GATE_SETTINGS: NoiseGateSettings;
+
+export function convertRecordingToWav(blob: Blob): Promise<Blob>;
+export function rateConnectionQuality(samples: StatsSample[]): ConnectionQuality;
+export function displayNameFor(peerId: PeerId, member?: Member | null): string;
@@ -0,0 +1,22 @@
+import { defineConfig } from 'vite';
+
+// Build de librería: solo mesh y señalización en ESM; la demo sigue en vite.config.js
+export default defineConfig({
+  // Rutas relativas: el worker E2EE se resuelve junto al módulo que lo importa, esté donde esté instalado
+  base: './',
+  build: {
+    outDir: 'dist-lib',
+    emptyOutDir: true,
+    lib: {
+      entry: {
+        'clean-call': 'src/sdk.js',
+        firebase: 'src/sdk-firebase.js'
+      },
+      formats: ['es']
+    },
+    rollupOptions: {
+      // El SDK de Firebase se sigue cargando desde la CDN en tiempo de ejecución
+      external: [/^https:\/\//]
+    }
+  }
+});